@@ -1,571 +1,1098 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const bodyParser = require('body-parser');
 const path = require('path');
+const knowledgeBase = require('./lib/knowledgeBase');
+const drugClasses = require('./lib/drugClasses');
+const normalize = require('./lib/normalize');
+const dose = require('./lib/dose');
+const { createStore, readFixture } = require('./lib/store');
+const { createApiRouter, apiErrorHandler } = require('./routes/api');
+const { checkPrescription } = require('./lib/prescriptionCheck');
+const { parsePrompt } = require('./lib/promptParser');
+const { ALLERGY_SEVERITIES, SEXES, draftFromPrompt, validatePatient } = require('./lib/patientIntake');
+const { createAuditLog, createAccessLog } = require('./lib/audit');
+const auth = require('./lib/auth');
+const webhooks = require('./lib/webhooks');
+const { createLiveEvents } = require('./lib/liveEvents');
+const { createUpstreamClient, UpstreamError } = require('./lib/upstream');
+const { ALERT_TYPES, computeAlerts } = require('./lib/alerts');
+const medicationCourse = require('./lib/medications');
+const clinicalRules = require('./lib/clinicalRules');
+const population = require('./lib/population');
+const { buildReport } = require('./lib/safetyReport');
+const importer = require('./lib/importer');
+const notifications = require('./lib/notifications');
+const { createMockEmr } = require('./lib/mockEmr');
+const tenants = require('./lib/tenants');
+const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
-const API_TOKEN = process.env.API_TOKEN || '';
-const BASE_URL = (process.env.BASE_URL || 'https://hackathon-api.aheadafrica.org').replace(/\/$/, '');
-const MOCK_API = process.env.MOCK_API === 'true';
-
-// Middleware
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(express.static('public'));
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
-
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
-  next();
-});
-
-// Hardcoded risks
-const RISKY_COMBINATIONS = [
-  ['aspirin', 'amlodipine'],
-  ['ibuprofen', 'warfarin'],
-  ['amoxicillin', 'penicillin'],
-  ['paracetamol', 'codeine'],
-  ['aspirin', 'ibuprofen']
-];
-const ALLERGY_RISKS = ['penicillin', 'aspirin', 'ibuprofen', 'amoxicillin'];
-
-// In-memory mock store
-let mockData = {
-  patients: [
-    { id: 1, full_name: "Jane Doe", allergies: ["penicillin"] }
-  ],
-  encounters: [],
-  medications: [],
-  nextMedicationId: 1
-};
+// Build the SafeMed Express app without starting a server, so tests and other
+// servers can mount it. Settings are read from `env`; a `store`, an
+// `upstream` client or notification `notificationChannels` passed in replace
+// the ones built from those settings. `tenant` ({ id, name }) is the clinic
+// the app serves when several share one server; `metrics` is a registry from
+// createMetrics() shared with the other clinics' apps.
+const createApp = ({ env = process.env, store: injectedStore = null, upstream: injectedUpstream = null, notificationChannels = null, tenant = null, metrics: sharedMetrics = null } = {}) => {
+  const app = express();
+  const API_TOKEN = env.API_TOKEN || '';
+  const BASE_URL = (env.BASE_URL || 'https://hackathon-api.aheadafrica.org').replace(/\/$/, '');
+  const MOCK_API = env.MOCK_API === 'true';
+  const STORE_TYPE = env.STORE || 'memory';
+  const STORE_FILE = env.STORE_FILE || path.join(__dirname, '.data', 'safemed-store.json');
+  const SEED_FIXTURE = env.SEED_FIXTURE === undefined ? 'default' : env.SEED_FIXTURE;
+  const SEED_RESET = env.SEED_RESET === 'true';
+  const WEBHOOK_SECRET = env.WEBHOOK_SECRET || '';
+  const WEBHOOK_TOLERANCE_SECONDS = parseInt(env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+  const UPSTREAM_TIMEOUT_MS = parseInt(env.UPSTREAM_TIMEOUT_MS) || 8000;
+  const UPSTREAM_RETRIES = env.UPSTREAM_RETRIES === undefined ? 2 : parseInt(env.UPSTREAM_RETRIES) || 0;
+  const UPSTREAM_BACKOFF_MS = parseInt(env.UPSTREAM_BACKOFF_MS) || 300;
+  const UPSTREAM_BREAKER_THRESHOLD = parseInt(env.UPSTREAM_BREAKER_THRESHOLD) || 5;
+  const UPSTREAM_BREAKER_RESET_MS = parseInt(env.UPSTREAM_BREAKER_RESET_MS) || 30000;
+  // Serve mock data when upstream reads fail. Off by default: demo patients must
+  // never be mistaken for real clinical data.
+  const UPSTREAM_FALLBACK = env.UPSTREAM_FALLBACK === 'mock' ? 'mock' : 'none';
+  const SESSION_TTL_MINUTES = parseInt(env.SESSION_TTL_MINUTES) || 480;
+  const ADMIN_USERNAME = env.ADMIN_USERNAME || '';
+  const ADMIN_PASSWORD = env.ADMIN_PASSWORD || '';
+  // Demo accounts (one per role) are only ever created in mock mode
+  const DEMO_USERS = MOCK_API && env.DEMO_USERS !== 'false';
+  const DEMO_PASSWORD = env.DEMO_PASSWORD || 'safemed-demo';
+  // Population refreshes recompute patients whose stored alerts are older than this
+  const ALERT_SNAPSHOT_MAX_AGE_MINUTES = parseInt(env.ALERT_SNAPSHOT_MAX_AGE_MINUTES) || 60;
+  // Resolved alerts are dropped from the overview trends this many days after they were resolved
+  const ALERT_HISTORY_DAYS = parseInt(env.ALERT_HISTORY_DAYS) || 366;
+  const IMPORT_MAX_MB = parseInt(env.IMPORT_MAX_MB) || 10;
+  const NOTIFY_MAX_ATTEMPTS = parseInt(env.NOTIFY_MAX_ATTEMPTS) || 5;
+  const NOTIFY_RETRY_BACKOFF_MS = parseInt(env.NOTIFY_RETRY_BACKOFF_MS) || 30000;
+  const NOTIFY_DEDUPE_HOURS = parseInt(env.NOTIFY_DEDUPE_HOURS) || 24;
+  // Base URL for links back to the dashboard in notifications
+  const PUBLIC_URL = env.PUBLIC_URL || null;
+  // Pause after creating an encounter before reading it back, for EMRs that
+  // process the prompt asynchronously
+  const ENCOUNTER_SETTLE_MS = env.ENCOUNTER_SETTLE_MS === undefined ? 500 : parseInt(env.ENCOUNTER_SETTLE_MS) || 0;
+  // Oldest alert view entries in the audit log are dropped beyond this;
+  // acknowledgements and overrides are always kept
+  const AUDIT_VIEWS_MAX_ENTRIES = parseInt(env.AUDIT_VIEWS_MAX_ENTRIES) || 100000;
+  // Oldest access log entries are dropped beyond this
+  const ACCESS_LOG_MAX_ENTRIES = parseInt(env.ACCESS_LOG_MAX_ENTRIES) || 100000;
+  // Bearer token required to read /metrics; open when unset
+  const METRICS_TOKEN = env.METRICS_TOKEN || '';
+
+  if (env.LOG_LEVEL || env.LOG_FORMAT) {
+    logger.configure({ level: env.LOG_LEVEL || undefined, format: env.LOG_FORMAT || undefined });
+  }
+
+  // Prometheus metrics, labelled with the clinic when several share the server
+  const appMetrics = sharedMetrics || metrics.createMetrics();
+  const labelled = (labels) => (tenant ? { tenant: tenant.id, ...labels } : labels);
 
-// Cache for patient names (helps when API doesn't return full_name)
-let patientNameCache = {};
+  // Middleware
+  // Keep the raw body so webhook signatures can be checked byte-for-byte.
+  // Imports are parsed by their own route, with a larger limit.
+  const jsonBody = bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } });
+  app.use((req, res, next) => (req.path === '/admin/import' ? next() : jsonBody(req, res, next)));
+  app.use(bodyParser.urlencoded({ extended: true }));
+  app.use(express.static(path.join(__dirname, 'public')));
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, 'views'));
 
-// Helper: auth headers
-const authHeaders = () => API_TOKEN ? { Authorization: `Token ${API_TOKEN}` } : {};
+  // Request id and logging middleware. The id (the caller's X-Request-Id, or a
+  // new one) is echoed back, tagged on every log entry written while handling
+  // the request and passed on to the EMR.
+  app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    const requestId = logger.requestIdFor(req.get('X-Request-Id'));
+    const logContext = { requestId, ...(tenant ? { tenant: tenant.id } : {}) };
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      // Route patterns, not paths, so each route is one series
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+      appMetrics.httpDuration.observe(labelled({ method: req.method, route, status: res.statusCode }), seconds);
+      logger.runWithContext(logContext, () => {
+        logger.info('REQUEST', `${req.method} ${req.path} ${res.statusCode}`, {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Math.round(seconds * 1000)
+        });
+      });
+    });
+    logger.runWithContext(logContext, next);
+  });
 
-// Mock API fallback
-const mockResponseFor = (endpoint, method, data) => {
-  if (endpoint === '/v1/patients' && method === 'GET') return { results: mockData.patients };
-  if (endpoint.match(/^\/v1\/patients\/\d+$/) && method === 'GET') {
-    const id = parseInt(endpoint.split('/').pop());
-    return mockData.patients.find(x => x.id === id) || {};
+  // Drug knowledge base (interactions, high-risk medications, allergy risks),
+  // drug class ontology used for cross-sensitivity allergy checks, and the
+  // condition/lab/pregnancy rules
+  knowledgeBase.load();
+  drugClasses.load();
+  normalize.load();
+  dose.load();
+  clinicalRules.load();
+  if (env.KNOWLEDGE_BASE_WATCH === 'true') knowledgeBase.watch();
+
+  // This clinic's own interactions, high-risk medications and allergy risks,
+  // merged over the shared knowledge base for every alert check
+  const localKnowledgeBase = env.KNOWLEDGE_BASE_ADDITIONS ? knowledgeBase.createAdditions(env.KNOWLEDGE_BASE_ADDITIONS) : null;
+  if (localKnowledgeBase) localKnowledgeBase.load();
+  const alertOptions = () => ({ kb: localKnowledgeBase ? localKnowledgeBase.get() : knowledgeBase.get() });
+
+  // Repository for mock-mode data and the patient name cache
+  const store = injectedStore || createStore({ type: STORE_TYPE, file: STORE_FILE });
+  if (SEED_FIXTURE && (store.isEmpty() || SEED_RESET)) {
+    store.seed(readFixture(SEED_FIXTURE), { reset: SEED_RESET });
+    logger.info('STORE', `Seeded from fixture "${SEED_FIXTURE}"`);
   }
-  if (endpoint.match(/^\/v1\/patients\/\d+\/encounters/) && method === 'GET') {
-    const id = parseInt(endpoint.split('/')[3]);
-    return { results: mockData.encounters.filter(e => e.patient === id) };
+
+  // Append-only audit trail of alert views, acknowledgements and overrides
+  const auditLog = createAuditLog(store, { maxViews: AUDIT_VIEWS_MAX_ENTRIES });
+
+  // Who accessed which patient's data
+  const accessLog = createAccessLog(store, { maxEntries: ACCESS_LOG_MAX_ENTRIES });
+
+  // Latest alerts per patient, for the population overview
+  const alertSnapshots = population.createAlertSnapshots(store, { historyDays: ALERT_HISTORY_DAYS });
+
+  // Discontinuations and imported course dates the EMR can't store
+  const medicationChanges = medicationCourse.createMedicationChanges(store);
+
+  // Webhook, email and SMS notifications for new high-severity alerts
+  const notifier = notifications.createNotifier({
+    store,
+    channels: notificationChannels || notifications.channelsFromEnv(env),
+    routes: notifications.parseRoutes(env.NOTIFY_ROUTES || undefined),
+    maxAttempts: NOTIFY_MAX_ATTEMPTS,
+    backoffMs: NOTIFY_RETRY_BACKOFF_MS,
+    dedupeMs: NOTIFY_DEDUPE_HOURS * 60 * 60 * 1000,
+    linkBaseUrl: PUBLIC_URL
+  });
+  notifier.resume();
+
+  // User accounts and login sessions
+  const users = auth.createUserDirectory(store);
+  const sessions = auth.createSessions({ ttlMs: SESSION_TTL_MINUTES * 60 * 1000 });
+  const sessionCookie = { httpOnly: true, sameSite: 'lax', secure: env.NODE_ENV === 'production', maxAge: sessions.ttlMs };
+
+  if (ADMIN_USERNAME && ADMIN_PASSWORD && !users.findByUsername(ADMIN_USERNAME)) {
+    users.create({ username: ADMIN_USERNAME, name: 'Administrator', role: 'admin', password: ADMIN_PASSWORD });
+    logger.info('AUTH', `Created admin account "${ADMIN_USERNAME}"`);
   }
-  if (endpoint.match(/^\/v1\/patients\/\d+\/medications/) && method === 'GET') {
-    const id = parseInt(endpoint.split('/')[3]);
-    return { results: mockData.medications.filter(m => m.patient === id) };
+  if (DEMO_USERS && users.count() === 0) {
+    auth.ROLES.forEach(role => users.create({ username: role, name: `Demo ${role}`, role, password: DEMO_PASSWORD }));
+    logger.warn('AUTH', `Created demo accounts (${auth.ROLES.join(', ')}) for mock mode`);
   }
-  if (endpoint === '/v1/ai/patient' && method === 'POST') {
-    const newId = mockData.patients.length + 1;
-    const prompt = (data?.prompt || '');
-    
-    // Extract patient name using the same logic as main app
-    let fullName = `Patient ${newId}`;
-    const namePatterns = [
-      /(?:new patient|patient|create patient)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/i,
-      /^([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)(?:\s+has|\s+is|\s+,)/i,
-      /^([A-Z][a-z]+\s+[A-Z][a-z]+)/i
-    ];
-    
-    for (const pattern of namePatterns) {
-      const match = prompt.match(pattern);
-      if (match && match[1]) {
-        fullName = match[1].trim();
-        break;
-      }
+  if (users.count() === 0) {
+    logger.warn('AUTH', 'No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin.');
+  }
+
+  app.use(auth.authenticate({ sessions, users, cookieOptions: sessionCookie }));
+  const { requirePermission } = auth;
+
+  // Verified PharmaVigilance webhook events, pushed live to open dashboards
+  const webhookInbox = webhooks.createWebhookInbox(store);
+  const liveEvents = createLiveEvents();
+
+  // Helper: auth headers, plus the id of the request being handled so EMR
+  // logs can be matched with ours
+  const authHeaders = () => {
+    const { requestId } = logger.currentContext();
+    return {
+      ...(API_TOKEN ? { Authorization: `Token ${API_TOKEN}` } : {}),
+      ...(requestId ? { 'X-Request-Id': requestId } : {})
+    };
+  };
+
+  // Upstream latency, failures and fallbacks to mock data
+  const observeUpstream = ({ method, endpoint, outcome, reason, durationMs }) => {
+    const labels = labelled({ method, endpoint: metrics.endpointLabel(endpoint) });
+    appMetrics.upstreamDuration.observe({ ...labels, outcome }, durationMs / 1000);
+    if (outcome === 'ok') return;
+    appMetrics.upstreamErrors.inc({ ...labels, reason });
+    if (outcome === 'fallback') appMetrics.upstreamFallbacks.inc(labels);
+  };
+
+  // Mock EMR answers for mock mode and fallback data
+  const mockResponseFor = createMockEmr(store);
+
+  // Upstream EMR client: timeouts, retries with backoff for GETs and a circuit
+  // breaker. Failures raise UpstreamError unless mock fallback is enabled, and
+  // every response is tagged with where it came from.
+  const upstream = injectedUpstream || createUpstreamClient({
+    baseUrl: BASE_URL,
+    headers: authHeaders,
+    mock: MOCK_API,
+    mockResponseFor,
+    timeoutMs: UPSTREAM_TIMEOUT_MS,
+    retries: UPSTREAM_RETRIES,
+    backoffMs: UPSTREAM_BACKOFF_MS,
+    fallback: UPSTREAM_FALLBACK,
+    breaker: { threshold: UPSTREAM_BREAKER_THRESHOLD, resetMs: UPSTREAM_BREAKER_RESET_MS },
+    observe: observeUpstream
+  });
+  const apiCall = upstream.call;
+
+  // Banner text for data that isn't live upstream data, or null
+  const dataSourceNotice = ({ source, reason }) => {
+    if (source === 'fallback') {
+      return `${reason}. Showing fallback demo data - do not use for clinical decisions.`;
     }
-    
-    // Extract allergies
-    const allergies = [];
-    const allergyMatch = prompt.match(/allergic to\s+([a-zA-Z\s,]+?)(?:\.|,|$)/i);
-    if (allergyMatch) {
-      const allergyList = allergyMatch[1].split(',').map(a => a.trim()).filter(Boolean);
-      allergies.push(...allergyList);
+    if (source === 'mock') return 'Mock mode: showing demo data, not real patient records.';
+    return null;
+  };
+
+  app.locals.dataSourceNotice = dataSourceNotice;
+  // The clinic, shown next to the signed-in user when several share the server
+  app.locals.tenant = tenant;
+  // Choices offered by the patient review form
+  app.locals.sexes = SEXES;
+  app.locals.allergySeverities = ALLERGY_SEVERITIES;
+  // Lab tests the clinical rules know about, for the lab entry form
+  app.locals.labTests = () => Object.values(clinicalRules.get().labs);
+  app.locals.describeEvidence = clinicalRules.describeEvidence;
+
+  // Error page for an upstream failure, with a 503 when the EMR is unreachable
+  const renderUpstreamError = (res, error) => res.status(error.status && error.status < 500 ? 502 : 503).render('index', {
+    patients: [],
+    dashboard: null,
+    error: `${error.message}. No data is shown rather than stale or demo data.`,
+    dataSource: null
+  });
+
+  // Fill in a cached name when the API didn't return one
+  const withCachedName = (patient) => {
+    if (patient && !patient.full_name && !patient.first_name && store.getCachedName(patient.id)) {
+      patient.full_name = store.getCachedName(patient.id);
     }
-    
-    const created = { id: newId, full_name: fullName, allergies };
-    mockData.patients.push(created);
-    console.log('[MOCK] Created patient:', created);
-    return { status: true, id: newId };
-  }
-  if (endpoint === '/v1/patients/create' && method === 'POST') {
-    const newId = mockData.patients.length + 1;
-    const created = { 
-      id: newId, 
-      full_name: data?.full_name || `Patient ${newId}`, 
-      allergies: data?.allergies || [] 
+    return patient;
+  };
+
+  // Fetch a patient with their encounters and medications, or null if not found.
+  // `dataSource` is the least trustworthy source among the three responses.
+  const loadPatientRecord = async (id) => {
+    let responses;
+    try {
+      responses = await Promise.all([
+        apiCall(`/v1/patients/${id}`),
+        apiCall(`/v1/patients/${id}/encounters`),
+        apiCall(`/v1/patients/${id}/medications`)
+      ]);
+    } catch (error) {
+      if (error instanceof UpstreamError && error.status === 404) return null;
+      throw error;
+    }
+    const [patient, encountersData, medicationsData] = responses;
+    if (!patient || !patient.id) return null;
+    return {
+      patient: withCachedName(patient),
+      encounters: encountersData.results || [],
+      medications: medicationChanges.apply(medicationsData.results || []),
+      dataSource: upstream.combinedSource(...responses)
     };
-    mockData.patients.push(created);
-    return { status: true, status_code: 201, id: newId };
-  }
-  if (endpoint === '/v1/ai/emr' && method === 'POST') {
-    const patientId = parseInt(data?.patient) || null;
-    const prompt = data?.prompt || '';
-    const summary = prompt.substring(0, 140);
-    
-    // Extract diagnosis from prompt
-    let diagnosis = 'Clinical consultation';
-    const diagnosisPatterns = [
-      /(?:has|diagnosed with|suffering from|complains of)\s+([a-zA-Z\s,]+?)(?:\.|,|\s+prescribe|\s+bp:|$)/i,
-      /diagnosis[:\s]+([a-zA-Z\s]+?)(?:\.|,|$)/i,
-      /(?:fever|headache|infection|hypertension|diabetes|cough|cold|pain)/i
-    ];
-    
-    for (const pattern of diagnosisPatterns) {
-      const match = prompt.match(pattern);
-      if (match) {
-        if (match[1]) {
-          diagnosis = match[1].trim();
-        } else {
-          diagnosis = match[0];
+  };
+
+  // Compute a patient's alerts and keep them as the patient's snapshot for the
+  // population overview. Alerts that weren't in the previous snapshot are
+  // counted as emitted. With `notify`, they are also sent to the notification
+  // channels; with no previous snapshot there is nothing to compare against,
+  // so nothing is sent.
+  const alertsFor = async (patientId, medications, patient, { notify = false } = {}) => {
+    const previous = alertSnapshots.forPatient(patientId);
+    const alerts = await computeAlerts(patientId, medications, patient, alertOptions());
+    alertSnapshots.record(patientId, patient, alerts);
+    const known = new Set(previous ? previous.alerts.map(a => a.id) : []);
+    const added = alerts.filter(a => !known.has(a.id));
+    added.forEach(a => appMetrics.alertsEmitted.inc(labelled({ type: a.type, severity: a.severity })));
+    if (notify && previous && added.length) {
+      notifier.dispatch(patient, added).catch(error => logger.error('NOTIFY', 'Dispatch failed', { error: error.message }));
+    }
+    return alerts;
+  };
+
+  // Recompute stored alerts for every patient whose snapshot is missing or
+  // stale (or all of them). Patients are loaded one at a time to spare the EMR.
+  const refreshAlertSnapshots = async ({ all = false } = {}) => {
+    const maxAgeMs = ALERT_SNAPSHOT_MAX_AGE_MINUTES * 60 * 1000;
+    const patientsData = await apiCall('/v1/patients');
+    const due = (patientsData.results || []).filter(p => all || alertSnapshots.isStale(p.id, maxAgeMs));
+    let refreshed = 0;
+    for (const { id } of due) {
+      const record = await loadPatientRecord(id);
+      if (!record) continue;
+      await alertsFor(id, record.medications, record.patient);
+      refreshed += 1;
+    }
+    logger.info('POPULATION', `Refreshed alerts for ${refreshed} of ${(patientsData.results || []).length} patients`);
+    return { refreshed, patients: (patientsData.results || []).length };
+  };
+
+  // Bulk import of FHIR bundles and CSV through the same EMR endpoints
+  const patientImporter = importer.createImporter({ apiCall, loadPatientRecord, alertsFor, cacheName: store.cacheName, getCachedName: store.getCachedName, medicationChanges });
+
+  // Routes
+
+  // Only redirect to local paths after login
+  const safeNext = (next) => (typeof next === 'string' && /^\/(?!\/)/.test(next) ? next : '/');
+
+  app.get('/login', (req, res) => {
+    res.render('login', { error: null, next: safeNext(req.query.next) });
+  });
+
+  // Log in from the form (redirects) or as JSON (returns the session token for API clients)
+  app.post('/login', (req, res) => {
+    const wantsJson = req.is('application/json');
+    const user = users.authenticate(req.body.username, req.body.password);
+    if (!user) {
+      logger.warn('AUTH', `Failed login for "${(req.body.username || '').toString().slice(0, 40)}"`);
+      return wantsJson
+        ? res.status(401).json({ success: false, error: 'Invalid username or password' })
+        : res.status(401).render('login', { error: 'Invalid username or password', next: safeNext(req.body.next) });
+    }
+
+    const token = sessions.create(user);
+    res.cookie(auth.SESSION_COOKIE, token, sessionCookie);
+    logger.info('AUTH', `${user.username} (${user.role}) logged in`);
+    if (wantsJson) return res.json({ success: true, user, token });
+    res.redirect(safeNext(req.body.next));
+  });
+
+  app.post('/logout', (req, res) => {
+    if (req.sessionToken) sessions.destroy(req.sessionToken);
+    res.clearCookie(auth.SESSION_COOKIE);
+    if (req.is('application/json')) return res.json({ success: true });
+    res.redirect('/login');
+  });
+
+  // Home - list patients
+  app.get('/', accessLog.track(), requirePermission('patients:read'), async (req, res) => {
+    try {
+      const patientsData = await apiCall('/v1/patients');
+      const patients = patientsData.results || [];
+
+      // Enhance patients with cached names if available
+      patients.forEach(withCachedName);
+
+      // Open alert counts from stored snapshots; no per-patient EMR calls
+      const alertCounts = Object.fromEntries(population.buildOverview({
+        snapshots: alertSnapshots.all(),
+        history: [],
+        annotate: auditLog.annotator()
+      }).ranking.map(r => [r.patientId, r]));
+
+      res.render('index', { patients, alertCounts, dashboard: null, dataSource: upstream.sourceOf(patientsData) });
+    } catch (error) {
+      logger.error('ERROR', 'Failed to fetch patients', { error: error.message });
+      if (error instanceof UpstreamError) return renderUpstreamError(res, error);
+      res.status(500).render('index', { 
+        patients: [], 
+        dashboard: null, 
+        error: 'Failed to load patients' 
+      });
+    }
+  });
+
+  // Population overview: patients ranked by open high-severity alerts, frequent
+  // interaction pairs and trends, all read from stored alert snapshots
+  app.get('/overview', accessLog.track(), requirePermission('patients:read'), (req, res) => {
+    const { error, filters } = population.parseFilters(req.query);
+    const overview = population.buildOverview({
+      snapshots: alertSnapshots.all(),
+      history: alertSnapshots.history(),
+      annotate: auditLog.annotator(),
+      filters: filters || {}
+    });
+    res.status(error ? 400 : 200).render('overview', { overview, error, alertTypes: ALERT_TYPES });
+  });
+
+  app.post('/admin/population/refresh', requirePermission('population:refresh'), async (req, res) => {
+    try {
+      const all = req.body.all === true || req.body.all === 'true';
+      res.json({ success: true, ...(await refreshAlertSnapshots({ all })) });
+    } catch (error) {
+      logger.error('ERROR', 'Population refresh failed', { error: error.message });
+      if (error instanceof UpstreamError) return res.status(503).json({ success: false, error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to refresh alerts' });
+    }
+  });
+
+  // Import patients from a FHIR R4 Bundle (application/fhir+json or
+  // application/json) or CSV (text/csv). ?dryRun=true validates and checks for
+  // duplicates without creating anything.
+  const importBody = [
+    bodyParser.text({ type: 'text/csv', limit: `${IMPORT_MAX_MB}mb` }),
+    bodyParser.json({ type: ['application/json', 'application/fhir+json'], limit: `${IMPORT_MAX_MB}mb` }),
+    (error, req, res, next) => res.status(error.status || 400).json({
+      success: false,
+      error: error.type === 'entity.too.large' ? `Import is larger than ${IMPORT_MAX_MB}MB` : `Import body could not be read: ${error.message}`
+    })
+  ];
+  app.post('/admin/import', accessLog.track(), requirePermission('patients:import'), importBody, async (req, res) => {
+    try {
+      const format = req.is('text/csv') ? 'csv' : 'fhir';
+      const dryRun = req.query.dryRun === 'true';
+      const parsed = importer.parse(format, req.body);
+      if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+      if (!parsed.records.length) return res.status(400).json({ success: false, error: 'No patients found to import' });
+
+      logger.info('IMPORT', `${req.user.username} importing ${parsed.records.length} ${format} records${dryRun ? ' (dry run)' : ''}`);
+      const result = await patientImporter.run(parsed, { dryRun });
+      result.records.filter(r => r.patientId).forEach(r => accessLog.record({
+        user: req.user,
+        patientId: r.patientId,
+        method: req.method,
+        path: req.originalUrl,
+        status: 201
+      }));
+      res.json({ success: true, format, ...result });
+    } catch (error) {
+      logger.error('ERROR', 'Import failed', { error: error.message });
+      if (error instanceof UpstreamError) return res.status(503).json({ success: false, error: `${error.message}. Nothing was imported.` });
+      res.status(500).json({ success: false, error: 'Import failed' });
+    }
+  });
+
+  // Create patient in two phases. Without `confirmed`, the prompt is parsed
+  // into a draft for the clinician to review and nothing is saved. With
+  // `confirmed: true`, the reviewed `patient` fields are validated and created
+  // exactly as confirmed.
+  app.post('/create-patient', accessLog.track(), requirePermission('patients:create'), async (req, res) => {
+    try {
+      const confirmed = req.body.confirmed === true || req.body.confirmed === 'true';
+
+      if (!confirmed) {
+        const prompt = (req.body.prompt || '').toString().trim();
+        if (!prompt) {
+          return res.status(400).json({ success: false, error: 'Prompt is required' });
         }
-        break;
+        const { draft, review, parsed } = draftFromPrompt(prompt);
+        logger.info('PROMPT PARSED', 'Drafted patient from prompt', { needsReview: review.map(r => r.field) });
+        return res.json({ success: true, review: true, draft, needsReview: review, parsed });
       }
-    }
-    
-    const created = { 
-      id: mockData.encounters.length + 1, 
-      created_at: new Date().toISOString(), 
-      summary, 
-      patient: patientId, 
-      diagnosis
-    };
-    
-    // Parse medications from prompt and add them
-    const promptLower = prompt.toLowerCase();
-    const medications = [
-      { keyword: 'aspirin', name: 'Aspirin', dose: '500mg' },
-      { keyword: 'amlodipine', name: 'Amlodipine', dose: '5mg' },
-      { keyword: 'amoxicillin', name: 'Amoxicillin', dose: '250mg' },
-      { keyword: 'penicillin', name: 'Penicillin', dose: '500mg' },
-      { keyword: 'ibuprofen', name: 'Ibuprofen', dose: '400mg' },
-      { keyword: 'warfarin', name: 'Warfarin', dose: '5mg' },
-      { keyword: 'paracetamol', name: 'Paracetamol', dose: '500mg' },
-      { keyword: 'codeine', name: 'Codeine', dose: '30mg' }
-    ];
-    
-    medications.forEach(med => {
-      if (promptLower.includes(med.keyword)) {
-        mockData.medications.push({ 
-          id: mockData.nextMedicationId++,
-          name: med.name, 
-          patient: patientId,
-          dose: med.dose,
-          created_at: new Date().toISOString()
-        });
+
+      const { valid, errors, patient } = validatePatient(req.body.patient || {});
+      if (!valid) {
+        return res.status(400).json({ success: false, error: 'Please correct the highlighted fields', errors });
       }
-    });
-    
-    mockData.encounters.push(created);
-    return { status: true, id: created.id };
-  }
-  return {};
-};
 
-// Safe API call with better error handling
-const apiCall = async (endpoint, method='GET', data=null) => {
-  if (MOCK_API) {
-    console.log(`[MOCK MODE] ${method} ${endpoint}`);
-    return mockResponseFor(endpoint, method, data);
-  }
-  try {
-    const url = `${BASE_URL}${endpoint}`;
-    console.log(`[API CALL] ${method} ${url}`);
-    const resp = await axios({ method, url, headers: { ...authHeaders(), 'Content-Type':'application/json' }, data });
-    return resp.data;
-  } catch (err) {
-    console.error(`[API ERROR] ${method} ${endpoint}:`, err.response?.data || err.message);
-    console.log('[FALLBACK] Using mock data due to API error');
-    return mockResponseFor(endpoint, method, data);
-  }
-};
+      logger.info('CREATE PATIENT', 'Creating confirmed patient');
+      const created = await apiCall('/v1/patients/create', 'POST', patient);
+      const patientId = created?.id || null;
+      if (!patientId) {
+        logger.error('ERROR', 'Patient create returned no ID', { body: logger.describeBody(created) });
+        return res.status(502).json({ success: false, error: 'The EMR did not return a patient ID. Please try again.' });
+      }
 
-// High-risk medications that require monitoring even when used alone
-const HIGH_RISK_MEDICATIONS = [
-  { name: 'warfarin', warning: 'Warfarin requires regular blood monitoring (INR levels). Risk of bleeding.' },
-  { name: 'codeine', warning: 'Codeine is an opioid. Monitor for respiratory depression and dependence risk.' },
-  { name: 'amoxicillin', warning: 'Amoxicillin - verify no penicillin allergy before administration.' }
-];
-
-// Compute alerts with improved medication matching
-const computeAlerts = async (patientId, meds=[], patient={}) => {
-  const alerts = [];
-  const allergies = patient.allergies || [];
-  
-  console.log(`[ALERT CHECK] Patient ${patientId}:`, {
-    allergies,
-    medications: meds.map(m => m.name)
+      // Remember the confirmed name in case the EMR doesn't return full_name
+      store.cacheName(patientId, patient.full_name);
+      res.locals.patientId = patientId;
+      logger.info('SUCCESS', `Patient created, ID: ${patientId}`, { patientId });
+      return res.json({ success: true, patientId, patient });
+    } catch (error) {
+      logger.error('ERROR', 'Exception in create-patient', { error: error.message });
+      if (error instanceof UpstreamError) {
+        return res.status(503).json({ success: false, error: `${error.message}. The patient was not created.` });
+      }
+      return res.status(500).json({ 
+        success: false, 
+        error: 'An unexpected error occurred' 
+      });
+    }
   });
-  
-  // Check for allergy risks
-  allergies.forEach(allergy => {
-    meds.forEach(med => {
-      const medName = (med.name || '').toLowerCase();
-      const allergyLower = allergy.toLowerCase();
-      // Check if medication name contains the allergy or vice versa
-      if (medName.includes(allergyLower) || allergyLower.includes(medName.split(' ')[0])) {
-        alerts.push({ 
-          type:'ALLERGY RISK', 
-          message:`Patient is allergic to ${allergy}! Prescribed medication: ${med.name}`, 
-          risk:'High' 
+
+  // Dashboard with comprehensive error handling
+  app.get('/dashboard/:id', accessLog.track(req => parseInt(req.params.id)), requirePermission('patients:read'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+
+      if (isNaN(id)) {
+        return res.status(400).render('index', { 
+          patients: [], 
+          dashboard: null, 
+          error: 'Invalid patient ID' 
         });
       }
-    });
-  });
-  
-  // Check for high-risk single medications
-  meds.forEach(med => {
-    const medName = (med.name || '').toLowerCase();
-    HIGH_RISK_MEDICATIONS.forEach(highRisk => {
-      if (medName.includes(highRisk.name)) {
-        alerts.push({
-          type: 'PHARMAVIGILANCE ALERT',
-          message: highRisk.warning,
-          risk: 'High'
+
+      const record = await loadPatientRecord(id);
+
+      if (!record) {
+        return res.status(404).render('index', { 
+          patients: [], 
+          dashboard: null, 
+          error: 'Patient not found' 
         });
       }
-    });
-  });
-  
-  // Check for drug interactions
-  RISKY_COMBINATIONS.forEach(([drugA, drugB]) => {
-    const hasA = meds.some(m => {
-      const name = m.name.toLowerCase();
-      return name.includes(drugA) || drugA.includes(name.split(' ')[0]);
-    });
-    const hasB = meds.some(m => {
-      const name = m.name.toLowerCase();
-      return name.includes(drugB) || drugB.includes(name.split(' ')[0]);
-    });
-    
-    if (hasA && hasB) {
-      alerts.push({ 
-        type:'DRUG INTERACTION', 
-        message:`${drugA.toUpperCase()} + ${drugB.toUpperCase()} = Serious interaction risk`, 
-        risk:'High' 
+
+      const { patient, encounters, medications } = record;
+      const alerts = auditLog.annotate(id, await alertsFor(id, medications, patient));
+      auditLog.recordViews(id, alerts, req.user.username);
+      const audit = auditLog.forPatient(id).slice(0, 10);
+      const liveAlerts = webhookInbox.forPatient(id).slice(0, 10).map(webhooks.toAlert);
+      const patientsData = await apiCall('/v1/patients');
+      const patients = patientsData.results || [];
+
+      const timeline = medicationCourse.timeline(medications);
+      const clinical = {
+        conditions: (patient.conditions || []).map(c => (typeof c === 'string' ? { name: c, status: 'active' } : c)),
+        labs: Object.values(clinicalRules.latestLabs(patient)),
+        pregnant: clinicalRules.isPregnant(patient)
+      };
+
+      res.render('index', { 
+        patients, 
+        dashboard: { patient, encounters, medications, timeline, clinical, alerts, audit, liveAlerts },
+        dataSource: upstream.worstOf(record.dataSource, upstream.sourceOf(patientsData))
+      });
+    } catch (error) {
+      logger.error('ERROR', 'Failed to load dashboard', { error: error.message });
+      if (error instanceof UpstreamError) return renderUpstreamError(res, error);
+      res.status(500).render('index', { 
+        patients: [], 
+        dashboard: null, 
+        error: 'Failed to load patient dashboard' 
       });
     }
   });
-  
-  console.log(`[ALERT RESULT] ${alerts.length} alerts detected`);
-  
-  return alerts;
-};
 
-// Routes
+  // Printable safety summary for referral or discharge (print or save as PDF
+  // from the browser)
+  app.get('/dashboard/:id/report', accessLog.track(req => parseInt(req.params.id)), requirePermission('patients:read'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (isNaN(id)) {
+        return res.status(400).render('index', { patients: [], dashboard: null, error: 'Invalid patient ID' });
+      }
 
-// Home - list patients
-app.get('/', async (req, res) => {
-  try {
-    const patientsData = await apiCall('/v1/patients');
-    const patients = patientsData.results || [];
-    
-    // Enhance patients with cached names if available
-    patients.forEach(p => {
-      if (!p.full_name && !p.first_name && patientNameCache[p.id]) {
-        p.full_name = patientNameCache[p.id];
+      const record = await loadPatientRecord(id);
+      if (!record) {
+        return res.status(404).render('index', { patients: [], dashboard: null, error: 'Patient not found' });
       }
-    });
-    
-    res.render('index', { patients, dashboard: null });
-  } catch (error) {
-    console.error('[ERROR] Failed to fetch patients:', error.message);
-    res.status(500).render('index', { 
-      patients: [], 
-      dashboard: null, 
-      error: 'Failed to load patients' 
-    });
-  }
-});
-
-// Create patient with validation and proper error handling
-app.post('/create-patient', async (req, res) => {
-  try {
-    // Validate input
-    const prompt = (req.body.prompt || '').toString().trim();
-    if (!prompt) {
-      return res.status(400).json({ success: false, error: 'Prompt is required' });
+
+      const alerts = auditLog.annotate(id, await alertsFor(id, record.medications, record.patient));
+      res.render('report', { report: buildReport(record, alerts) });
+    } catch (error) {
+      logger.error('ERROR', 'Failed to build safety report', { error: error.message });
+      if (error instanceof UpstreamError) return renderUpstreamError(res, error);
+      res.status(500).render('index', { patients: [], dashboard: null, error: 'Failed to build safety report' });
     }
+  });
+
+  // Create encounter with validation and error handling
+  // A dry run only checks the prescription; saving needs permission to create encounters
+  const isDryRun = (req) => req.body.dryRun === true || req.body.dryRun === 'true';
+  const encounterPermission = (req, res, next) => requirePermission(isDryRun(req) ? 'prescriptions:check' : 'encounters:create')(req, res, next);
+
+  app.post('/create-encounter', accessLog.track(req => parseInt(req.body.patientId)), encounterPermission, async (req, res) => {
+    try {
+      // Validate input
+      const patientId = parseInt(req.body.patientId);
+      const prompt = (req.body.prompt || '').toString().trim();
+
+      if (isNaN(patientId)) {
+        return res.status(400).json({ success: false, error: 'Valid patient ID is required' });
+      }
 
-    // Extract patient name from prompt (do this early for caching)
-    let extractedName = 'New Patient';
-    let firstName = 'New';
-    
-    // Try multiple patterns - IMPORTANT: Check specific patterns before general ones
-    const namePatterns = [
-      // Pattern 1: "New patient John Doe" or "patient John Doe" - check FIRST to avoid matching "New patient" as a name
-      { regex: /(?:new patient|patient|create patient)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i, desc: 'keyword + name' },
-      // Pattern 2: "Victor Daniel has cold" or "Victor Daniel, allergic to..." - name followed by description
-      { regex: /^([A-Z][a-z]+\s+[A-Z][a-z]+)(?:\s+has|\s+is|\s+,|\s+with)/i, desc: 'name + action' },
-      // Pattern 3: Just "Victor Daniel" at the start (but not if it's "New Patient" etc)
-      { regex: /^([A-Z][a-z]+\s+[A-Z][a-z]+)/, desc: 'name at start' }
-    ];
-    
-    for (const { regex, desc } of namePatterns) {
-      const match = prompt.match(regex);
-      if (match && match[1]) {
-        const candidate = match[1].trim();
-        // Skip if it's just keywords like "New Patient"
-        if (!candidate.match(/^(New Patient|New patient|Patient)$/i)) {
-          extractedName = candidate;
-          const nameParts = extractedName.split(/\s+/);
-          firstName = nameParts[0];
-          console.log('[NAME MATCHED]', { pattern: desc, matched: extractedName });
-          break;
+      if (!prompt) {
+        return res.status(400).json({ success: false, error: 'Prompt is required' });
+      }
+
+      const dryRun = isDryRun(req);
+      const confirmed = req.body.confirmed === true || req.body.confirmed === 'true';
+
+      // The prompt itself is patient information and is never logged
+      logger.info('CREATE ENCOUNTER', `Patient ${patientId}${dryRun ? ' (dry run)' : ''}`, { patientId, dryRun });
+
+      // Check the proposed medications against the current record before anything is written
+      if (dryRun || !confirmed) {
+        const current = await loadPatientRecord(patientId);
+        if (!current) {
+          return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+        const proposed = parsePrompt(prompt).fields.medications.value;
+        const check = await checkPrescription(patientId, current.patient, current.medications, proposed, alertOptions());
+        logger.info('PRESCRIPTION CHECK', `${proposed.length} proposed medications, ${check.newAlerts.length} new alerts`, { patientId });
+
+        if (dryRun) {
+          return res.json({ success: true, dryRun: true, ...check, dataSource: current.dataSource });
+        }
+        // New alerts need the prescriber to confirm before the encounter is saved
+        if (check.newAlerts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            requiresConfirmation: true,
+            error: 'Proposed prescription raises new safety alerts. Review and confirm to save.',
+            ...check,
+            dataSource: current.dataSource
+          });
         }
       }
-    }
-    
-    // Fallback: try to find any capitalized name (single or double)
-    if (extractedName === 'New Patient') {
-      const fallbackMatch = prompt.match(/\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\b/);
-      if (fallbackMatch && !fallbackMatch[1].match(/^(New|Patient|Create)$/i)) {
-        extractedName = fallbackMatch[1].trim();
-        firstName = extractedName.split(/\s+/)[0];
-        console.log('[NAME FALLBACK]', { matched: extractedName });
+
+      // New alerts from this encounter are notified, which needs a snapshot of
+      // the alerts before it to compare against
+      if (!alertSnapshots.forPatient(patientId)) {
+        const before = await loadPatientRecord(patientId);
+        if (before) await alertsFor(patientId, before.medications, before.patient);
       }
+
+      // Create encounter via AI
+      const encounterResp = await apiCall('/v1/ai/emr', 'POST', { patient: patientId, prompt });
+      logger.debug('ENCOUNTER RESPONSE', 'Encounter created upstream', { patientId, encounterId: encounterResp?.id ?? null, body: logger.describeBody(encounterResp) });
+
+      // Wait a moment for the API to process
+      await new Promise(resolve => setTimeout(resolve, ENCOUNTER_SETTLE_MS));
+
+      // Fetch updated data
+      const record = await loadPatientRecord(patientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Patient not found' });
+      }
+      const { patient, encounters, medications } = record;
+
+      logger.info('DATA FETCHED', `Encounters: ${encounters.length}, Medications: ${medications.length}`, { patientId });
+
+      const alerts = auditLog.annotate(patientId, await alertsFor(patientId, medications, patient, { notify: true }));
+
+      logger.info('SUCCESS', `Encounter created. Encounters: ${encounters.length}, Medications: ${medications.length}, Alerts: ${alerts.length}`, { patientId });
+
+      res.json({ success: true, patient, encounters, medications, alerts, dataSource: record.dataSource });
+    } catch (error) {
+      logger.error('ERROR', 'Failed to create encounter', { error: error.message });
+      if (error instanceof UpstreamError) {
+        return res.status(503).json({ success: false, error: `${error.message}. The encounter may not have been saved.` });
+      }
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to create encounter. Please try again.' 
+      });
     }
-    
-    console.log('[NAME EXTRACTION RESULT]', { 
-      prompt, 
-      extractedName, 
-      firstName,
-      willUseForAPI: extractedName !== 'New Patient'
-    });
+  });
 
-    // Helper to call standard create (non-AI)
-    const standardCreate = async (derived) => {
-      try {
-        const r = await apiCall('/v1/patients/create', 'POST', derived);
-        return r?.id || (r?.status === true && r?.id) || null;
-      } catch (e) {
-        console.error('[ERROR] Standard create failed:', e?.message || e);
-        return null;
+  // Acknowledge or override an alert. A reason is required for both.
+  const decideAlert = (action) => async (req, res) => {
+    try {
+      const patientId = parseInt(req.body.patientId);
+      const reason = (req.body.reason || '').toString().trim();
+
+      if (isNaN(patientId)) {
+        return res.status(400).json({ success: false, error: 'Valid patient ID is required' });
+      }
+      if (!reason) {
+        return res.status(400).json({ success: false, error: 'A reason is required' });
       }
-    };
 
-    // 1) Try AI endpoint first (preferred)
-    console.log('[CREATE PATIENT] Attempting AI patient create with prompt:', prompt);
-    const aiResp = await apiCall('/v1/ai/patient', 'POST', { prompt });
-
-    const aiId = aiResp?.id || (aiResp?.status === true && aiResp?.id) || null;
-    if (aiId) {
-      console.log('[SUCCESS] Patient created via AI endpoint, ID:', aiId);
-      
-      // Cache the patient name
-      patientNameCache[aiId] = extractedName;
-      
-      // If we extracted a name, try to update it via standard endpoint
-      if (extractedName !== 'New Patient' && firstName !== 'New') {
-        try {
-          const updateResp = await apiCall(`/v1/patients/${aiId}/update`, 'POST', { 
-            full_name: extractedName,
-            first_name: firstName 
-          });
-          console.log('[UPDATE] Attempted patient name update');
-        } catch (err) {
-          console.log('[WARNING] Could not update patient name, will use cache');
-        }
+      const record = await loadPatientRecord(patientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Patient not found' });
       }
-      
-      return res.json({ success: true, patientId: aiId });
+      const alerts = await alertsFor(patientId, record.medications, record.patient);
+      const alert = alerts.find(a => a.id === req.params.alertId);
+      if (!alert) {
+        return res.status(404).json({ success: false, error: 'Alert is not active for this patient' });
+      }
+
+      const entry = auditLog.record({ patientId, alert, action, user: req.user.username, reason });
+      logger.info('AUDIT', `Alert ${alert.id} ${action} by ${entry.user}`, { patientId, alertId: alert.id });
+      res.json({ success: true, alert: auditLog.annotate(patientId, [alert])[0], audit: entry });
+    } catch (error) {
+      logger.error('ERROR', `Failed to record alert ${action}`, { error: error.message });
+      if (error instanceof UpstreamError) return res.status(503).json({ success: false, error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to record decision' });
     }
+  };
 
-    console.log('[FALLBACK] AI endpoint did not return ID, trying standard create');
+  const trackDecision = accessLog.track(req => parseInt(req.body.patientId));
+  app.post('/alerts/:alertId/acknowledge', trackDecision, requirePermission('alerts:acknowledge'), decideAlert('acknowledged'));
+  app.post('/alerts/:alertId/override', trackDecision, requirePermission('alerts:override'), decideAlert('overridden'));
 
-    // 2) Attempt regular create endpoint as fallback
-    const derived = {
-      first_name: firstName,
-      full_name: extractedName,
-      allergies: []
-    };
+  // Discontinue a medication (a reason is required). The course ends at `at`,
+  // or now, and the medication drops out of safety checks from then on. The
+  // EMR can't update medications, so this is kept in SafeMed's store.
+  app.post('/medications/:medicationId/discontinue', trackDecision, requirePermission('medications:discontinue'), async (req, res) => {
+    try {
+      const patientId = parseInt(req.body.patientId);
+      const medicationId = parseInt(req.params.medicationId);
+      if (isNaN(patientId)) {
+        return res.status(400).json({ success: false, error: 'Valid patient ID is required' });
+      }
+
+      const record = await loadPatientRecord(patientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Patient not found' });
+      }
+      const medication = record.medications.find(m => m.id === medicationId);
+      if (!medication) {
+        return res.status(404).json({ success: false, error: 'Medication not found for this patient' });
+      }
+      const invalid = medicationCourse.validateDiscontinue(medication, req.body);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
 
-    // Parse allergies from prompt
-    const allergyMatch = prompt.toLowerCase().match(/allergic to ([a-zA-Z, ]+)/);
-    if (allergyMatch) {
-      const list = allergyMatch[1].split(',').map(s => s.trim()).filter(Boolean);
-      if (list.length) derived.allergies = list;
+      const fields = medicationChanges.record(patientId, medicationId, {
+        discontinued_at: new Date(req.body.at || Date.now()).toISOString(),
+        discontinued_reason: req.body.reason.toString().trim(),
+        discontinued_by: req.user.username
+      });
+      const updated = { ...medication, ...fields };
+      await alertsFor(patientId, record.medications.map(m => (m.id === medicationId ? updated : m)), record.patient);
+      logger.info('MEDICATION', `Medication ${medicationId} discontinued by ${req.user.username}`, { patientId, medicationId });
+      res.json({ success: true, medication: { ...updated, lifecycle: medicationCourse.lifecycleOf(updated) } });
+    } catch (error) {
+      logger.error('ERROR', 'Failed to discontinue medication', { error: error.message });
+      if (error instanceof UpstreamError) return res.status(503).json({ success: false, error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to discontinue medication' });
     }
+  });
+
+  // Record a lab result or a condition on the patient's EMR record. Both feed
+  // the condition- and lab-aware rules in data/clinicalRules.json.
+  const recordClinicalData = (kind) => async (req, res) => {
+    try {
+      const patientId = parseInt(req.params.patientId);
+      if (isNaN(patientId)) {
+        return res.status(400).json({ success: false, error: 'Valid patient ID is required' });
+      }
+      const checked = kind === 'lab' ? clinicalRules.labEntry(req.body) : clinicalRules.conditionEntry(req.body);
+      if (checked.error) {
+        return res.status(400).json({ success: false, error: checked.error });
+      }
+
+      const record = await loadPatientRecord(patientId);
+      if (!record) {
+        return res.status(404).json({ success: false, error: 'Patient not found' });
+      }
+      const recorded = { recorded_by: req.user.username, recorded_at: new Date().toISOString() };
+      const fields = kind === 'lab'
+        ? { labs: [...(record.patient.labs || []), { ...checked.lab, ...recorded }] }
+        : { conditions: clinicalRules.withCondition(record.patient.conditions, checked.condition, recorded) };
+      await apiCall(`/v1/patients/${patientId}/update`, 'POST', fields);
 
-    const stdId = await standardCreate(derived);
-    if (stdId) {
-      console.log('[SUCCESS] Patient created via standard endpoint, ID:', stdId);
-      // Cache the patient name
-      patientNameCache[stdId] = extractedName;
-      return res.json({ success: true, patientId: stdId });
+      const patient = { ...record.patient, ...fields };
+      const alerts = auditLog.annotate(patientId, await alertsFor(patientId, record.medications, patient, { notify: true }));
+      logger.info('CLINICAL DATA', `${kind} recorded for patient ${patientId} by ${req.user.username}`, { patientId });
+      res.json({ success: true, ...fields, alerts });
+    } catch (error) {
+      logger.error('ERROR', `Failed to record ${kind}`, { error: error.message });
+      if (error instanceof UpstreamError) return res.status(503).json({ success: false, error: error.message });
+      res.status(500).json({ success: false, error: `Failed to record ${kind}` });
     }
+  };
 
-    // 3) Last resort: mock fallback
-    if (MOCK_API) {
-      const mResp = mockResponseFor('/v1/ai/patient', 'POST', { prompt });
-      const id = mResp?.id || null;
-      if (id) {
-        console.log('[SUCCESS] Patient created via mock, ID:', id);
-        return res.json({ success: true, patientId: id });
+  const trackPatientParam = accessLog.track(req => parseInt(req.params.patientId));
+  app.post('/patients/:patientId/labs', trackPatientParam, requirePermission('clinical-data:record'), recordClinicalData('lab'));
+  app.post('/patients/:patientId/conditions', trackPatientParam, requirePermission('clinical-data:record'), recordClinicalData('condition'));
+
+  // PharmaVigilance webhook: verify the HMAC signature, reject replays, store
+  // the event, match it to a patient and push it to any open dashboard
+  app.post('/webhook', async (req, res) => {
+    try {
+      if (!req.body || typeof req.body !== 'object' || Object.keys(req.body).length === 0) {
+        return res.status(400).json({ received: false, error: 'Empty payload' });
+      }
+
+      if (WEBHOOK_SECRET) {
+        const check = webhooks.verifySignature({
+          rawBody: req.rawBody || '',
+          signature: req.get('X-PV-Signature'),
+          timestamp: req.get('X-PV-Timestamp'),
+          secret: WEBHOOK_SECRET,
+          toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS
+        });
+        if (!check.valid) {
+          logger.warn('WEBHOOK', `Rejected: ${check.reason}`);
+          return res.status(401).json({ received: false, error: check.reason });
+        }
+      } else if (!MOCK_API) {
+        logger.error('WEBHOOK', 'Rejected: WEBHOOK_SECRET is not configured');
+        return res.status(503).json({ received: false, error: 'Webhook secret not configured' });
+      } else {
+        logger.warn('WEBHOOK', 'Accepting unsigned event (mock mode, no WEBHOOK_SECRET set)');
+      }
+
+      // The id comes from the signed body, so a captured event can't be
+      // replayed under a new id by changing a header
+      const eventId = (req.body.id ?? '').toString();
+      if (!eventId) {
+        return res.status(400).json({ received: false, error: 'Event id ("id" in the body) is required' });
       }
+      if (req.get('X-PV-Event-Id') && req.get('X-PV-Event-Id') !== eventId) {
+        return res.status(400).json({ received: false, error: 'X-PV-Event-Id does not match the event id in the body' });
+      }
+      // Reserved before the first await, so concurrent copies of one event
+      // are processed once
+      if (!webhookInbox.reserve(eventId)) {
+        logger.warn('WEBHOOK', `Duplicate event ${eventId} ignored`, { eventId });
+        return res.json({ received: true, duplicate: true, eventId });
+      }
+
+      let patientsData;
+      try {
+        patientsData = await apiCall('/v1/patients');
+      } catch (error) {
+        webhookInbox.release(eventId);
+        throw error;
+      }
+      const patients = (patientsData.results || []).map(withCachedName);
+      const { patientId, matchedBy } = webhooks.matchPatient(req.body, patients);
+      const event = webhookInbox.save({ eventId, payload: req.body, patientId, matchedBy });
+      logger.info('WEBHOOK', `Event ${eventId} stored${patientId ? `, patient ${patientId} (by ${matchedBy})` : ', no patient match'}`, { eventId, patientId, matchedBy });
+
+      if (patientId) liveEvents.publish(patientId, 'pharmavigilance', webhooks.toAlert(event));
+
+      res.json({ received: true, eventId, patientId, timestamp: event.receivedAt });
+    } catch (error) {
+      logger.error('ERROR', 'Webhook processing failed', { error: error.message });
+      // Not stored yet, so a 503 lets the sender retry once the EMR is back
+      if (error instanceof UpstreamError) return res.status(503).json({ received: false, error: error.message });
+      res.status(500).json({ received: false, error: 'Processing failed' });
     }
+  });
 
-    // If everything failed
-    console.error('[ERROR] All patient creation methods failed');
-    return res.status(500).json({ 
-      success: false, 
-      error: 'Failed to create patient. Please try again.' 
-    });
-  } catch (error) {
-    console.error('[ERROR] Exception in create-patient:', error.message);
-    return res.status(500).json({ 
-      success: false, 
-      error: 'An unexpected error occurred' 
-    });
-  }
-});
-// Dashboard with comprehensive error handling
-app.get('/dashboard/:id', async (req, res) => {
-  try {
+  // Live alert stream (Server-Sent Events) for an open dashboard
+  app.get('/events/patients/:id', accessLog.track(req => parseInt(req.params.id)), requirePermission('patients:read'), (req, res) => {
     const id = parseInt(req.params.id);
-    
-    if (isNaN(id)) {
-      return res.status(400).render('index', { 
-        patients: [], 
-        dashboard: null, 
-        error: 'Invalid patient ID' 
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid patient ID' });
+    liveEvents.streamPatientEvents(req, res, id);
+  });
+
+  // Reload the drug knowledge base, class ontology, name variants and dose limits without restarting the server.
+  // The shared files are reloaded for every clinic on the server; this clinic's additions only for it.
+  app.post('/admin/knowledge-base/reload', requirePermission('knowledge-base:reload'), (req, res) => {
+    try {
+      knowledgeBase.reload();
+      drugClasses.reload();
+      normalize.reload();
+      dose.reload();
+      clinicalRules.reload();
+      if (localKnowledgeBase) localKnowledgeBase.reload();
+      res.json({
+        success: true,
+        knowledgeBase: knowledgeBase.info(),
+        localKnowledgeBase: localKnowledgeBase ? localKnowledgeBase.info() : null,
+        clinicalRules: clinicalRules.info()
+      });
+    } catch (error) {
+      logger.error('ERROR', 'Knowledge base reload failed', { error: error.message });
+      res.status(400).json({
+        success: false,
+        error: `Knowledge base not reloaded: ${error.message}`,
+        knowledgeBase: knowledgeBase.info()
       });
     }
+  });
 
-    const [patient, encountersData, medicationsData] = await Promise.all([
-      apiCall(`/v1/patients/${id}`),
-      apiCall(`/v1/patients/${id}/encounters`),
-      apiCall(`/v1/patients/${id}/medications`)
-    ]);
-    
-    if (!patient || !patient.id) {
-      return res.status(404).render('index', { 
-        patients: [], 
-        dashboard: null, 
-        error: 'Patient not found' 
-      });
+  // Notification channels and the delivery log, newest first (?status=, ?patientId=)
+  app.get('/admin/notifications', requirePermission('notifications:manage'), (req, res) => {
+    const { status, patientId } = req.query;
+    if (status && !notifications.DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `"status" must be one of ${notifications.DELIVERY_STATUSES.join(', ')}` });
     }
-    
-    // Enhance patient with cached name if available
-    if (!patient.full_name && !patient.first_name && patientNameCache[id]) {
-      patient.full_name = patientNameCache[id];
+    const deliveries = notifier.deliveries({ status, patientId: patientId === undefined ? undefined : parseInt(patientId) });
+    res.json({ success: true, ...notifier.info(), total: deliveries.length, deliveries: deliveries.slice(0, 100) });
+  });
+
+  // Send a failed delivery again
+  app.post('/admin/notifications/:deliveryId/retry', requirePermission('notifications:manage'), async (req, res) => {
+    try {
+      const result = await notifier.retry(parseInt(req.params.deliveryId));
+      if (!result) return res.status(404).json({ success: false, error: 'Delivery not found' });
+      if (result.error) return res.status(409).json({ success: false, error: result.error });
+      res.json({ success: result.status === 'delivered', delivery: result });
+    } catch (error) {
+      logger.error('ERROR', 'Notification retry failed', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to retry delivery' });
     }
-    
-    const encounters = encountersData.results || [];
-    const medications = medicationsData.results || [];
-    const alerts = await computeAlerts(id, medications, patient);
-    const patientsData = await apiCall('/v1/patients');
-    const patients = patientsData.results || [];
-    
-    res.render('index', { 
-      patients, 
-      dashboard: { patient, encounters, medications, alerts } 
-    });
-  } catch (error) {
-    console.error('[ERROR] Failed to load dashboard:', error.message);
-    res.status(500).render('index', { 
-      patients: [], 
-      dashboard: null, 
-      error: 'Failed to load patient dashboard' 
-    });
-  }
-});
-
-// Create encounter with validation and error handling
-app.post('/create-encounter', async (req, res) => {
-  try {
-    // Validate input
-    const patientId = parseInt(req.body.patientId);
-    const prompt = (req.body.prompt || '').toString().trim();
-    
-    if (isNaN(patientId)) {
-      return res.status(400).json({ success: false, error: 'Valid patient ID is required' });
+  });
+
+  // User accounts (admin only)
+  app.get('/admin/users', requirePermission('users:manage'), (req, res) => {
+    res.json({ success: true, users: users.list(), roles: auth.ROLES });
+  });
+
+  app.post('/admin/users', requirePermission('users:manage'), (req, res) => {
+    try {
+      const user = users.create(req.body || {});
+      logger.info('AUTH', `${req.user.username} created ${user.role} account "${user.username}"`);
+      res.status(201).json({ success: true, user });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
     }
-    
-    if (!prompt) {
-      return res.status(400).json({ success: false, error: 'Prompt is required' });
+  });
+
+  // Change a user's role, name or disabled flag. Disabling ends their sessions.
+  app.post('/admin/users/:userId', requirePermission('users:manage'), (req, res) => {
+    try {
+      const user = users.update(parseInt(req.params.userId), req.body || {});
+      if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+      if (user.disabled) sessions.destroyForUser(user.id);
+      logger.info('AUTH', `${req.user.username} updated account "${user.username}"`);
+      res.json({ success: true, user });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
     }
+  });
 
-    console.log(`[CREATE ENCOUNTER] Patient ${patientId}, prompt: ${prompt}`);
-    
-    // Create encounter via AI
-    const encounterResp = await apiCall('/v1/ai/emr', 'POST', { patient: patientId, prompt });
-    console.log(`[ENCOUNTER RESPONSE]`, encounterResp);
-    
-    // Wait a moment for the API to process
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Fetch updated data
-    const [patient, encountersData, medicationsData] = await Promise.all([
-      apiCall(`/v1/patients/${patientId}`),
-      apiCall(`/v1/patients/${patientId}/encounters`),
-      apiCall(`/v1/patients/${patientId}/medications`)
-    ]);
-    
-    const encounters = encountersData.results || [];
-    const medications = medicationsData.results || [];
-    
-    console.log(`[DATA FETCHED] Encounters: ${encounters.length}, Medications: ${medications.length}`);
-    
-    const alerts = await computeAlerts(patientId, medications, patient);
-    
-    console.log(`[SUCCESS] Encounter created. Encounters: ${encounters.length}, Medications: ${medications.length}, Alerts: ${alerts.length}`);
-    
-    res.json({ success: true, patient, encounters, medications, alerts });
-  } catch (error) {
-    console.error('[ERROR] Failed to create encounter:', error.message);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to create encounter. Please try again.' 
+  // Versioned JSON API
+  app.use('/api/v1', createApiRouter({ apiCall, sourceOf: upstream.sourceOf, loadPatientRecord, withCachedName, alertsFor, alertOptions, alertSnapshots, auditLog, accessLog, webhookInbox, tenant }));
+  app.use('/api', apiErrorHandler);
+
+  // Health check. ?probe=true makes a live upstream call first so the reported
+  // status and latency are current rather than from the last real request.
+  app.get('/health', async (req, res) => {
+    if (req.query.probe === 'true' && !MOCK_API) {
+      try {
+        await apiCall('/v1/patients');
+      } catch (error) {
+        // Recorded in the upstream status below
+      }
+    }
+    const upstreamStatus = upstream.status();
+    res.json({ 
+      status: ['down', 'degraded'].includes(upstreamStatus.status) ? 'degraded' : 'ok', 
+      ...(tenant ? { tenant: { id: tenant.id, name: tenant.name } } : {}),
+      mode: MOCK_API ? 'mock' : 'real',
+      store: store.type,
+      timestamp: new Date().toISOString(),
+      apiConnected: MOCK_API || upstreamStatus.status === 'up',
+      upstream: upstreamStatus,
+      knowledgeBase: knowledgeBase.info(),
+      localKnowledgeBase: localKnowledgeBase ? localKnowledgeBase.info() : null,
+      clinicalRules: clinicalRules.info(),
+      notifications: notifier.info()
     });
+  });
+
+  // Prometheus metrics: request latency, upstream errors and fallbacks, and
+  // alerts emitted. Protected by METRICS_TOKEN when it is set.
+  app.get('/metrics', metrics.metricsHandler(appMetrics, { token: METRICS_TOKEN }));
+
+  // For the startup banner, and for tests that seed users or data
+  app.set('services', { tenant, store, upstream, users, sessions, notifier, mock: MOCK_API, baseUrl: BASE_URL, apiTokenSet: Boolean(API_TOKEN) });
+
+  return app;
+};
+
+// One server for several clinics (TENANTS_FILE). Each tenant gets its own app
+// from createApp, so upstream credentials, store, name cache, users and local
+// knowledge base additions are all per clinic. Requests go to the tenant named
+// by the tenant header or the subdomain, or to TENANT_DEFAULT. /metrics covers
+// every clinic.
+const createMultiTenantApp = ({ env = process.env, tenants: tenantList = tenants.loadTenants(env.TENANTS_FILE, env) } = {}) => {
+  const app = express();
+  const header = env.TENANT_HEADER || tenants.DEFAULT_HEADER;
+  const defaultId = env.TENANT_DEFAULT || null;
+  if (defaultId && !tenantList.some(t => t.id === defaultId)) {
+    throw new Error(`TENANT_DEFAULT "${defaultId}" is not one of the tenants`);
   }
-});
-
-// Webhook endpoint with basic validation
-app.post('/webhook', (req, res) => {
-  try {
-    console.log('🔔 [WEBHOOK] PHARMAVIGILANCE ALERT RECEIVED:', JSON.stringify(req.body, null, 2));
-    
-    // Basic validation - in production, verify webhook signature here
-    if (!req.body) {
-      return res.status(400).json({ received: false, error: 'Empty payload' });
+  // One set of metrics for every clinic, each series labelled with its tenant
+  const sharedMetrics = metrics.createMetrics();
+  const apps = new Map(tenantList.map(tenant => [tenant.id, createApp({ env: tenants.envFor(tenant, env), tenant, metrics: sharedMetrics })]));
+
+  app.get('/metrics', metrics.metricsHandler(sharedMetrics, { token: env.METRICS_TOKEN || '' }));
+
+  // Without a tenant named, /health reports every clinic's upstream status.
+  // ?probe=true makes a live call to each clinic's EMR first.
+  app.get('/health', async (req, res, next) => {
+    if (tenants.resolveTenant(req, tenantList, { header }).named) return next();
+    const clinics = await Promise.all([...apps.values()].map(async tenantApp => {
+      const { tenant, store, upstream, mock } = tenantApp.get('services');
+      if (req.query.probe === 'true' && !mock) {
+        try {
+          await upstream.call('/v1/patients');
+        } catch (error) {
+          // Recorded in the upstream status below
+        }
+      }
+      const upstreamStatus = upstream.status();
+      return {
+        id: tenant.id,
+        name: tenant.name,
+        status: ['down', 'degraded'].includes(upstreamStatus.status) ? 'degraded' : 'ok',
+        mode: mock ? 'mock' : 'real',
+        store: store.type,
+        apiConnected: mock || upstreamStatus.status === 'up',
+        upstream: upstreamStatus
+      };
+    }));
+    res.json({
+      status: clinics.some(c => c.status === 'degraded') ? 'degraded' : 'ok',
+      timestamp: new Date().toISOString(),
+      tenants: clinics
+    });
+  });
+
+  app.use((req, res, next) => {
+    const { tenant, id } = tenants.resolveTenant(req, tenantList, { header, defaultId });
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: id ? `Unknown clinic "${id}"` : `No clinic selected. Use the clinic's subdomain or the ${header} header.`
+      });
     }
-    
-    res.json({ received: true, timestamp: new Date().toISOString() });
-  } catch (error) {
-    console.error('[ERROR] Webhook processing failed:', error.message);
-    res.status(500).json({ received: false, error: 'Processing failed' });
+    apps.get(tenant.id)(req, res, next);
+  });
+
+  // Each clinic's app, by tenant id
+  app.set('tenants', apps);
+
+  return app;
+};
+
+// Startup banner lines for one app's upstream and store
+const describeServices = ({ store, upstream, mock, baseUrl, apiTokenSet }) => {
+  const lines = [
+    `🔧 Mode: ${mock ? 'MOCK (Development)' : 'REAL API'}`,
+    `🔑 API Token: ${apiTokenSet ? 'Configured ✓' : 'Not set (using mock)'}`,
+    `📡 Base URL: ${baseUrl}`
+  ];
+  if (!mock) {
+    const { timeoutMs, retries, fallback } = upstream.status();
+    lines.push(`🛟 Upstream: timeout ${timeoutMs}ms, ${retries} GET retries, fallback ${fallback}`);
   }
-});
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    mode: MOCK_API ? 'mock' : 'real',
-    timestamp: new Date().toISOString(),
-    apiConnected: !!API_TOKEN || MOCK_API
+  lines.push(`💾 Store: ${store.type}${store.file ? ` (${store.file})` : ''}`);
+  return lines;
+};
+
+// Start the server when run directly (npm start)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  const multiTenant = Boolean(process.env.TENANTS_FILE);
+  const app = multiTenant ? createMultiTenantApp() : createApp();
+  app.listen(PORT, () => {
+    // The banner is for people; JSON logs get one structured entry instead
+    if (logger.getSettings().format === 'json') {
+      const clinics = multiTenant ? [...app.get('tenants').values()].map(tenantApp => tenantApp.get('services')) : [app.get('services')];
+      return logger.info('STARTUP', `SafeMed server running on port ${PORT}`, {
+        port: Number(PORT),
+        clinics: clinics.map(({ tenant, store, mock, baseUrl, apiTokenSet }) => ({
+          ...(tenant ? { id: tenant.id } : {}),
+          mode: mock ? 'mock' : 'real',
+          baseUrl,
+          apiTokenSet,
+          store: store.type
+        }))
+      });
+    }
+    console.log('='.repeat(60));
+    console.log(`🚀 SafeMed Server Running`);
+    console.log(`📍 Port: ${PORT}`);
+    console.log(`🌐 URL: http://localhost:${PORT}`);
+    if (multiTenant) {
+      const header = process.env.TENANT_HEADER || tenants.DEFAULT_HEADER;
+      console.log(`🏥 Clinics, chosen by subdomain or ${header} header${process.env.TENANT_DEFAULT ? ` (default ${process.env.TENANT_DEFAULT})` : ''}:`);
+      app.get('tenants').forEach(tenantApp => {
+        const services = tenantApp.get('services');
+        console.log(`  ${services.tenant.id} - ${services.tenant.name}`);
+        describeServices(services).forEach(line => console.log(`    ${line}`));
+      });
+    } else {
+      describeServices(app.get('services')).forEach(line => console.log(line));
+    }
+    console.log('='.repeat(60));
   });
-});
-
-// Start server
-app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log(`🚀 SafeMed Server Running`);
-  console.log(`📍 Port: ${PORT}`);
-  console.log(`🌐 URL: http://localhost:${PORT}`);
-  console.log(`🔧 Mode: ${MOCK_API ? 'MOCK (Development)' : 'REAL API'}`);
-  console.log(`🔑 API Token: ${API_TOKEN ? 'Configured ✓' : 'Not set (using mock)'}`);
-  console.log(`📡 Base URL: ${BASE_URL}`);
-  console.log('='.repeat(60));
-});
+  // Leave through process.exit on Ctrl+C and `kill`, so file stores write
+  // their pending changes first
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+}
+
+module.exports = { createApp, createMultiTenantApp };
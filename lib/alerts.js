@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const knowledgeBase = require('./knowledgeBase');
+const drugClasses = require('./drugClasses');
+const normalize = require('./normalize');
+const dose = require('./dose');
+const medications = require('./medications');
+const clinicalRules = require('./clinicalRules');
+const logger = require('./logger');
+
+const ALERT_TYPES = ['ALLERGY RISK', 'PHARMAVIGILANCE ALERT', 'DOSE ALERT', 'DRUG INTERACTION', 'DUPLICATE THERAPY', 'CLINICAL RULE'];
+
+// Default severity for class-based allergy matches, by confidence
+const SEVERITY_FOR_CONFIDENCE = { high: 'contraindicated', moderate: 'major', low: 'moderate' };
+
+// Stable alert identity: the same finding for the same patient always hashes
+// to the same id, so acknowledgements survive recomputation
+const alertIdFor = (patientId, key) => crypto
+  .createHash('sha1')
+  .update(`${patientId}|${key}`)
+  .digest('hex')
+  .slice(0, 16);
+
+// Build an alert carrying the knowledge base severity and guidance
+const buildAlert = (type, message, entry) => ({
+  type,
+  message,
+  severity: entry.severity,
+  risk: knowledgeBase.riskFor(entry.severity),
+  mechanism: entry.mechanism || null,
+  guidance: entry.guidance || null,
+  references: entry.references || []
+});
+
+// The medications in `meds` whose course overlaps another one in `meds`,
+// counting only pairs for which `counts(a, b)` holds
+const overlappingIn = (meds, at, counts = () => true) => meds.filter(a => meds.some(b =>
+  b !== a && counts(a, b) && medications.overlaps(a.record, b.record, at)));
+
+// Compare one allergy against one normalized medication
+const allergyAlertFor = (kb, allergy, allergen, med) => {
+  const direct = allergen.ingredients.find(i => med.ingredients.includes(i));
+  if (direct) {
+    const entry = kb.allergyRisks.find(r => r.allergen === direct) || { severity: 'contraindicated' };
+    return {
+      ...buildAlert('ALLERGY RISK', `Patient is allergic to ${allergy}! Prescribed medication: ${med.name}`, entry),
+      match: 'direct',
+      confidence: 'high'
+    };
+  }
+
+  // The allergy text itself may name a class ("NSAIDs"), otherwise compare its ingredients
+  const candidates = [allergy.toLowerCase().trim(), ...allergen.ingredients];
+  let classMatch = null;
+  candidates.some(a => med.ingredients.some(i => {
+    classMatch = drugClasses.compareAllergen(a, i);
+    return classMatch;
+  }));
+  if (!classMatch) return null;
+
+  const severity = classMatch.severity || SEVERITY_FOR_CONFIDENCE[classMatch.confidence];
+  const relation = classMatch.match === 'same-class'
+    ? `same class (${classMatch.drugClass})`
+    : `possible cross-reactivity with ${classMatch.drugClass}`;
+  return {
+    ...buildAlert(
+      'ALLERGY RISK',
+      `Patient is allergic to ${allergy}! Prescribed medication: ${med.name} - ${relation}`,
+      {
+        severity,
+        mechanism: classMatch.note,
+        guidance: classMatch.match === 'same-class'
+          ? `Avoid ${classMatch.drugClass} unless tolerance has been documented.`
+          : 'Confirm the type and severity of the original reaction before prescribing; consider an alternative agent.'
+      }
+    ),
+    match: classMatch.match,
+    confidence: classMatch.confidence,
+    drugClass: classMatch.drugClass
+  };
+};
+
+// Compute alerts against normalized ingredients. Only medications that are
+// active (or yet to start) at `at` are checked; completed and discontinued
+// courses are history. `kb` replaces the shared knowledge base, e.g. with a
+// clinic's local additions merged in.
+const computeAlerts = async (patientId, meds=[], patient={}, { at = Date.now(), kb = knowledgeBase.get() } = {}) => {
+  const alerts = [];
+  const allergies = patient.allergies || [];
+
+  // Resolve brand names, synonyms, salts and misspellings once for every check
+  const normalized = meds.filter(m => medications.isCurrent(m, at)).map(m => ({
+    id: m.id,
+    name: m.name,
+    dose: m.dose || m.dosage || '',
+    ingredients: normalize.ingredientsOf(m.name),
+    record: m
+  }));
+
+  // Counts only: allergies and medications are patient information
+  logger.debug('ALERT CHECK', `Checking patient ${patientId}`, {
+    patientId,
+    allergyCount: allergies.length,
+    medicationCount: normalized.length,
+    unresolvedMedications: normalized.filter(m => !m.ingredients.length).length
+  });
+
+  // Check for allergy risks: direct ingredient match first, then drug class and cross-reactivity
+  allergies.forEach(allergy => {
+    const allergen = normalize.normalizeName(allergy);
+    normalized.forEach(med => {
+      const alert = allergyAlertFor(kb, allergy, allergen, med);
+      if (alert) alerts.push({ ...alert, key: `allergy|${allergy.toLowerCase()}|${med.name.toLowerCase()}`, medication: med.name });
+    });
+  });
+
+  // Check for high-risk single medications
+  normalized.forEach(med => {
+    kb.highRiskMedications.forEach(highRisk => {
+      if (med.ingredients.includes(highRisk.drug)) {
+        alerts.push({
+          ...buildAlert('PHARMAVIGILANCE ALERT', highRisk.warning, highRisk),
+          key: `high-risk|${highRisk.drug}|${med.name.toLowerCase()}`,
+          medication: med.name
+        });
+      }
+    });
+  });
+
+  // Check doses against daily maximums and pediatric weight/age limits
+  normalized.forEach(med => {
+    if (!med.dose) return;
+    const { parsed, findings } = dose.checkDose(med.dose, med.ingredients, patient);
+    findings.forEach(f => {
+      alerts.push({
+        ...buildAlert('DOSE ALERT', `${med.name} (${med.dose}): ${f.message}`, {
+          severity: f.severity,
+          guidance: f.finding === 'underdose'
+            ? 'Confirm the intended dose; a higher dose may be needed for effect.'
+            : 'Reduce the dose or frequency, and check for the same ingredient in other products.',
+          references: f.references
+        }),
+        key: `dose|${med.id ?? med.name.toLowerCase()}|${f.ingredient}|${f.finding}`,
+        finding: f.finding,
+        medicationId: med.id ?? null,
+        medication: med.name,
+        parsedDose: {
+          strengthsMg: parsed.strengths,
+          perKg: parsed.perKg,
+          route: parsed.route,
+          frequency: parsed.frequency,
+          perDay: parsed.perDay
+        }
+      });
+    });
+  });
+
+  // Check for drug interactions between separate medications whose courses
+  // overlap. Two ingredients inside one combination product are co-formulated
+  // on purpose.
+  kb.interactions.forEach(entry => {
+    const [drugA, drugB] = entry.drugs;
+    const withA = normalized.filter(m => m.ingredients.includes(drugA));
+    const withB = normalized.filter(m => m.ingredients.includes(drugB));
+    const pair = withA
+      .flatMap(a => withB.filter(b => b !== a && medications.overlaps(a.record, b.record, at)).map(b => [a, b]))[0];
+
+    if (pair) {
+      alerts.push({
+        ...buildAlert(
+          'DRUG INTERACTION',
+          `${drugA.toUpperCase()} + ${drugB.toUpperCase()} = ${entry.severity.toUpperCase()} interaction`,
+          entry
+        ),
+        key: `interaction|${drugA}|${drugB}`,
+        medications: pair.map(m => m.name)
+      });
+    }
+  });
+
+  // Check for duplicate therapy between separate medications whose courses
+  // overlap: the same ingredient in more than one product, then different
+  // ingredients from one pharmacological class
+  [...new Set(normalized.flatMap(m => m.ingredients))].forEach(ingredient => {
+    const products = overlappingIn(normalized.filter(m => m.ingredients.includes(ingredient)), at);
+    if (products.length < 2) return;
+    alerts.push({
+      ...buildAlert(
+        'DUPLICATE THERAPY',
+        `${ingredient.toUpperCase()} in more than one medication: ${products.map(m => m.name).join(', ')}`,
+        {
+          severity: 'major',
+          guidance: `Stop one of the products, or count the ${ingredient} in all of them against its daily maximum.`
+        }
+      ),
+      key: `duplicate|${ingredient}`,
+      duplication: 'ingredient',
+      ingredient,
+      medications: products.map(m => m.name)
+    });
+  });
+
+  [...new Set(normalized.flatMap(m => m.ingredients.flatMap(drugClasses.classesOf)))].forEach(classId => {
+    const members = normalized
+      .map(m => ({ ...m, inClass: m.ingredients.filter(i => drugClasses.classesOf(i).includes(classId)) }))
+      .filter(m => m.inClass.length);
+    // Products sharing a single ingredient were reported above
+    const products = overlappingIn(members, at, (a, b) => new Set([...a.inClass, ...b.inClass]).size > 1);
+    if (products.length < 2) return;
+    const drugClass = drugClasses.labelOf(classId);
+    const named = products.map(m => (
+      m.inClass.join('+') === m.name.toLowerCase() ? m.name : `${m.name} (${m.inClass.join(' + ')})`
+    ));
+    alerts.push({
+      ...buildAlert('DUPLICATE THERAPY', `${drugClass.toUpperCase()} in more than one medication: ${named.join(', ')}`, {
+        severity: drugClasses.get().byId[classId].duplicateSeverity || 'moderate',
+        guidance: 'Stop all but one unless the combination is intended, and document the reason.'
+      }),
+      key: `duplicate-class|${classId}`,
+      duplication: 'class',
+      drugClass,
+      medications: products.map(m => m.name)
+    });
+  });
+
+  // Check patient-specific rules: conditions, lab results, age and pregnancy
+  clinicalRules.evaluate(patient, normalized).forEach(({ rule, med, evidence }) => {
+    const cited = evidence.map(clinicalRules.describeEvidence).join('; ');
+    alerts.push({
+      ...buildAlert('CLINICAL RULE', `${med.name}: ${rule.message}${cited ? ` (${cited})` : ''}`, rule),
+      key: `rule|${rule.id}|${med.name.toLowerCase()}`,
+      rule: rule.id,
+      medicationId: med.id ?? null,
+      medication: med.name,
+      evidence
+    });
+  });
+
+  logger.info('ALERT RESULT', `${alerts.length} alerts detected`, {
+    patientId,
+    alerts: alerts.length,
+    types: alerts.reduce((counts, a) => ({ ...counts, [a.type]: (counts[a.type] || 0) + 1 }), {})
+  });
+
+  return alerts.map(alert => ({ id: alertIdFor(patientId, alert.key), ...alert }));
+};
+
+module.exports = { ALERT_TYPES, alertIdFor, computeAlerts };
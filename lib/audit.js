@@ -0,0 +1,129 @@
+// Audit actions, and the ones that change an alert's status
+const ACTIONS = ['viewed', 'acknowledged', 'overridden'];
+const STATUS_FOR_ACTION = { acknowledged: 'acknowledged', overridden: 'overridden' };
+
+// Repeat views of the same alert by the same user within this window are not re-logged
+const VIEW_DEDUPE_MS = 10 * 60 * 1000;
+
+const COLLECTION = 'auditLog';
+
+// Logs capped at `max` entries are cut back to this share of it when they go
+// over, so the oldest entries are dropped in batches rather than one per insert
+const TRIM_TO = 0.9;
+
+// Drop the oldest entries matching `predicate` once there are more than `max`
+const capEntries = (store, name, max, predicate) => {
+  if (!max || store.count(name) <= max) return;
+  if (predicate && store.find(name, predicate).length <= max) return;
+  store.trim(name, Math.floor(max * TRIM_TO), predicate);
+};
+
+// Append-only audit log kept in the repository. Acknowledgements and
+// overrides are never removed; beyond `maxViews` view entries, the oldest
+// views are dropped.
+const createAuditLog = (store, { maxViews = 100000 } = {}) => {
+  const forPatient = (patientId, { action, alertId } = {}) => store
+    .find(COLLECTION, e => e.patientId === Number(patientId)
+      && (!action || e.action === action)
+      && (!alertId || e.alertId === alertId))
+    .sort((a, b) => b.at.localeCompare(a.at) || b.id - a.id);
+
+  const record = ({ patientId, alert, action, user, reason = null }) => {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown audit action "${action}"`);
+    return store.insert(COLLECTION, {
+      at: new Date().toISOString(),
+      patientId: Number(patientId),
+      alertId: alert.id,
+      alert: { type: alert.type, message: alert.message, severity: alert.severity },
+      action,
+      user,
+      reason
+    });
+  };
+
+  // Log that a user was shown these alerts
+  const recordViews = (patientId, alerts, user) => {
+    const cutoff = Date.now() - VIEW_DEDUPE_MS;
+    const recent = new Set(forPatient(patientId, { action: 'viewed' })
+      .filter(e => e.user === user && Date.parse(e.at) > cutoff)
+      .map(e => e.alertId));
+    alerts
+      .filter(a => !recent.has(a.id))
+      .forEach(alert => record({ patientId, alert, action: 'viewed', user }));
+    capEntries(store, COLLECTION, maxViews, e => e.action === 'viewed');
+  };
+
+  const withStatus = (alert, latest) => ({
+    ...alert,
+    status: latest ? STATUS_FOR_ACTION[latest.action] : 'open',
+    decision: latest ? { action: latest.action, user: latest.user, reason: latest.reason, at: latest.at } : null
+  });
+
+  // Attach status ('open', 'acknowledged', 'overridden') and the latest decision to each alert
+  const annotate = (patientId, alerts) => {
+    const decisions = forPatient(patientId).filter(e => STATUS_FOR_ACTION[e.action]);
+    return alerts.map(alert => withStatus(alert, decisions.find(e => e.alertId === alert.id)));
+  };
+
+  // An annotate(patientId, alerts) for many patients at once: the latest
+  // decision per patient and alert is indexed in a single pass over the log
+  const annotator = () => {
+    const latest = new Map();
+    store.find(COLLECTION, e => STATUS_FOR_ACTION[e.action]).forEach(e => {
+      const key = `${e.patientId}|${e.alertId}`;
+      const current = latest.get(key);
+      if (!current || e.at > current.at || (e.at === current.at && e.id > current.id)) latest.set(key, e);
+    });
+    return (patientId, alerts) => alerts.map(alert => withStatus(alert, latest.get(`${Number(patientId)}|${alert.id}`)));
+  };
+
+  return { record, recordViews, forPatient, annotate, annotator };
+};
+
+const ACCESS_COLLECTION = 'accessLog';
+
+// Who read or changed which patient's data. Every patient route records an
+// entry when its response ends, including denied, failed and aborted requests.
+// The oldest entries are dropped beyond `maxEntries`.
+const createAccessLog = (store, { maxEntries = 100000 } = {}) => {
+  const record = ({ user, patientId = null, method, path, status }) => {
+    const entry = store.insert(ACCESS_COLLECTION, {
+      at: new Date().toISOString(),
+      user: user ? user.username : null,
+      role: user ? user.role : null,
+      patientId: patientId === null ? null : Number(patientId),
+      action: method === 'GET' ? 'read' : 'write',
+      method,
+      path,
+      status
+    });
+    capEntries(store, ACCESS_COLLECTION, maxEntries);
+    return entry;
+  };
+
+  // Middleware: log the request against the patient `patientIdOf(req)` returns
+  // (null for routes that list every patient). A handler that only learns the
+  // patient id later, such as patient creation, sets res.locals.patientId.
+  const track = (patientIdOf = () => null) => (req, res, next) => {
+    const requested = patientIdOf(req);
+    res.on('close', () => {
+      const patientId = res.locals.patientId ?? requested;
+      record({
+        user: req.user,
+        patientId: Number.isNaN(patientId) ? null : patientId,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      });
+    });
+    next();
+  };
+
+  const forPatient = (patientId) => store
+    .find(ACCESS_COLLECTION, e => e.patientId === Number(patientId))
+    .sort((a, b) => b.at.localeCompare(a.at) || b.id - a.id);
+
+  return { record, track, forPatient };
+};
+
+module.exports = { ACTIONS, createAuditLog, createAccessLog };
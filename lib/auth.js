@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+// Roles and what each may do. Viewers can read patient records but change nothing.
+const ROLES = ['viewer', 'prescriber', 'pharmacist', 'admin'];
+
+const PERMISSIONS = {
+  'patients:read': ['viewer', 'prescriber', 'pharmacist', 'admin'],
+  'patients:create': ['prescriber', 'admin'],
+  'encounters:create': ['prescriber', 'admin'],
+  'prescriptions:check': ['prescriber', 'pharmacist', 'admin'],
+  'medications:discontinue': ['prescriber', 'pharmacist', 'admin'],
+  'clinical-data:record': ['prescriber', 'pharmacist', 'admin'],
+  'alerts:acknowledge': ['prescriber', 'pharmacist', 'admin'],
+  'alerts:override': ['pharmacist', 'admin'],
+  'population:refresh': ['pharmacist', 'admin'],
+  'patients:import': ['admin'],
+  'access-log:read': ['admin'],
+  'users:manage': ['admin'],
+  'knowledge-base:reload': ['admin'],
+  'notifications:manage': ['admin']
+};
+
+const SESSION_COOKIE = 'safemed_session';
+const COLLECTION = 'users';
+
+const can = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+// Every permission a role holds, for templates that show or hide controls
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(p => can(role, p));
+
+// Password hashes are "scrypt$<salt>$<hash>", both hex
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const given = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, given);
+};
+
+// Checked against for unknown usernames, so a login takes as long whether or
+// not the account exists
+let dummyHash = null;
+const unknownUserHash = () => dummyHash || (dummyHash = hashPassword(crypto.randomBytes(16).toString('hex')));
+
+// A user without the password hash, safe to return or render
+const publicUser = (user) => user && {
+  id: user.id,
+  username: user.username,
+  name: user.name,
+  role: user.role,
+  disabled: !!user.disabled,
+  createdAt: user.createdAt
+};
+
+// User accounts kept in the repository's "users" collection
+const createUserDirectory = (store) => {
+  const findByUsername = (username) => store
+    .find(COLLECTION, u => u.username === String(username || '').trim().toLowerCase())[0] || null;
+
+  const create = ({ username, name, role, password }) => {
+    const cleanUsername = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9._-]{2,40}$/.test(cleanUsername)) {
+      throw new Error('Username must be 2-40 characters: letters, digits, ".", "_" or "-"');
+    }
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    if (!password || String(password).length < 8) throw new Error('Password must be at least 8 characters');
+    if (findByUsername(cleanUsername)) throw new Error(`User "${cleanUsername}" already exists`);
+    return publicUser(store.insert(COLLECTION, {
+      username: cleanUsername,
+      name: (name || cleanUsername).toString().trim(),
+      role,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString(),
+      disabled: false
+    }));
+  };
+
+  // The user for a username and password, or null. Disabled accounts can't log in.
+  const authenticate = (username, password) => {
+    const user = findByUsername(username);
+    const valid = verifyPassword(password, user ? user.passwordHash : unknownUserHash());
+    if (!user || user.disabled || !valid) return null;
+    return publicUser(user);
+  };
+
+  const get = (id) => publicUser(store.findById(COLLECTION, id));
+
+  const update = (id, { role, disabled, name }) => {
+    if (role !== undefined && !ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    const fields = {};
+    if (role !== undefined) fields.role = role;
+    if (disabled !== undefined) fields.disabled = !!disabled;
+    if (name !== undefined) fields.name = String(name).trim();
+    return publicUser(store.update(COLLECTION, id, fields));
+  };
+
+  const list = () => store.all(COLLECTION).map(publicUser);
+
+  const count = () => store.count(COLLECTION);
+
+  return { create, authenticate, get, update, list, count, findByUsername: (u) => publicUser(findByUsername(u)) };
+};
+
+// Server-side sessions, in memory: a restart logs everyone out. Each use
+// extends the session, so it expires after `ttlMs` of inactivity.
+const createSessions = ({ ttlMs = 8 * 60 * 60 * 1000, now = Date.now } = {}) => {
+  const sessions = new Map();
+
+  const create = (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { userId: user.id, expiresAt: now() + ttlMs });
+    return token;
+  };
+
+  const lookup = (token) => {
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt <= now()) {
+      sessions.delete(token);
+      return null;
+    }
+    session.expiresAt = now() + ttlMs;
+    return session;
+  };
+
+  const destroy = (token) => sessions.delete(token);
+
+  // End every session for a user, e.g. when the account is disabled
+  const destroyForUser = (userId) => {
+    sessions.forEach((session, token) => { if (session.userId === userId) sessions.delete(token); });
+  };
+
+  return { create, lookup, destroy, destroyForUser, ttlMs };
+};
+
+const readCookie = (req, name) => {
+  const cookie = (req.get('Cookie') || '').split(';')
+    .map(c => c.trim().split('='))
+    .find(([key]) => key === name);
+  return cookie ? decodeURIComponent(cookie[1] || '') : null;
+};
+
+// Session token from the session cookie, or "Authorization: Bearer <token>" for API clients
+const sessionToken = (req) => {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : readCookie(req, SESSION_COOKIE);
+};
+
+// Attach req.user (or null) from the session, and expose it to templates.
+// A session read from the cookie sets the cookie again with `cookieOptions`,
+// so it expires with the session instead of a fixed time after login.
+const authenticate = ({ sessions, users, cookieOptions = null }) => (req, res, next) => {
+  const token = sessionToken(req);
+  const session = sessions.lookup(token);
+  const user = session ? users.get(session.userId) : null;
+  req.user = user && !user.disabled ? user : null;
+  req.sessionToken = req.user ? token : null;
+  if (req.user && cookieOptions && token === readCookie(req, SESSION_COOKIE)) {
+    res.cookie(SESSION_COOKIE, token, cookieOptions);
+  }
+  res.locals.user = req.user;
+  res.locals.permissions = req.user ? permissionsFor(req.user.role) : [];
+  next();
+};
+
+// Deny in the shape the caller expects: the JSON API's { error: { code, message } },
+// a login redirect for pages, or { success: false, error } for the dashboard's fetch calls
+const deny = (req, res, status, code, message) => {
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(status).json({ error: { code, message } });
+  }
+  if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+    if (status === 401) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    return res.status(status).render('login', { error: message, next: '/' });
+  }
+  return res.status(status).json({ success: false, error: message });
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) return deny(req, res, 401, 'unauthenticated', 'Log in to continue');
+  if (!can(req.user.role, permission)) {
+    return deny(req, res, 403, 'forbidden', `Your role (${req.user.role}) is not allowed to do this`);
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  SESSION_COOKIE,
+  can,
+  permissionsFor,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  createUserDirectory,
+  createSessions,
+  sessionToken,
+  authenticate,
+  requirePermission
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { SEVERITIES } = require('./knowledgeBase');
+const drugClasses = require('./drugClasses');
+const dose = require('./dose');
+
+// Patient-aware contraindication rules. A rule fires for a medication when
+// every clause in its "when" matches: the medication (a drug or a drug
+// class), a lab threshold, a condition, age, pregnancy, or "any" of a list of
+// such clauses. Alerts cite the lab value or condition that triggered them.
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'clinicalRules.json');
+
+const THRESHOLDS = {
+  below: { test: (v, t) => v < t, text: 'below' },
+  atMost: { test: (v, t) => v <= t, text: 'at most' },
+  above: { test: (v, t) => v > t, text: 'above' },
+  atLeast: { test: (v, t) => v >= t, text: 'at least' }
+};
+const CLAUSES = ['medication', 'lab', 'condition', 'age', 'pregnant', 'any'];
+const CONDITION_STATUSES = ['active', 'resolved'];
+const PREGNANCY_CONDITIONS = ['pregnancy', 'pregnant'];
+
+let sourcePath = process.env.CLINICAL_RULES_PATH || DEFAULT_PATH;
+let current = null;
+
+const lower = (value) => String(value || '').toLowerCase().trim();
+
+// Check the shape of a parsed rules file, throwing on the first problem
+const validate = (file) => {
+  if (!file || typeof file !== 'object' || !Array.isArray(file.rules)) {
+    throw new Error('Clinical rules file must have a "rules" array');
+  }
+  const labs = file.labs || {};
+  const ids = new Set();
+
+  const checkRange = (spec, where) => {
+    const bounds = Object.keys(THRESHOLDS).filter(k => spec[k] !== undefined);
+    if (!bounds.length) throw new Error(`${where}: needs one of ${Object.keys(THRESHOLDS).join(', ')}`);
+    bounds.forEach(k => {
+      if (typeof spec[k] !== 'number') throw new Error(`${where}: "${k}" must be a number`);
+    });
+  };
+
+  const checkClauses = (when, where, { top }) => {
+    if (!when || typeof when !== 'object') throw new Error(`${where}: must be an object`);
+    Object.keys(when).forEach(key => {
+      if (!CLAUSES.includes(key)) throw new Error(`${where}: unknown clause "${key}"`);
+    });
+    if (top && !when.medication) throw new Error(`${where}: "medication" is required`);
+    if (when.medication) {
+      const { drug, class: drugClass } = when.medication;
+      if (!drug && !drugClass) throw new Error(`${where}.medication: needs "drug" or "class"`);
+      if (drugClass && !drugClasses.get().byId[drugClass]) {
+        throw new Error(`${where}.medication: unknown drug class "${drugClass}"`);
+      }
+    }
+    if (when.lab) {
+      if (!labs[when.lab.test]) throw new Error(`${where}.lab: unknown test "${when.lab.test}"`);
+      checkRange(when.lab, `${where}.lab`);
+    }
+    if (when.age) checkRange(when.age, `${where}.age`);
+    if (when.condition !== undefined && !lower(when.condition)) {
+      throw new Error(`${where}.condition: must be a condition name`);
+    }
+    if (when.pregnant !== undefined && typeof when.pregnant !== 'boolean') {
+      throw new Error(`${where}.pregnant: must be true or false`);
+    }
+    if (when.any !== undefined) {
+      if (!Array.isArray(when.any) || !when.any.length) throw new Error(`${where}.any: must be a non-empty list`);
+      when.any.forEach((clause, i) => checkClauses(clause, `${where}.any[${i}]`, { top: false }));
+    }
+  };
+
+  file.rules.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!rule.id) throw new Error(`${where}: "id" is required`);
+    if (ids.has(rule.id)) throw new Error(`${where}: duplicate id "${rule.id}"`);
+    ids.add(rule.id);
+    if (!SEVERITIES.includes(rule.severity)) throw new Error(`${where}: unknown severity "${rule.severity}"`);
+    if (!rule.message) throw new Error(`${where}: "message" is required`);
+    checkClauses(rule.when, `${where}.when`, { top: true });
+  });
+};
+
+// Lower-case names and index lab aliases
+const prepare = (file) => {
+  const labs = {};
+  const labAliases = {};
+  Object.entries(file.labs || {}).forEach(([test, lab]) => {
+    labs[test] = { test, label: lab.label || test, unit: lab.unit || '' };
+    [test, lab.label, ...(lab.aliases || [])].filter(Boolean).forEach(a => { labAliases[lower(a)] = test; });
+  });
+  return {
+    version: file.version || null,
+    updated: file.updated || null,
+    labs,
+    labAliases,
+    rules: file.rules.map(rule => ({ ...rule, references: rule.references || [] }))
+  };
+};
+
+const load = (file = sourcePath) => {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validate(parsed);
+  current = prepare(parsed);
+  sourcePath = file;
+  logger.info('CLINICAL RULES', `Loaded ${current.rules.length} rules`, { file });
+  return current;
+};
+
+const reload = () => load(sourcePath);
+
+const get = () => current || load();
+
+const info = () => {
+  const rules = get();
+  return { source: sourcePath, version: rules.version, updated: rules.updated, rules: rules.rules.length, labs: Object.keys(rules.labs) };
+};
+
+// Resolve a lab name as written ("GFR", "K+") to its test id, or null
+const labTest = (name) => get().labAliases[lower(name)] || null;
+
+// Patient clinical data. Conditions are strings or { name, status }; labs are
+// { test, value, unit, taken_at }; pregnancy is `pregnant: true` or an
+// active "pregnancy" condition.
+const activeConditions = (patient = {}) => (patient.conditions || [])
+  .map(c => (typeof c === 'string' ? { name: c, status: 'active' } : c))
+  .filter(c => c && c.name && (c.status || 'active') === 'active');
+
+const isPregnant = (patient = {}) => patient.pregnant === true
+  || activeConditions(patient).some(c => PREGNANCY_CONDITIONS.includes(lower(c.name)));
+
+// The most recent result for each test
+const latestLabs = (patient = {}) => {
+  const latest = {};
+  (patient.labs || []).forEach(lab => {
+    const test = labTest(lab.test) || lower(lab.test);
+    const value = Number(lab.value);
+    if (!test || isNaN(value)) return;
+    const takenAt = lab.taken_at || null;
+    if (!latest[test] || new Date(takenAt || 0) >= new Date(latest[test].takenAt || 0)) {
+      const known = get().labs[test];
+      latest[test] = { test, label: known?.label || lab.test, value, unit: lab.unit || known?.unit || '', takenAt };
+    }
+  });
+  return latest;
+};
+
+const inRange = (value, spec) => Object.entries(THRESHOLDS)
+  .every(([k, t]) => spec[k] === undefined || t.test(value, spec[k]));
+
+const describeRange = (spec) => Object.entries(THRESHOLDS)
+  .filter(([k]) => spec[k] !== undefined)
+  .map(([k, t]) => `${t.text} ${spec[k]}`)
+  .join(' and ');
+
+// A condition name matches when the patient's condition contains it as whole
+// words, so "heart failure" matches "congestive heart failure"
+const conditionMatches = (patientCondition, ruleCondition) => {
+  const escaped = lower(ruleCondition).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(lower(patientCondition));
+};
+
+// Each clause returns the evidence it matched on (possibly empty) or null
+const matchClauses = (when, context) => {
+  const evidence = [];
+  for (const [key, spec] of Object.entries(when)) {
+    const found = CLAUSE_MATCHERS[key](spec, context);
+    if (!found) return null;
+    evidence.push(...found);
+  }
+  return evidence;
+};
+
+const CLAUSE_MATCHERS = {
+  medication: ({ drug, class: drugClass }, { med }) => {
+    if (drug && med.ingredients.includes(lower(drug))) return [];
+    if (drugClass && med.ingredients.some(i => drugClasses.isMember(i, drugClass))) return [];
+    return null;
+  },
+  lab: (spec, { labs }) => {
+    const result = labs[spec.test];
+    if (!result || !inRange(result.value, spec)) return null;
+    return [{ kind: 'lab', ...result, threshold: describeRange(spec) }];
+  },
+  condition: (name, { conditions }) => {
+    const hit = conditions.find(c => conditionMatches(c.name, name));
+    return hit ? [{ kind: 'condition', name: hit.name }] : null;
+  },
+  age: (spec, { age }) => (age !== null && inRange(age, spec)
+    ? [{ kind: 'age', value: age, threshold: describeRange(spec) }]
+    : null),
+  pregnant: (expected, { pregnant }) => (pregnant === expected ? [{ kind: 'pregnancy', value: pregnant }] : null),
+  any: (clauses, context) => {
+    for (const clause of clauses) {
+      const found = matchClauses(clause, context);
+      if (found) return found;
+    }
+    return null;
+  }
+};
+
+// Human-readable citation for one piece of evidence
+const describeEvidence = (e) => {
+  if (e.kind === 'lab') {
+    const when = e.takenAt ? ` on ${String(e.takenAt).slice(0, 10)}` : '';
+    return `${e.label} ${e.value}${e.unit ? ` ${e.unit}` : ''}${when}`;
+  }
+  if (e.kind === 'condition') return `condition: ${e.name}`;
+  if (e.kind === 'age') return `age ${Math.floor(e.value)}`;
+  if (e.kind === 'pregnancy') return e.value ? 'pregnant' : 'not pregnant';
+  return e.kind;
+};
+
+// Every rule that fires for the patient against the given normalized
+// medications ({ id, name, ingredients }). Returns { rule, med, evidence }.
+const evaluate = (patient = {}, meds = []) => {
+  const context = {
+    labs: latestLabs(patient),
+    conditions: activeConditions(patient),
+    age: dose.ageInYears(patient),
+    pregnant: isPregnant(patient)
+  };
+  const findings = [];
+  get().rules.forEach(rule => {
+    meds.forEach(med => {
+      const evidence = matchClauses(rule.when, { ...context, med });
+      if (evidence) findings.push({ rule, med, evidence });
+    });
+  });
+  return findings;
+};
+
+// Check a lab result before recording it. Returns { error } or { lab }.
+const labEntry = ({ test, value, unit, takenAt } = {}) => {
+  const id = labTest(test);
+  if (!id) return { error: `Unknown lab test "${test || ''}". Known tests: ${Object.keys(get().labs).join(', ')}` };
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || isNaN(number)) return { error: 'Lab value must be a number' };
+  const taken = takenAt ? new Date(takenAt) : new Date();
+  if (isNaN(taken)) return { error: '"takenAt" must be a date' };
+  if (taken > new Date()) return { error: '"takenAt" is in the future' };
+  return { lab: { test: id, value: number, unit: unit || get().labs[id].unit, taken_at: taken.toISOString() } };
+};
+
+// Check a condition before recording it. Returns { error } or { condition }.
+const conditionEntry = ({ name, status = 'active' } = {}) => {
+  const clean = String(name || '').trim().replace(/\s+/g, ' ');
+  if (clean.length < 2 || clean.length > 100) return { error: 'Condition name is required (2-100 characters)' };
+  if (!CONDITION_STATUSES.includes(status)) return { error: `Status must be one of ${CONDITION_STATUSES.join(', ')}` };
+  return { condition: { name: clean, status } };
+};
+
+// The patient's condition list with one condition added or its status changed
+const withCondition = (conditions = [], condition, extra = {}) => {
+  const list = conditions.map(c => (typeof c === 'string' ? { name: c, status: 'active' } : c));
+  const existing = list.find(c => lower(c.name) === lower(condition.name));
+  if (existing) Object.assign(existing, { status: condition.status }, extra);
+  else list.push({ ...condition, ...extra });
+  return list;
+};
+
+module.exports = {
+  CONDITION_STATUSES,
+  validate,
+  load,
+  reload,
+  get,
+  info,
+  labTest,
+  activeConditions,
+  isPregnant,
+  latestLabs,
+  evaluate,
+  describeEvidence,
+  labEntry,
+  conditionEntry,
+  withCondition
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'doseLimits.json');
+
+// Conversion of mass units to milligrams
+const MG_PER_UNIT = { mg: 1, g: 1000, mcg: 0.001, 'µg': 0.001, ug: 0.001 };
+
+// Abbreviated and spelled-out frequencies, as doses per day. More specific
+// phrases come first so "twice daily" isn't read as "daily".
+const FREQUENCIES = [
+  { pattern: /\b(?:(?:four times (?:a|per) day|qds|qid)\b|q\.d\.s\.)/, perDay: 4 },
+  { pattern: /\b(?:(?:three times (?:a|per) day|thrice daily|tds|tid)\b|t\.d\.s\.)/, perDay: 3 },
+  { pattern: /\b(?:(?:twice daily|twice a day|two times (?:a|per) day|bd|bid)\b|b\.d\.)/, perDay: 2 },
+  { pattern: /\b(?:stat|single dose|once only)\b/, perDay: 1 },
+  { pattern: /\b(?:once daily|once a day|daily|od|qd|nocte|mane|at night|every morning)\b/, perDay: 1 }
+];
+
+const ROUTES = [
+  { pattern: /\b(?:po|oral|orally|by mouth)\b/, route: 'oral' },
+  { pattern: /\b(?:iv|intravenous|intravenously)\b/, route: 'intravenous' },
+  { pattern: /\b(?:im|intramuscular|intramuscularly)\b/, route: 'intramuscular' },
+  { pattern: /\b(?:sc|subcut|subcutaneous)\b/, route: 'subcutaneous' },
+  { pattern: /\b(?:pr|rectal|rectally)\b/, route: 'rectal' },
+  { pattern: /\b(?:topical|topically)\b/, route: 'topical' }
+];
+
+let sourcePath = process.env.DOSE_LIMITS_PATH || DEFAULT_PATH;
+let current = null;
+
+const load = (file = sourcePath) => {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!parsed.limits || typeof parsed.limits !== 'object') {
+    throw new Error('Dose limit file must have a "limits" object');
+  }
+  current = { pediatricAgeYears: parsed.pediatricAgeYears || 12, limits: parsed.limits };
+  sourcePath = file;
+  logger.info('DOSE LIMITS', `Loaded limits for ${Object.keys(parsed.limits).length} ingredients`, { file });
+  return current;
+};
+
+const reload = () => load(sourcePath);
+
+const get = () => current || load();
+
+// Parse a dose string such as "500mg", "1 g PO TDS", "30/500mg qds",
+// "400mg every 8 hours" or "5 mg/kg bd". Fields that can't be found are null.
+const parseDose = (text) => {
+  const raw = (text || '').toString();
+  const lower = raw.toLowerCase();
+  const result = { raw, strengths: [], unit: null, perKg: false, route: null, frequency: null, perDay: null, prn: false };
+
+  const strength = lower.match(/(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)*)\s*(mg|g|mcg|µg|ug)\b(\s*\/\s*kg)?/);
+  if (strength) {
+    const unit = strength[2];
+    result.unit = unit;
+    result.perKg = !!strength[3];
+    result.strengths = strength[1].split('/').map(v => parseFloat(v) * MG_PER_UNIT[unit]);
+  }
+
+  // "2 tablets" multiplies each dose
+  const count = lower.match(/\b(\d+)\s*(?:x\s*)?(?:tabs?|tablets?|caps?|capsules?)\b/);
+  if (count && result.strengths.length) {
+    result.strengths = result.strengths.map(s => s * parseInt(count[1]));
+  }
+
+  // Intervals under an hour ("every 0 hours") are typos, so the daily total is unknown
+  const interval = lower.match(/\b(?:every|q)\s*(\d+)\s*(?:h|hr|hrs|hours?)\b/);
+  if (interval) {
+    const hours = parseInt(interval[1]);
+    result.perDay = hours >= 1 ? Math.floor(24 / hours) : null;
+    result.frequency = `every ${interval[1]} hours`;
+  } else {
+    const freq = FREQUENCIES.find(f => f.pattern.test(lower));
+    if (freq) {
+      result.perDay = freq.perDay;
+      result.frequency = lower.match(freq.pattern)[0];
+    }
+  }
+  result.prn = /\b(?:prn|as needed|when required|as required)\b/.test(lower);
+
+  const route = ROUTES.find(r => r.pattern.test(lower));
+  if (route) result.route = route.route;
+
+  return result;
+};
+
+// Patient age in years from an age field or date of birth
+const ageInYears = (patient = {}) => {
+  if (patient.age !== undefined && patient.age !== null && patient.age !== '') return parseFloat(patient.age);
+  const dob = patient.date_of_birth || patient.dob || patient.birth_date;
+  if (!dob) return null;
+  const born = new Date(dob);
+  if (isNaN(born)) return null;
+  return (Date.now() - born.getTime()) / (365.25 * 24 * 3600 * 1000);
+};
+
+const weightInKg = (patient = {}) => {
+  const weight = patient.weight_kg ?? patient.weight;
+  const kg = parseFloat(weight);
+  return isNaN(kg) ? null : kg;
+};
+
+const formatMg = (mg) => (mg >= 1000 ? `${+(mg / 1000).toFixed(2)} g` : `${+mg.toFixed(2)} mg`);
+
+// Check one ingredient's dose against its limits. Returns a list of findings:
+// { finding: 'overdose' | 'underdose' | 'age-restriction', severity, message }
+const checkIngredientDose = (ingredient, singleMg, parsed, patient) => {
+  const { limits, pediatricAgeYears } = get();
+  const rule = limits[ingredient];
+  if (!rule) return [];
+
+  const findings = [];
+  const age = ageInYears(patient);
+  const weight = weightInKg(patient);
+
+  if (rule.minAgeYears && age !== null && age < rule.minAgeYears) {
+    findings.push({
+      finding: 'age-restriction',
+      severity: 'contraindicated',
+      message: `${ingredient} is not recommended under ${rule.minAgeYears} years (patient is ${Math.floor(age)}).`
+    });
+  }
+
+  if (singleMg === null || singleMg === undefined) return findings;
+
+  // Pediatric limits apply to children with a known weight; adult caps still apply
+  const pediatric = rule.pediatric && age !== null && age < pediatricAgeYears && weight;
+  let minSingle = rule.adult?.minSingleMg;
+  let maxSingle = rule.adult?.maxSingleMg;
+  let maxDaily = rule.adult?.maxDailyMg;
+  let basis = 'adult';
+  if (pediatric) {
+    const p = rule.pediatric;
+    minSingle = p.minSingleMgPerKg ? p.minSingleMgPerKg * weight : minSingle;
+    maxSingle = p.maxSingleMgPerKg ? p.maxSingleMgPerKg * weight : maxSingle;
+    maxDaily = Math.min(p.maxDailyMgPerKg ? p.maxDailyMgPerKg * weight : Infinity, p.maxDailyMg || Infinity);
+    basis = `${weight} kg child`;
+  }
+
+  // An as-needed dose's frequency is how often it may be taken, so its daily
+  // total is a ceiling the patient may not reach
+  const dailyMg = parsed.perDay ? singleMg * parsed.perDay : null;
+
+  if (dailyMg !== null && maxDaily && dailyMg > maxDaily) {
+    findings.push({
+      finding: 'overdose',
+      severity: parsed.prn ? 'moderate' : 'major',
+      message: parsed.prn
+        ? `${ingredient} ${formatMg(singleMg)} as needed up to x${parsed.perDay}/day allows ${formatMg(dailyMg)}/day, above the ${basis} maximum of ${formatMg(maxDaily)}/day.`
+        : `${ingredient} ${formatMg(singleMg)} x${parsed.perDay}/day = ${formatMg(dailyMg)}/day exceeds the ${basis} maximum of ${formatMg(maxDaily)}/day.`
+    });
+  } else if (maxSingle && singleMg > maxSingle) {
+    findings.push({
+      finding: 'overdose',
+      severity: 'moderate',
+      message: `${ingredient} ${formatMg(singleMg)} per dose exceeds the ${basis} maximum single dose of ${formatMg(maxSingle)}.`
+    });
+  } else if (minSingle && singleMg < minSingle) {
+    findings.push({
+      finding: 'underdose',
+      severity: 'minor',
+      message: `${ingredient} ${formatMg(singleMg)} per dose is below the usual ${basis} minimum of ${formatMg(minSingle)} and may be ineffective.`
+    });
+  }
+
+  return findings;
+};
+
+// Check every ingredient of a medication. Combination strengths ("30/500mg")
+// are matched to ingredients in order; per-kg doses are scaled by weight.
+const checkDose = (doseText, ingredients, patient = {}) => {
+  const parsed = parseDose(doseText);
+  const weight = weightInKg(patient);
+  const strengths = parsed.perKg
+    ? (weight ? parsed.strengths.map(s => s * weight) : [])
+    : parsed.strengths;
+
+  const findings = ingredients.flatMap((ingredient, i) => {
+    const single = strengths.length === ingredients.length ? strengths[i]
+      : (ingredients.length === 1 ? strengths[0] : null);
+    return checkIngredientDose(ingredient, single ?? null, parsed, patient)
+      .map(f => ({ ...f, ingredient, references: get().limits[ingredient].references || [] }));
+  });
+
+  return { parsed, findings };
+};
+
+module.exports = { load, reload, get, parseDose, ageInYears, weightInKg, checkDose };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { SEVERITIES } = require('./knowledgeBase');
+
+const CONFIDENCE_LEVELS = ['high', 'moderate', 'low'];
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'drugClasses.json');
+
+let sourcePath = process.env.DRUG_CLASSES_PATH || DEFAULT_PATH;
+let current = null;
+
+const validate = (ontology) => {
+  if (!ontology || !Array.isArray(ontology.classes)) {
+    throw new Error('Drug class ontology must have a "classes" array');
+  }
+  const ids = new Set(ontology.classes.map(c => c.id));
+  ontology.classes.forEach((cls, i) => {
+    if (!cls.id) throw new Error(`classes[${i}]: "id" is required`);
+    if (cls.parent && !ids.has(cls.parent)) {
+      throw new Error(`classes[${i}]: unknown parent "${cls.parent}"`);
+    }
+    if (cls.sameClassConfidence && !CONFIDENCE_LEVELS.includes(cls.sameClassConfidence)) {
+      throw new Error(`classes[${i}]: unknown confidence "${cls.sameClassConfidence}"`);
+    }
+    if (cls.duplicateSeverity && !SEVERITIES.includes(cls.duplicateSeverity)) {
+      throw new Error(`classes[${i}]: unknown severity "${cls.duplicateSeverity}"`);
+    }
+  });
+  (ontology.crossReactivity || []).forEach((rule, i) => {
+    if (!ids.has(rule.from) || !ids.has(rule.to)) {
+      throw new Error(`crossReactivity[${i}]: unknown class "${ids.has(rule.from) ? rule.to : rule.from}"`);
+    }
+    if (!CONFIDENCE_LEVELS.includes(rule.confidence)) {
+      throw new Error(`crossReactivity[${i}]: unknown confidence "${rule.confidence}"`);
+    }
+  });
+};
+
+// Index classes by id, member ingredient and alias for quick lookups
+const prepare = (ontology) => {
+  const byId = {};
+  const byIngredient = {};
+  const byAlias = {};
+
+  ontology.classes.forEach(cls => {
+    const entry = {
+      ...cls,
+      members: (cls.members || []).map(m => m.toLowerCase()),
+      aliases: (cls.aliases || []).map(a => a.toLowerCase())
+    };
+    byId[entry.id] = entry;
+    entry.members.forEach(m => { (byIngredient[m] = byIngredient[m] || []).push(entry.id); });
+    [entry.id, entry.label.toLowerCase(), ...entry.aliases].forEach(a => { byAlias[a] = entry.id; });
+  });
+
+  return { byId, byIngredient, byAlias, crossReactivity: ontology.crossReactivity || [] };
+};
+
+const load = (file = sourcePath) => {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validate(parsed);
+  current = prepare(parsed);
+  sourcePath = file;
+  logger.info('DRUG CLASSES', `Loaded ${Object.keys(current.byId).length} classes`, { file });
+  return current;
+};
+
+const reload = () => load(sourcePath);
+
+const get = () => current || load();
+
+// A class id plus all of its ancestors
+const withAncestors = (classId) => {
+  const { byId } = get();
+  const chain = [];
+  let cls = byId[classId];
+  while (cls) {
+    chain.push(cls.id);
+    cls = cls.parent ? byId[cls.parent] : null;
+  }
+  return chain;
+};
+
+// Classes an ingredient belongs to directly (e.g. amoxicillin -> penicillins)
+const classesOf = (ingredient) => get().byIngredient[(ingredient || '').toLowerCase()] || [];
+
+// Whether an ingredient is in a class, directly or through a subclass
+// (amoxicillin is in penicillins and in beta-lactams)
+const isMember = (ingredient, classId) => classesOf(ingredient).some(c => withAncestors(c).includes(classId));
+
+// Resolve an allergy written as a class name ("NSAIDs", "sulfa") to its class id
+const classForName = (name) => get().byAlias[(name || '').toLowerCase().trim()] || null;
+
+const labelOf = (classId) => get().byId[classId]?.label || classId;
+
+// Compare one allergen ingredient (or class) against one medication ingredient.
+// Returns { match, confidence, drugClass, note } or null. Direct name matches are
+// handled by the caller; this only looks at class membership.
+const compareAllergen = (allergen, ingredient) => {
+  const ontology = get();
+  const medClasses = classesOf(ingredient);
+  if (!medClasses.length) return null;
+
+  // Allergy recorded against a whole class, e.g. "allergic to NSAIDs"
+  const allergyClass = classForName(allergen);
+  if (allergyClass) {
+    const hit = medClasses.find(c => withAncestors(c).includes(allergyClass));
+    if (hit) {
+      return {
+        match: 'same-class',
+        confidence: 'high',
+        drugClass: labelOf(allergyClass),
+        note: `${ingredient} is a member of ${labelOf(allergyClass)}.`
+      };
+    }
+  }
+
+  const allergenClasses = allergyClass ? [allergyClass] : classesOf(allergen);
+
+  const shared = allergenClasses.find(c => medClasses.includes(c));
+  if (shared) {
+    return {
+      match: 'same-class',
+      confidence: ontology.byId[shared].sameClassConfidence || 'moderate',
+      drugClass: labelOf(shared),
+      note: `${allergen} and ${ingredient} are both ${labelOf(shared)}.`
+    };
+  }
+
+  const rule = ontology.crossReactivity.find(r => allergenClasses.includes(r.from) && medClasses.includes(r.to));
+  if (rule) {
+    return {
+      match: 'cross-reactive',
+      confidence: rule.confidence,
+      severity: rule.severity,
+      drugClass: labelOf(rule.to),
+      note: rule.note || `${labelOf(rule.from)} may cross-react with ${labelOf(rule.to)}.`
+    };
+  }
+
+  return null;
+};
+
+module.exports = { CONFIDENCE_LEVELS, validate, load, reload, get, classesOf, isMember, classForName, labelOf, compareAllergen };
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+
+// FHIR R4 export of a safety report (lib/safetyReport.js) as a collection
+// Bundle: Patient, AllergyIntolerance, MedicationStatement, Encounter, and a
+// DetectedIssue per alert. Resources get stable urn:uuid ids derived from the
+// EMR ids and the clinic, so exporting the same patient twice gives the same
+// references and two clinics' patient 1 never share one.
+// fromBundle reads the same resources back for import.
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+const SYSTEMS = {
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  snomed: 'http://snomed.info/sct',
+  clinicalStatus: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  verificationStatus: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+  identifier: 'urn:safemed'
+};
+
+const GENDERS = { female: 'female', male: 'male', other: 'other', unknown: 'unknown' };
+
+const MEDICATION_STATUSES = { scheduled: 'intended', active: 'active', completed: 'completed', discontinued: 'stopped' };
+
+const ALLERGY_SEVERITIES = { mild: 'mild', moderate: 'moderate', severe: 'severe' };
+
+// DetectedIssue.code for each alert type (v3 ActCode detected issue codes)
+const ISSUE_CODES = {
+  'ALLERGY RISK': { code: 'ALGY', display: 'Allergy Alert' },
+  'PHARMAVIGILANCE ALERT': { code: 'DACT', display: 'drug action detected issue' },
+  'DOSE ALERT': { code: 'DOSE', display: 'Dosage problem' },
+  'DRUG INTERACTION': { code: 'DRG', display: 'Drug Interaction Alert' },
+  'DUPLICATE THERAPY': { code: 'DUPTHPY', display: 'Duplicate Therapy Alert' },
+  'CLINICAL RULE': { code: 'COND', display: 'Condition Alert' }
+};
+
+const ISSUE_SEVERITIES = { High: 'high', Medium: 'moderate', Low: 'low' };
+
+// Deterministic UUID (version 5 layout) for a resource
+const uuidFor = (...parts) => {
+  const hex = crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const escapeXhtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const narrative = (text) => ({ status: 'generated', div: `<div xmlns="http://www.w3.org/1999/xhtml">${escapeXhtml(text)}</div>` });
+
+const identifier = (kind, value) => [{ system: `${SYSTEMS.identifier}:${kind}`, value: String(value) }];
+
+const toPatient = (report, idFor) => {
+  const { patient } = report;
+  const [given, ...family] = patient.name.split(' ');
+  return {
+    resourceType: 'Patient',
+    id: idFor('Patient', patient.id),
+    identifier: identifier('patient', patient.id),
+    name: [{ text: patient.name, given: [given], ...(family.length ? { family: family.join(' ') } : {}) }],
+    gender: GENDERS[patient.sex] || 'unknown',
+    ...(patient.dateOfBirth ? { birthDate: patient.dateOfBirth } : {})
+  };
+};
+
+const toAllergies = (report, subject, idFor) => {
+  const base = {
+    resourceType: 'AllergyIntolerance',
+    clinicalStatus: { coding: [{ system: SYSTEMS.clinicalStatus, code: 'active' }] },
+    verificationStatus: { coding: [{ system: SYSTEMS.verificationStatus, code: 'confirmed' }] },
+    patient: subject
+  };
+  if (report.nkda) {
+    return [{
+      ...base,
+      id: idFor('AllergyIntolerance', report.patient.id, 'nkda'),
+      code: { coding: [{ system: SYSTEMS.snomed, code: '716186003', display: 'No known allergy' }], text: 'No known allergies' }
+    }];
+  }
+  return report.allergies.map(allergy => ({
+    ...base,
+    id: idFor('AllergyIntolerance', report.patient.id, String(allergy.substance).toLowerCase()),
+    code: { text: allergy.substance },
+    ...(ALLERGY_SEVERITIES[allergy.severity] ? { criticality: allergy.severity === 'severe' ? 'high' : 'low' } : {}),
+    ...(allergy.reaction ? {
+      reaction: [{
+        manifestation: [{ text: allergy.reaction }],
+        ...(ALLERGY_SEVERITIES[allergy.severity] ? { severity: allergy.severity } : {})
+      }]
+    } : {})
+  }));
+};
+
+const toMedicationStatement = (med, subject, idFor) => {
+  const { lifecycle } = med;
+  return {
+    resourceType: 'MedicationStatement',
+    id: idFor('MedicationStatement', med.id),
+    identifier: identifier('medication', med.id),
+    status: MEDICATION_STATUSES[lifecycle.status] || 'unknown',
+    ...(lifecycle.discontinued?.reason ? { statusReason: [{ text: lifecycle.discontinued.reason }] } : {}),
+    medicationCodeableConcept: { text: med.name },
+    subject,
+    ...(lifecycle.start ? { effectivePeriod: { start: lifecycle.start, ...(lifecycle.end ? { end: lifecycle.end } : {}) } } : {}),
+    ...(med.created_at ? { dateAsserted: med.created_at } : {}),
+    ...(med.dose ? { dosage: [{ text: med.dose }] } : {})
+  };
+};
+
+const toEncounter = (encounter, subject, idFor) => ({
+  resourceType: 'Encounter',
+  id: idFor('Encounter', encounter.id),
+  identifier: identifier('encounter', encounter.id),
+  ...(encounter.summary ? { text: narrative(encounter.summary) } : {}),
+  status: 'finished',
+  class: { system: SYSTEMS.actCode, code: 'AMB', display: 'ambulatory' },
+  subject,
+  ...(encounter.created_at ? { period: { start: encounter.created_at } } : {}),
+  ...(encounter.diagnosis ? { reasonCode: [{ text: encounter.diagnosis }] } : {})
+});
+
+// An alert as a DetectedIssue, implicating the medications it names.
+// Acknowledged and overridden alerts carry the decision as a mitigation.
+// DetectedIssue.reference is a single URI, so the alert's citations, which
+// are free text, go in the detail after the message.
+const toDetectedIssue = (alert, report, subject, medicationRefs, idFor) => {
+  const names = (alert.medications || (alert.medication ? [alert.medication] : [])).map(n => n.toLowerCase());
+  const implicated = names.map(n => medicationRefs[n]).filter(Boolean);
+  const code = ISSUE_CODES[alert.type];
+  return {
+    resourceType: 'DetectedIssue',
+    id: idFor('DetectedIssue', report.patient.id, alert.id),
+    identifier: identifier('alert', alert.id),
+    status: 'final',
+    code: { ...(code ? { coding: [{ system: SYSTEMS.actCode, ...code }] } : {}), text: alert.type },
+    severity: ISSUE_SEVERITIES[alert.risk] || 'high',
+    patient: subject,
+    identifiedDateTime: report.generatedAt,
+    ...(implicated.length ? { implicated } : {}),
+    detail: alert.references?.length ? `${alert.message}\nReferences: ${alert.references.join('; ')}` : alert.message,
+    ...(alert.decision ? {
+      mitigation: [{
+        action: { text: `${alert.decision.action}: ${alert.decision.reason || 'no reason given'}` },
+        date: alert.decision.at,
+        author: { display: alert.decision.user }
+      }]
+    } : {})
+  };
+};
+
+const entry = (resource) => ({ fullUrl: `urn:uuid:${resource.id}`, resource });
+
+// The report as a FHIR R4 collection Bundle. `tenant` is the clinic's id,
+// when the server has several.
+const toBundle = (report, { tenant = null } = {}) => {
+  const idFor = (...parts) => uuidFor(...(tenant ? [tenant] : []), ...parts);
+  const patient = toPatient(report, idFor);
+  const subject = { reference: `urn:uuid:${patient.id}`, display: report.patient.name };
+  const statements = [...report.medications, ...report.stoppedMedications].map(m => toMedicationStatement(m, subject, idFor));
+  // Alerts name medications, so implicate the current course of each name
+  const medicationRefs = {};
+  report.medications.forEach((med, i) => {
+    medicationRefs[med.name.toLowerCase()] = { reference: `urn:uuid:${statements[i].id}`, display: med.name };
+  });
+  const resources = [
+    patient,
+    ...toAllergies(report, subject, idFor),
+    ...statements,
+    ...report.encounters.map(e => toEncounter(e, subject, idFor)),
+    ...[...report.openAlerts, ...report.decidedAlerts].map(a => toDetectedIssue(a, report, subject, medicationRefs, idFor))
+  ];
+  return {
+    resourceType: 'Bundle',
+    id: idFor('Bundle', report.patient.id, report.generatedAt),
+    meta: { lastUpdated: report.generatedAt },
+    type: 'collection',
+    timestamp: report.generatedAt,
+    entry: resources.map(entry)
+  };
+};
+
+// Import: read a Bundle into patient records for lib/importer.js. Each record
+// is { ref, patient, encounters, medications, errors } with the patient in
+// the shape validatePatient expects. A resource that can't be read is an
+// error on its patient's record rather than failing the whole bundle.
+
+// "No known allergy" codes that mean NKDA rather than an allergy
+const NO_KNOWN_ALLERGY_CODES = ['716186003', '409137002', '428607008'];
+
+const INACTIVE_ALLERGY = ['inactive', 'resolved'];
+const UNVERIFIED_ALLERGY = ['refuted', 'entered-in-error'];
+const SKIPPED_MEDICATION = ['entered-in-error', 'not-taken', 'cancelled', 'draft'];
+
+const textOf = (concept) => concept?.text || concept?.coding?.find(c => c.display)?.display || null;
+const codeOf = (concept) => concept?.coding?.map(c => c.code) || [];
+const stripXhtml = (div) => String(div || '').replace(/<[^>]*>/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+
+const nameOf = (resource) => {
+  const name = (resource.name || []).find(n => n.use === 'official') || (resource.name || [])[0];
+  if (!name) return '';
+  return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ');
+};
+
+// References may be a fullUrl ("urn:uuid:..."), "Patient/123" or a full URL
+// ending in "Patient/123"; index every resource under each way it may be named
+const referenceKeys = (fullUrl, resource) => [
+  fullUrl,
+  resource.id ? `${resource.resourceType}/${resource.id}` : null
+].filter(Boolean);
+
+const resolveRef = (index, ref) => {
+  if (!ref?.reference) return null;
+  const value = ref.reference;
+  return index[value] || index[value.split('/').slice(-2).join('/')] || null;
+};
+
+const fromBundle = (bundle) => {
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    return { error: 'Expected a FHIR Bundle with an "entry" list' };
+  }
+  const index = {};
+  const records = [];
+  bundle.entry.forEach((entry, i) => {
+    const resource = entry?.resource;
+    if (resource?.resourceType !== 'Patient') return;
+    const record = {
+      ref: entry.fullUrl || `Patient/${resource.id || i}`,
+      patient: {
+        full_name: nameOf(resource),
+        sex: GENDERS[resource.gender],
+        date_of_birth: resource.birthDate || undefined,
+        allergies: [],
+        nkda: false
+      },
+      encounters: [],
+      medications: [],
+      errors: []
+    };
+    records.push(record);
+    referenceKeys(entry.fullUrl, resource).forEach(key => { index[key] = record; });
+  });
+
+  const encounterRefs = {};
+  const unattached = [];
+  const patientFor = (resource, i) => {
+    const record = resolveRef(index, resource.patient || resource.subject);
+    if (!record) unattached.push({ field: `entry[${i}]`, message: `${resource.resourceType} has no matching Patient in the bundle` });
+    return record;
+  };
+
+  // Encounters first, so medications can point at them
+  bundle.entry.forEach((entry, i) => {
+    const resource = entry?.resource;
+    if (resource?.resourceType !== 'Encounter') return;
+    const record = patientFor(resource, i);
+    if (!record) return;
+    const encounter = {
+      ref: entry.fullUrl || `Encounter/${resource.id || i}`,
+      created_at: resource.period?.start || undefined,
+      summary: stripXhtml(resource.text?.div) || textOf((resource.type || [])[0]) || null,
+      diagnosis: (resource.reasonCode || []).map(textOf).filter(Boolean).join(', ') || null
+    };
+    record.encounters.push(encounter);
+    referenceKeys(entry.fullUrl, resource).forEach(key => { encounterRefs[key] = encounter.ref; });
+  });
+
+  bundle.entry.forEach((entry, i) => {
+    const resource = entry?.resource;
+    if (!resource) return;
+    if (resource.resourceType === 'AllergyIntolerance') {
+      const record = patientFor(resource, i);
+      if (!record) return;
+      const clinical = codeOf(resource.clinicalStatus)[0];
+      const verification = codeOf(resource.verificationStatus)[0];
+      if (INACTIVE_ALLERGY.includes(clinical) || UNVERIFIED_ALLERGY.includes(verification)) return;
+      if (codeOf(resource.code).some(c => NO_KNOWN_ALLERGY_CODES.includes(c))) {
+        record.patient.nkda = true;
+        return;
+      }
+      const substance = textOf(resource.code);
+      if (!substance) return record.errors.push({ field: `entry[${i}]`, message: 'AllergyIntolerance has no substance' });
+      const reaction = (resource.reaction || [])[0];
+      record.patient.allergies.push({
+        substance,
+        reaction: textOf((reaction?.manifestation || [])[0]) || undefined,
+        severity: reaction?.severity || undefined
+      });
+    }
+    if (resource.resourceType === 'MedicationStatement' || resource.resourceType === 'MedicationRequest') {
+      const record = patientFor(resource, i);
+      if (!record || SKIPPED_MEDICATION.includes(resource.status)) return;
+      const name = textOf(resource.medicationCodeableConcept);
+      if (!name) {
+        return record.errors.push({
+          field: `entry[${i}]`,
+          message: `${resource.resourceType} needs medicationCodeableConcept (medicationReference is not supported)`
+        });
+      }
+      const dosage = (resource.dosage || resource.dosageInstruction || [])[0];
+      const period = resource.effectivePeriod || resource.dispenseRequest?.validityPeriod || {};
+      const start = period.start || resource.effectiveDateTime || resource.authoredOn;
+      const stopped = resource.status === 'stopped';
+      const stoppedAt = period.end || resource.dateAsserted || null;
+      if (stopped && !stoppedAt) return record.errors.push({ field: `entry[${i}]`, message: `Stopped ${name} has no end date` });
+      record.medications.push({
+        name,
+        dose: dosage?.text || null,
+        created_at: resource.dateAsserted || resource.authoredOn || start || undefined,
+        start_date: start || undefined,
+        end_date: !stopped && period.end ? period.end : undefined,
+        discontinued_at: stopped ? stoppedAt : undefined,
+        discontinued_reason: stopped ? textOf((resource.statusReason || [])[0]) || 'Stopped before import' : undefined,
+        encounterRef: encounterRefs[(resource.context || resource.encounter)?.reference] || null
+      });
+    }
+  });
+
+  return { records, unattached };
+};
+
+module.exports = { FHIR_CONTENT_TYPE, uuidFor, toBundle, fromBundle };
@@ -0,0 +1,301 @@
+const { validatePatient } = require('./patientIntake');
+const { fromBundle } = require('./fhir');
+const { courseFields } = require('./medications');
+const normalize = require('./normalize');
+const logger = require('./logger');
+
+// Bulk import of existing patients from a FHIR R4 Bundle or CSV. Records are
+// validated, checked for duplicates against existing patients and each
+// other, and created through the same EMR endpoints as the dashboard: the
+// patient through /v1/patients/create, then each encounter and its
+// medications through /v1/ai/emr. Alerts are computed for each imported
+// patient straight away.
+
+const FORMATS = ['fhir', 'csv'];
+const RESULTS = ['created', 'valid', 'duplicate', 'invalid', 'failed'];
+
+const CSV_COLUMNS = [
+  'patient_ref', 'full_name', 'sex', 'date_of_birth', 'age', 'weight_kg', 'allergies', 'nkda',
+  'encounter_date', 'encounter_summary', 'diagnosis', 'medications'
+];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) rows.push([...row, field]);
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+};
+
+// "penicillin:rash:severe; sulfa" → [{ substance, reaction, severity }]
+const csvAllergies = (value) => value.split(';').map(s => s.trim()).filter(Boolean).map(item => {
+  const [substance, reaction, severity] = item.split(':').map(s => s.trim());
+  return { substance, reaction: reaction || undefined, severity: severity || undefined };
+});
+
+// "Warfarin 5mg od; Ibuprofen 400mg tds for 5 days" → name and dose, split at
+// the first word that starts with a digit
+const csvMedications = (value) => value.split(';').map(s => s.trim()).filter(Boolean).map(item => {
+  const match = item.match(/^(.*?)\s+(\d.*)$/);
+  return match ? { name: match[1], dose: match[2] } : { name: item, dose: null };
+});
+
+// One row per patient, or several rows sharing a patient_ref (or name and
+// date of birth) for a patient with several encounters. Patient columns are
+// read from the first row.
+const fromCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return { error: 'CSV is empty' };
+  const columns = header.map(h => h.trim().toLowerCase());
+  if (!columns.includes('full_name')) return { error: 'CSV needs a "full_name" column' };
+  const unknown = columns.filter(c => c && !CSV_COLUMNS.includes(c));
+  if (unknown.length) return { error: `Unknown CSV columns: ${unknown.join(', ')}. Expected: ${CSV_COLUMNS.join(', ')}` };
+
+  const byRef = {};
+  const records = [];
+  rows.forEach((cells, i) => {
+    const row = Object.fromEntries(columns.map((c, j) => [c, (cells[j] || '').trim()]));
+    const line = i + 2;
+    const key = row.patient_ref || `${row.full_name.toLowerCase()}|${row.date_of_birth}`;
+    let record = byRef[key];
+    if (!record) {
+      record = {
+        ref: row.patient_ref || `line ${line}`,
+        patient: {
+          full_name: row.full_name,
+          sex: row.sex ? row.sex.toLowerCase() : undefined,
+          date_of_birth: row.date_of_birth || undefined,
+          age: row.age || undefined,
+          weight_kg: row.weight_kg || undefined,
+          allergies: csvAllergies(row.allergies || ''),
+          nkda: TRUE_VALUES.includes((row.nkda || '').toLowerCase())
+        },
+        encounters: [],
+        medications: [],
+        errors: []
+      };
+      byRef[key] = record;
+      records.push(record);
+    }
+    const medications = csvMedications(row.medications || '');
+    let encounterRef = null;
+    if (row.encounter_date || row.encounter_summary || row.diagnosis) {
+      encounterRef = `line ${line}`;
+      record.encounters.push({
+        ref: encounterRef,
+        created_at: row.encounter_date || undefined,
+        summary: row.encounter_summary || null,
+        diagnosis: row.diagnosis || null
+      });
+    }
+    medications.forEach(med => record.medications.push({
+      ...med,
+      created_at: row.encounter_date || undefined,
+      start_date: row.encounter_date || undefined,
+      encounterRef
+    }));
+  });
+  return { records, unattached: [] };
+};
+
+const parse = (format, body) => {
+  if (format === 'csv') return fromCsv(body);
+  let bundle = body;
+  if (typeof body === 'string') {
+    try {
+      bundle = JSON.parse(body);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+  }
+  return fromBundle(bundle);
+};
+
+const isDate = (value) => value === undefined || value === null || !isNaN(new Date(value).getTime());
+
+// Encounter and medication checks on top of validatePatient
+const validateRecord = (record) => {
+  const { valid, errors, patient } = validatePatient(record.patient);
+  const all = [...record.errors, ...(valid ? [] : errors)];
+  record.encounters.forEach((e, i) => {
+    if (!isDate(e.created_at)) all.push({ field: `encounters[${i}].created_at`, message: 'Encounter date must be a date' });
+  });
+  record.medications.forEach((m, i) => {
+    if (!String(m.name || '').trim()) all.push({ field: `medications[${i}].name`, message: 'Medication name is required' });
+    ['created_at', 'start_date', 'end_date', 'discontinued_at'].forEach(field => {
+      if (!isDate(m[field])) all.push({ field: `medications[${i}].${field}`, message: `"${field}" must be a date` });
+    });
+  });
+  return { errors: all, patient };
+};
+
+const nameKey = (name) => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Same name, and dates of birth that don't disagree
+const samePerson = (a, b) => nameKey(a.full_name) === nameKey(b.full_name)
+  && (!a.date_of_birth || !b.date_of_birth || a.date_of_birth === b.date_of_birth);
+
+// Ingredients, or the name for drugs the knowledge base doesn't know, to
+// find an imported medication among those the EMR recorded
+const drugKey = (name) => normalize.ingredientsOf(name).slice().sort().join('+') || nameKey(name);
+
+// The prompt an imported encounter is sent to /v1/ai/emr as. The EMR dates
+// encounters when they are created, so the original date goes in the text.
+// Medications with no encounter are sent as a medication history.
+const encounterPrompt = (encounter, meds) => [
+  encounter
+    ? `Imported encounter${encounter.created_at ? ` from ${new Date(encounter.created_at).toISOString().slice(0, 10)}` : ''}: ${encounter.summary || 'no summary'}.`
+    : 'Imported medication history.',
+  encounter?.diagnosis ? `Diagnosis: ${encounter.diagnosis}.` : null,
+  meds.length ? `Prescribed ${meds.map(m => [m.name.trim(), m.dose].filter(Boolean).join(' ')).join(', ')}.` : null
+].filter(Boolean).join(' ');
+
+// Course fields for an imported medication: given dates win, otherwise the
+// course starts at its encounter (or now) and any duration in the dose sets
+// the end
+const medicationFields = (med, at) => {
+  const course = courseFields(med, med.start_date || at);
+  return {
+    start_date: med.start_date ? new Date(med.start_date).toISOString() : course.start_date,
+    end_date: med.end_date ? new Date(med.end_date).toISOString() : course.end_date,
+    duration_days: course.duration_days,
+    ...(med.discontinued_at ? {
+      discontinued_at: new Date(med.discontinued_at).toISOString(),
+      discontinued_reason: med.discontinued_reason || 'Stopped before import',
+      discontinued_by: null
+    } : {})
+  };
+};
+
+// `apiCall`, `loadPatientRecord` and `alertsFor` are the app's; `cacheName`
+// remembers names the EMR may not return and `getCachedName` reads them back;
+// `medicationChanges` keeps the course dates and discontinuations the EMR
+// can't be given
+const createImporter = ({ apiCall, loadPatientRecord, alertsFor, cacheName, getCachedName, medicationChanges }) => {
+  // EMR patients with the full name filled in from the cache when missing,
+  // so patients imported earlier are still found as duplicates
+  const withFullName = (p) => (p.full_name || !getCachedName(p.id) ? p : { ...p, full_name: getCachedName(p.id) });
+
+  const createPatient = async (patient) => {
+    const created = await apiCall('/v1/patients/create', 'POST', patient);
+    const patientId = created?.id || null;
+    if (!patientId) throw new Error('The EMR did not return a patient ID');
+    cacheName(patientId, patient.full_name);
+    return patientId;
+  };
+
+  // Send each encounter with its medications to /v1/ai/emr, then find the
+  // medications the EMR recorded for it and keep their imported courses.
+  // Throws when the EMR didn't record one of them.
+  const createHistory = async (record, patientId) => {
+    const now = new Date().toISOString();
+    const groups = record.encounters.map(e => ({ encounter: e, meds: record.medications.filter(m => m.encounterRef === e.ref) }));
+    const loose = record.medications.filter(m => !record.encounters.some(e => e.ref === m.encounterRef));
+    if (loose.length) groups.push({ encounter: null, meds: loose });
+
+    let known = new Set();
+    for (const { encounter, meds } of groups) {
+      await apiCall('/v1/ai/emr', 'POST', { patient: patientId, prompt: encounterPrompt(encounter, meds) });
+      if (!meds.length) continue;
+      const saved = (await apiCall(`/v1/patients/${patientId}/medications`)).results || [];
+      const added = saved.filter(m => !known.has(m.id));
+      known = new Set(saved.map(m => m.id));
+      const at = encounter?.created_at ? new Date(encounter.created_at).toISOString() : now;
+      const missing = [];
+      meds.forEach(med => {
+        const match = added.find(m => drugKey(m.name) === drugKey(med.name));
+        if (!match) return missing.push(med.name.trim());
+        added.splice(added.indexOf(match), 1);
+        medicationChanges.record(patientId, match.id, medicationFields(med, at));
+      });
+      if (missing.length) throw new Error(`The EMR did not record ${missing.join(', ')}`);
+    }
+  };
+
+  // Import parsed records. Returns { summary, records } with one entry per
+  // record: { ref, name, result, patientId, duplicateOf, errors, encounters,
+  // medications, alerts }
+  const run = async ({ records, unattached = [] }, { dryRun = false } = {}) => {
+    const existing = ((await apiCall('/v1/patients')).results || []).map(withFullName);
+    const accepted = [];
+    const report = [];
+
+    for (const record of records) {
+      const { errors, patient } = validateRecord(record);
+      const entry = {
+        ref: record.ref,
+        name: patient.full_name || null,
+        result: null,
+        patientId: null,
+        duplicateOf: null,
+        errors,
+        encounters: record.encounters.length,
+        medications: record.medications.length,
+        alerts: null
+      };
+      report.push(entry);
+      if (errors.length) {
+        entry.result = 'invalid';
+        continue;
+      }
+      const match = existing.find(p => samePerson(p, patient)) || accepted.find(a => samePerson(a.patient, patient));
+      if (match) {
+        entry.result = 'duplicate';
+        entry.duplicateOf = match.id ? { patientId: match.id } : { ref: match.ref };
+        continue;
+      }
+      accepted.push({ ref: record.ref, patient });
+      if (dryRun) {
+        entry.result = 'valid';
+        continue;
+      }
+
+      try {
+        entry.patientId = await createPatient(patient);
+        await createHistory(record, entry.patientId);
+        const saved = await loadPatientRecord(entry.patientId);
+        const alerts = saved ? await alertsFor(entry.patientId, saved.medications, saved.patient) : [];
+        entry.alerts = { total: alerts.length, high: alerts.filter(a => a.risk === 'High').length };
+        entry.result = 'created';
+      } catch (error) {
+        logger.error('IMPORT', `Failed to import ${record.ref}`, { ref: record.ref, error: error.message });
+        entry.result = 'failed';
+        // There is no EMR endpoint to delete the patient again
+        const message = entry.patientId
+          ? `Patient ${entry.patientId} was created in the EMR, but the import did not finish: ${error.message}. Complete the record in the EMR; importing it again reports it as a duplicate.`
+          : error.message;
+        entry.errors = [{ field: null, message }];
+      }
+    }
+
+    const summary = Object.fromEntries(RESULTS.map(r => [r, report.filter(e => e.result === r).length]));
+    summary.total = report.length;
+    summary.dryRun = dryRun;
+    logger.info('IMPORT', `${summary.total} records imported`, summary);
+    return { summary, records: report, unattached };
+  };
+
+  return { run };
+};
+
+module.exports = { FORMATS, CSV_COLUMNS, parseCsvRows, fromCsv, parse, createImporter };
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Severity levels, most to least serious
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// Dashboard risk bands used for colouring alerts
+const RISK_FOR_SEVERITY = {
+  contraindicated: 'High',
+  major: 'High',
+  moderate: 'Medium',
+  minor: 'Low'
+};
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'interactions.json');
+
+let sourcePath = process.env.KNOWLEDGE_BASE_PATH || DEFAULT_PATH;
+let current = null;
+let loadedAt = null;
+let watching = false;
+
+// Every clinic's local additions loaded in this process, so the drug names
+// they add are recognised. Replaced rather than changed on each load, so it
+// can key caches.
+let loadedAdditions = [];
+
+const riskFor = (severity) => RISK_FOR_SEVERITY[severity] || 'High';
+
+// Check the shape of a parsed knowledge base, throwing on the first problem
+const validate = (kb) => {
+  if (!kb || typeof kb !== 'object') throw new Error('Knowledge base must be a JSON object');
+
+  const checkSeverity = (entry, where) => {
+    if (!SEVERITIES.includes(entry.severity)) {
+      throw new Error(`${where}: unknown severity "${entry.severity}"`);
+    }
+  };
+
+  (kb.interactions || []).forEach((entry, i) => {
+    const where = `interactions[${i}]`;
+    if (!Array.isArray(entry.drugs) || entry.drugs.length !== 2) {
+      throw new Error(`${where}: "drugs" must list exactly two drugs`);
+    }
+    checkSeverity(entry, where);
+  });
+
+  (kb.highRiskMedications || []).forEach((entry, i) => {
+    const where = `highRiskMedications[${i}]`;
+    if (!entry.drug) throw new Error(`${where}: "drug" is required`);
+    checkSeverity(entry, where);
+  });
+
+  (kb.allergyRisks || []).forEach((entry, i) => {
+    const where = `allergyRisks[${i}]`;
+    if (!entry.allergen) throw new Error(`${where}: "allergen" is required`);
+    checkSeverity(entry, where);
+  });
+};
+
+// Lower-case drug names so lookups don't depend on how the file was written
+const prepare = (kb) => ({
+  version: kb.version || null,
+  updated: kb.updated || null,
+  interactions: (kb.interactions || []).map(entry => ({
+    ...entry,
+    drugs: entry.drugs.map(d => d.toLowerCase()),
+    references: entry.references || []
+  })),
+  highRiskMedications: (kb.highRiskMedications || []).map(entry => ({
+    ...entry,
+    drug: entry.drug.toLowerCase(),
+    references: entry.references || []
+  })),
+  allergyRisks: (kb.allergyRisks || []).map(entry => ({
+    ...entry,
+    allergen: entry.allergen.toLowerCase()
+  }))
+});
+
+// Read, validate and activate the knowledge base. The previous one stays
+// active if the file is missing or invalid.
+const load = (file = sourcePath) => {
+  const raw = fs.readFileSync(file, 'utf8');
+  const parsed = JSON.parse(raw);
+  validate(parsed);
+  current = prepare(parsed);
+  sourcePath = file;
+  loadedAt = new Date().toISOString();
+  logger.info('KNOWLEDGE BASE', `Loaded ${current.interactions.length} interactions`, { file });
+  return current;
+};
+
+const reload = () => load(sourcePath);
+
+const get = () => current || load();
+
+const info = () => {
+  const kb = get();
+  return {
+    source: sourcePath,
+    version: kb.version,
+    updated: kb.updated,
+    loadedAt,
+    interactions: kb.interactions.length,
+    highRiskMedications: kb.highRiskMedications.length,
+    allergyRisks: kb.allergyRisks.length
+  };
+};
+
+// Pick up edits to the file without restarting the server. The file is
+// watched once however many apps (clinics) ask.
+const watch = (intervalMs = 2000) => {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(sourcePath, { interval: intervalMs }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      reload();
+    } catch (err) {
+      logger.error('KNOWLEDGE BASE', 'Reload failed, keeping previous version', { file: sourcePath, error: err.message });
+    }
+  });
+};
+
+const samePair = (a, b) => a.drugs.every(d => b.drugs.includes(d));
+
+// Shared entries overridden by a local entry for the same pair, drug or allergen
+// are dropped, so a clinic can change a severity as well as add entries
+const merge = (base, additions) => ({
+  ...base,
+  interactions: [
+    ...base.interactions.filter(e => !additions.interactions.some(a => samePair(a, e))),
+    ...additions.interactions
+  ],
+  highRiskMedications: [
+    ...base.highRiskMedications.filter(e => !additions.highRiskMedications.some(a => a.drug === e.drug)),
+    ...additions.highRiskMedications
+  ],
+  allergyRisks: [
+    ...base.allergyRisks.filter(e => !additions.allergyRisks.some(a => a.allergen === e.allergen)),
+    ...additions.allergyRisks
+  ]
+});
+
+// A clinic's local additions, in a file shaped like the knowledge base,
+// layered over the shared one. get() returns the merged knowledge base and
+// follows reloads of either file.
+const createAdditions = (file) => {
+  let additions = null;
+  let merged = null;
+  let mergedFrom = null;
+  let additionsLoadedAt = null;
+
+  const loadAdditions = () => {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validate(parsed);
+    additions = prepare(parsed);
+    loadedAdditions = [...loadedAdditions.filter(entry => entry.file !== file), { file, additions }];
+    merged = null;
+    additionsLoadedAt = new Date().toISOString();
+    logger.info('KNOWLEDGE BASE', `Loaded ${additions.interactions.length} local interactions`, { file });
+    return additions;
+  };
+
+  const getMerged = () => {
+    const base = get();
+    if (!additions) loadAdditions();
+    if (!merged || mergedFrom !== base) {
+      merged = merge(base, additions);
+      mergedFrom = base;
+    }
+    return merged;
+  };
+
+  const additionsInfo = () => {
+    if (!additions) loadAdditions();
+    return {
+      source: file,
+      loadedAt: additionsLoadedAt,
+      interactions: additions.interactions.length,
+      highRiskMedications: additions.highRiskMedications.length,
+      allergyRisks: additions.allergyRisks.length
+    };
+  };
+
+  return { load: loadAdditions, reload: loadAdditions, get: getMerged, info: additionsInfo };
+};
+
+const localAdditions = () => loadedAdditions;
+
+module.exports = { SEVERITIES, riskFor, validate, load, reload, get, info, watch, createAdditions, localAdditions };
@@ -0,0 +1,44 @@
+const { EventEmitter } = require('events');
+
+// How often idle Server-Sent Event streams get a keep-alive comment
+const KEEPALIVE_MS = 25000;
+
+const channelFor = (patientId) => `patient:${patientId}`;
+
+// Fan-out of live events to dashboards that have a patient open. Each app
+// (and so each clinic) has its own, since patient ids are only unique per EMR.
+const createLiveEvents = () => {
+  const hub = new EventEmitter();
+  hub.setMaxListeners(0);
+
+  const publish = (patientId, type, data) => {
+    hub.emit(channelFor(patientId), { type, data });
+  };
+
+  const subscriberCount = (patientId) => hub.listenerCount(channelFor(patientId));
+
+  // Express handler body: keep the response open as an SSE stream for one patient
+  const streamPatientEvents = (req, res, patientId) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`event: ready\ndata: ${JSON.stringify({ patientId })}\n\n`);
+
+    const send = ({ type, data }) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+
+    hub.on(channelFor(patientId), send);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      hub.off(channelFor(patientId), send);
+    });
+  };
+
+  return { publish, subscriberCount, streamPatientEvents };
+};
+
+module.exports = { createLiveEvents };
@@ -0,0 +1,117 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Structured logging. Each entry is one JSON line with a tag in the style of
+// the old "[ALERT CHECK]" prefixes, the request id and tenant of the request
+// being handled, and any fields passed in. Fields that can carry patient
+// information are redacted before anything is written.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['json', 'text'];
+
+const REDACTED = '[REDACTED]';
+
+// Field names (any depth, any case) whose values are patient information
+const PHI_FIELDS = new Set([
+  'prompt', 'text', 'allergies', 'allergy', 'medications', 'conditions', 'labs',
+  'full_name', 'first_name', 'last_name', 'patientname', 'date_of_birth', 'dob',
+  'phone', 'email', 'address', 'draft', 'patient', 'payload', 'note', 'notes',
+  'name', 'summary', 'diagnosis', 'reason', 'discontinued_reason'
+]);
+
+// Incoming request ids are reused if they look like one; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+let settings = {
+  level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+  format: FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'json'
+};
+
+// Set the level and format from LOG_LEVEL / LOG_FORMAT style values
+const configure = ({ level, format } = {}) => {
+  if (level !== undefined && !LEVELS.includes(level)) throw new Error(`Unknown log level "${level}" (expected ${LEVELS.join(', ')})`);
+  if (format !== undefined && !FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected ${FORMATS.join(', ')})`);
+  settings = { level: level || settings.level, format: format || settings.format };
+  return settings;
+};
+
+const getSettings = () => ({ ...settings });
+
+// Copy of `value` with every PHI field replaced. Errors keep their message.
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return { name: value.name, message: value.message, status: value.status };
+  if (!value || typeof value !== 'object' || depth > 6) return value;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+    key,
+    PHI_FIELDS.has(key.toLowerCase()) && v !== null && v !== undefined ? REDACTED : redact(v, depth + 1)
+  ]));
+};
+
+// What to log of an EMR request or response body: its shape, size and any
+// record id, never its contents
+const describeBody = (body) => {
+  if (body === undefined || body === null) return null;
+  const isObject = typeof body === 'object' && !Array.isArray(body);
+  return {
+    type: Array.isArray(body) ? 'array' : typeof body,
+    bytes: Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body)),
+    ...(isObject && ['number', 'string'].includes(typeof body.id) ? { id: body.id } : {}),
+    ...(isObject ? { keys: Object.keys(body).slice(0, 20) } : {})
+  };
+};
+
+// A request id for `incoming` (e.g. an X-Request-Id header), or a new one
+const requestIdFor = (incoming) => (
+  typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+);
+
+// Run `fn` with `fields` (requestId, tenant) attached to every entry it logs
+const runWithContext = (fields, fn) => context.run({ ...(context.getStore() || {}), ...fields }, fn);
+
+const currentContext = () => context.getStore() || {};
+
+const write = (level, tag, message, fields) => {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    tag,
+    msg: message,
+    ...currentContext(),
+    ...redact(fields || {})
+  };
+  const out = level === 'error' ? console.error : (level === 'warn' ? console.warn : console.log);
+  if (settings.format === 'json') return out(JSON.stringify(entry));
+
+  const { time, requestId, tenant, ...rest } = entry;
+  const extra = Object.entries(rest)
+    .filter(([key]) => !['level', 'tag', 'msg'].includes(key))
+    .map(([key, v]) => `${key}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+  const prefix = [time, tenant, requestId && requestId.slice(0, 8)].filter(Boolean).map(p => `[${p}]`).join(' ');
+  out(`${prefix} [${tag}] ${message}${extra.length ? ` ${extra.join(' ')}` : ''}`);
+};
+
+const debug = (tag, message, fields) => write('debug', tag, message, fields);
+const info = (tag, message, fields) => write('info', tag, message, fields);
+const warn = (tag, message, fields) => write('warn', tag, message, fields);
+const error = (tag, message, fields) => write('error', tag, message, fields);
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  REDACTED,
+  configure,
+  getSettings,
+  redact,
+  describeBody,
+  requestIdFor,
+  runWithContext,
+  currentContext,
+  debug,
+  info,
+  warn,
+  error
+};
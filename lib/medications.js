@@ -0,0 +1,150 @@
+const normalize = require('./normalize');
+
+// Medication lifecycle. EMR medication records may carry start_date,
+// end_date, duration_days and discontinued_at/discontinued_reason; older
+// records only have created_at and are treated as started then and ongoing.
+const STATUSES = ['scheduled', 'active', 'completed', 'discontinued'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+
+// Course length written in a dose or prompt: "for 5 days", "x 2 weeks", "7/7"
+const parseDuration = (text) => {
+  const match = (text || '').match(/\b(?:for|x|×)\s*(\d+)\s*(day|week|month)s?\b/i);
+  if (match) return parseInt(match[1]) * UNIT_DAYS[match[2].toLowerCase()];
+  const sevenths = (text || '').match(/\b(\d{1,2})\/7\b/);
+  return sevenths ? parseInt(sevenths[1]) : null;
+};
+
+// Where a medication is in its course at a point in time:
+// { start, end, durationDays, status, discontinued }
+const lifecycleOf = (med, at = Date.now()) => {
+  const now = toTime(at) ?? Date.now();
+  const start = toTime(med.start_date) ?? toTime(med.created_at);
+  const durationDays = Number(med.duration_days) > 0 ? Number(med.duration_days) : null;
+  const plannedEnd = toTime(med.end_date) ?? (start !== null && durationDays ? start + durationDays * DAY_MS : null);
+  const stoppedAt = toTime(med.discontinued_at);
+  const end = stoppedAt !== null && (plannedEnd === null || stoppedAt < plannedEnd) ? stoppedAt : plannedEnd;
+
+  let status = 'active';
+  if (stoppedAt !== null && stoppedAt <= now) status = 'discontinued';
+  else if (end !== null && end <= now) status = 'completed';
+  else if (start !== null && start > now) status = 'scheduled';
+
+  return {
+    start: toIso(start),
+    end: toIso(end),
+    durationDays: durationDays ?? (start !== null && end !== null ? Math.round((end - start) / DAY_MS) : null),
+    status,
+    discontinued: stoppedAt === null ? null : {
+      at: toIso(stoppedAt),
+      reason: med.discontinued_reason || null,
+      by: med.discontinued_by || null
+    }
+  };
+};
+
+// Active or yet to start: the medications safety checks should consider
+const isCurrent = (med, at) => ['active', 'scheduled'].includes(lifecycleOf(med, at).status);
+
+// Whether two medications' courses overlap. Open-ended courses run forever.
+const overlaps = (a, b, at) => {
+  const [la, lb] = [lifecycleOf(a, at), lifecycleOf(b, at)];
+  const [aStart, aEnd, bStart, bEnd] = [la.start, la.end, lb.start, lb.end].map(toTime);
+  return (aStart === null || bEnd === null || aStart < bEnd) && (bStart === null || aEnd === null || bStart < aEnd);
+};
+
+// Every medication with its lifecycle, oldest course first
+const timeline = (meds = [], at = Date.now()) => meds
+  .map(med => ({ ...med, lifecycle: lifecycleOf(med, at) }))
+  .sort((a, b) => (toTime(a.lifecycle.start) ?? 0) - (toTime(b.lifecycle.start) ?? 0));
+
+// Fields to write for a medication prescribed now
+const courseFields = (med, at = Date.now()) => {
+  const start = toTime(at) ?? Date.now();
+  const durationDays = med.durationDays ?? parseDuration(med.dose);
+  return {
+    start_date: toIso(start),
+    end_date: durationDays ? toIso(start + durationDays * DAY_MS) : null,
+    duration_days: durationDays || null
+  };
+};
+
+// Check a discontinuation request. Returns an error message or null.
+const validateDiscontinue = (med, { reason, at } = {}) => {
+  if (!String(reason || '').trim()) return 'A reason is required to discontinue a medication';
+  if (at !== undefined && at !== null && at !== '' && toTime(at) === null) return '"at" must be a date';
+  const status = lifecycleOf(med).status;
+  if (status === 'discontinued' || status === 'completed') return `Medication is already ${status}`;
+  return null;
+};
+
+const ingredientKey = (med) => (med.ingredients || normalize.ingredientsOf(med.name)).slice().sort().join('+');
+
+// Compare the patient's home (current) medications with a new prescription:
+// continued (same ingredients, flagged when the dose differs), added (new to
+// the patient) and notPrescribed (home medications the prescription leaves out)
+const reconcile = (homeMeds = [], proposedMeds = [], at = Date.now()) => {
+  const home = homeMeds.filter(m => isCurrent(m, at)).map(m => ({ med: m, key: ingredientKey(m) }));
+  const continued = [];
+  const added = [];
+  proposedMeds.forEach(proposed => {
+    const key = ingredientKey(proposed);
+    const match = home.find(h => h.key === key);
+    if (!match) return added.push(proposed);
+    const doses = [match.med.dose, proposed.dose].map(d => (d || '').toLowerCase().replace(/\s+/g, ''));
+    continued.push({ home: match.med, proposed, doseChanged: !!doses[1] && doses[0] !== doses[1] });
+  });
+  const notPrescribed = home
+    .filter(h => !continued.some(c => c.home === h.med))
+    .map(h => h.med);
+  return { continued, added, notPrescribed };
+};
+
+// Course changes kept in SafeMed's own store, because the EMR has no
+// endpoint to update a medication: discontinuations, and the course dates of
+// imported medications. They are laid over the EMR's records when read.
+const CHANGES = 'medicationChanges';
+const CHANGE_FIELDS = ['start_date', 'end_date', 'duration_days', 'discontinued_at', 'discontinued_reason', 'discontinued_by'];
+
+const createMedicationChanges = (store) => {
+  const forMedication = (medicationId) => store.find(CHANGES, c => c.medicationId === Number(medicationId))[0] || null;
+
+  // Merge `fields` into the medication's changes. Returns the changed fields.
+  const record = (patientId, medicationId, fields) => {
+    const changed = Object.fromEntries(CHANGE_FIELDS.filter(f => fields[f] !== undefined).map(f => [f, fields[f]]));
+    const existing = forMedication(medicationId);
+    const entry = existing
+      ? store.update(CHANGES, existing.id, { fields: { ...existing.fields, ...changed }, updatedAt: new Date().toISOString() })
+      : store.insert(CHANGES, { patientId: Number(patientId), medicationId: Number(medicationId), fields: changed, updatedAt: new Date().toISOString() });
+    return entry.fields;
+  };
+
+  // EMR medication records with any changes applied
+  const apply = (meds = []) => meds.map(med => {
+    const changes = forMedication(med.id);
+    return changes ? { ...med, ...changes.fields } : med;
+  });
+
+  return { record, apply, forMedication };
+};
+
+module.exports = {
+  STATUSES,
+  parseDuration,
+  lifecycleOf,
+  isCurrent,
+  overlaps,
+  timeline,
+  courseFields,
+  validateDiscontinue,
+  reconcile,
+  createMedicationChanges
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Prometheus metrics in the text exposition format. Counters and histograms
+// only, with labels; enough for request latency, upstream health and alerts.
+
+const CONTENT_TYPE = 'text/plain; charset=utf-8; version=0.0.4';
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+
+// Series are kept per label set; the key is the labels sorted by name
+const keyOf = (labels) => JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+
+const createRegistry = () => {
+  const families = [];
+
+  const counter = (name, help) => {
+    const series = new Map();
+    families.push({
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`)
+      ]
+    });
+    return {
+      inc: (labels = {}, by = 1) => {
+        const key = keyOf(labels);
+        const current = series.get(key) || { labels, value: 0 };
+        current.value += by;
+        series.set(key, current);
+      },
+      get: (labels = {}) => series.get(keyOf(labels))?.value || 0
+    };
+  };
+
+  const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+    const series = new Map();
+    families.push({
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+          `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${labelText(labels)} ${sum}`,
+          `${name}_count${labelText(labels)} ${count}`
+        ])
+      ]
+    });
+    return {
+      observe: (labels, value) => {
+        const key = keyOf(labels);
+        const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((le, i) => { if (value <= le) current.counts[i] += 1; });
+        current.sum += value;
+        current.count += 1;
+        series.set(key, current);
+      },
+      count: (labels = {}) => series.get(keyOf(labels))?.count || 0
+    };
+  };
+
+  const render = () => `${families.flatMap(f => f.render()).join('\n')}\n`;
+
+  return { counter, histogram, render };
+};
+
+// EMR endpoint with ids replaced, so each endpoint is one series
+const endpointLabel = (endpoint) => endpoint.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+
+// The metrics SafeMed exposes at /metrics. Several clinics on one server share
+// one set, with a `tenant` label.
+const createMetrics = () => {
+  const registry = createRegistry();
+  return {
+    httpDuration: registry.histogram('safemed_http_request_duration_seconds', 'HTTP request latency by method, route and status'),
+    upstreamDuration: registry.histogram('safemed_upstream_request_duration_seconds', 'Upstream EMR call latency, including retries, by method, endpoint and outcome'),
+    upstreamErrors: registry.counter('safemed_upstream_errors_total', 'Upstream EMR calls that failed, by method, endpoint and reason'),
+    upstreamFallbacks: registry.counter('safemed_upstream_fallbacks_total', 'Failed upstream EMR reads answered with mock data instead'),
+    alertsEmitted: registry.counter('safemed_alerts_emitted_total', 'Alerts newly raised for a patient (not in their previous alerts), by type and severity'),
+    render: registry.render
+  };
+};
+
+// Compare through hashes so the check takes the same time for any wrong token
+const sameToken = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(given)).digest(),
+  crypto.createHash('sha256').update(String(expected)).digest()
+);
+
+// Express handler for GET /metrics. With a `token`, scrapers must send it as
+// "Authorization: Bearer <token>".
+const metricsHandler = (metrics, { token = '' } = {}) => (req, res) => {
+  if (token && !sameToken((req.get('Authorization') || '').replace(/^Bearer /, ''), token)) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  res.type(CONTENT_TYPE).send(metrics.render());
+};
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createRegistry, endpointLabel, createMetrics, metricsHandler };
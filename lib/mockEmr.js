@@ -0,0 +1,96 @@
+const { parsePrompt, toPatientFields } = require('./promptParser');
+const medicationCourse = require('./medications');
+const logger = require('./logger');
+
+// The EMR's /v1 endpoints answered from the repository: mock mode
+// (MOCK_API=true), fallback data (UPSTREAM_FALLBACK=mock) and the fake EMR
+// server in scripts/fake-emr.js. Requests it doesn't know answer {}.
+
+// Default doses the mock EMR assigns when a prompt doesn't state one
+const MOCK_DEFAULT_DOSES = {
+  aspirin: '500mg',
+  amlodipine: '5mg',
+  amoxicillin: '250mg',
+  penicillin: '500mg',
+  ibuprofen: '400mg',
+  warfarin: '5mg',
+  paracetamol: '500mg',
+  codeine: '30mg'
+};
+
+const createMockEmr = (store) => (endpoint, method, data) => {
+  if (endpoint === '/v1/patients' && method === 'GET') return { results: store.listPatients() };
+  if (endpoint.match(/^\/v1\/patients\/\d+$/) && method === 'GET') {
+    const id = parseInt(endpoint.split('/').pop());
+    return store.getPatient(id) || {};
+  }
+  if (endpoint.match(/^\/v1\/patients\/\d+\/update$/) && method === 'POST') {
+    const id = parseInt(endpoint.split('/')[3]);
+    const updated = store.updatePatient(id, data || {});
+    return updated ? { status: true, id } : {};
+  }
+  if (endpoint.match(/^\/v1\/patients\/\d+\/encounters/) && method === 'GET') {
+    const id = parseInt(endpoint.split('/')[3]);
+    return { results: store.listEncounters(id) };
+  }
+  if (endpoint.match(/^\/v1\/patients\/\d+\/medications/) && method === 'GET') {
+    const id = parseInt(endpoint.split('/')[3]);
+    return { results: store.listMedications(id) };
+  }
+  if (endpoint === '/v1/ai/patient' && method === 'POST') {
+    // Same parser as /create-patient, so mock and real paths read prompts alike
+    const fields = toPatientFields(parsePrompt(data?.prompt || ''));
+    let created = store.createPatient(fields);
+    if (!fields.full_name) created = store.updatePatient(created.id, { full_name: `Patient ${created.id}` });
+    logger.info('MOCK', `Created patient ${created.id}`, { patientId: created.id });
+    return { status: true, id: created.id };
+  }
+  if (endpoint === '/v1/patients/create' && method === 'POST') {
+    const fields = { 
+      full_name: data?.full_name || null, 
+      allergies: data?.allergies || [] 
+    };
+    ['first_name', 'sex', 'age', 'date_of_birth', 'weight_kg', 'allergy_details', 'nkda', 'conditions', 'labs', 'pregnant'].forEach(key => {
+      if (data?.[key] !== undefined) fields[key] = data[key];
+    });
+    let created = store.createPatient(fields);
+    if (!created.full_name) created = store.updatePatient(created.id, { full_name: `Patient ${created.id}` });
+    return { status: true, status_code: 201, id: created.id };
+  }
+  if (endpoint === '/v1/ai/emr' && method === 'POST') {
+    const patientId = parseInt(data?.patient) || null;
+    const prompt = data?.prompt || '';
+    const summary = prompt.substring(0, 140);
+    
+    // Diagnoses and medications come from the shared prompt parser, so brand
+    // names, synonyms and misspellings resolve the same way alert checks do
+    // and drugs named in an allergy clause aren't prescribed
+    const { fields } = parsePrompt(prompt);
+    const diagnosis = fields.diagnoses.value.join(', ') || 'Clinical consultation';
+    
+    const created = store.createEncounter({ 
+      created_at: new Date().toISOString(), 
+      summary, 
+      patient: patientId, 
+      diagnosis
+    });
+    
+    // Courses start now and end after any duration in the prompt ("for 5 days")
+    fields.medications.value.forEach(med => {
+      const defaultDose = med.ingredients.length === 1 ? MOCK_DEFAULT_DOSES[med.ingredients[0]] : null;
+      store.createMedication({
+        name: med.name,
+        patient: patientId,
+        dose: med.dose || defaultDose || 'Standard',
+        created_at: new Date().toISOString(),
+        encounter: created.id,
+        ...medicationCourse.courseFields(med)
+      });
+    });
+    
+    return { status: true, id: created.id };
+  }
+  return {};
+};
+
+module.exports = { MOCK_DEFAULT_DOSES, createMockEmr };
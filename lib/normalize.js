@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const knowledgeBase = require('./knowledgeBase');
+const drugClasses = require('./drugClasses');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'drugNames.json');
+
+// Longest brand/synonym phrase we try to match, in words
+const MAX_PHRASE_WORDS = 3;
+
+// Strength and form words that never form part of a drug name
+const NOISE_WORDS = new Set([
+  'tab', 'tabs', 'tablet', 'tablets', 'cap', 'caps', 'capsule', 'capsules', 'syrup',
+  'suspension', 'injection', 'inj', 'cream', 'gel', 'drops', 'oral', 'iv', 'im', 'po',
+  'and', 'with', 'plus', 'mg', 'g', 'mcg', 'ml', 'units', 'iu'
+]);
+
+let sourcePath = process.env.DRUG_NAMES_PATH || DEFAULT_PATH;
+let names = null;
+let current = null;
+// The knowledge base, local additions and class ontology `current` was built
+// from; a reload of any of them rebuilds it
+let preparedFrom = null;
+
+// Canonical ingredient names known to the knowledge bases, class ontology and name file
+const buildVocabulary = ({ kb, additions, classes }) => {
+  const vocabulary = new Set(names.ingredients.map(i => i.toLowerCase()));
+  Object.keys(classes.byIngredient).forEach(i => vocabulary.add(i));
+  [kb, ...additions.map(entry => entry.additions)].forEach(source => {
+    source.interactions.forEach(entry => entry.drugs.forEach(d => vocabulary.add(d)));
+    source.highRiskMedications.forEach(entry => vocabulary.add(entry.drug));
+    source.allergyRisks.forEach(entry => vocabulary.add(entry.allergen));
+  });
+  return vocabulary;
+};
+
+const sources = () => ({ kb: knowledgeBase.get(), additions: knowledgeBase.localAdditions(), classes: drugClasses.get() });
+
+// Map every known term (ingredient, brand, synonym, misspelling) to its ingredients
+const prepare = (from) => {
+  const vocabulary = buildVocabulary(from);
+  const terms = {};
+  const add = (term, ingredients, via) => {
+    const key = term.toLowerCase();
+    if (!terms[key]) terms[key] = { ingredients: ingredients.map(i => i.toLowerCase()), via };
+  };
+
+  vocabulary.forEach(i => add(i, [i], 'exact'));
+  Object.entries(names.brands || {}).forEach(([brand, ingredients]) => add(brand, ingredients, 'brand'));
+  Object.entries(names.synonyms || {}).forEach(([synonym, ingredient]) => add(synonym, [ingredient], 'synonym'));
+  Object.entries(names.misspellings || {}).forEach(([typo, ingredient]) => add(typo, [ingredient], 'misspelling'));
+
+  return {
+    terms,
+    saltForms: new Set((names.saltForms || []).map(s => s.toLowerCase()))
+  };
+};
+
+const load = (file = sourcePath) => {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(parsed.ingredients)) throw new Error('Drug name file must have an "ingredients" array');
+  names = parsed;
+  preparedFrom = sources();
+  current = prepare(preparedFrom);
+  sourcePath = file;
+  logger.info('DRUG NAMES', `Loaded ${Object.keys(current.terms).length} name variants`, { file });
+  return current;
+};
+
+const reload = () => load(sourcePath);
+
+const get = () => {
+  if (!current) return load();
+  const from = sources();
+  if (from.kb !== preparedFrom.kb || from.additions !== preparedFrom.additions || from.classes !== preparedFrom.classes) {
+    preparedFrom = from;
+    current = prepare(from);
+  }
+  return current;
+};
+
+// Optimal string alignment distance, capped for speed
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// The single-word term an unrecognised word is one typo away from. Two
+// typos, or a word one typo away from two different drugs, is too likely to
+// be another real drug (quinidine is not quinine), so it stays unresolved.
+// Short words are never fuzzy-matched.
+const fuzzyLookup = (word) => {
+  if (word.length < 6) return null;
+  const close = Object.entries(get().terms)
+    .filter(([term]) => !term.includes(' ') && editDistance(word, term, 1) <= 1);
+  const drugs = new Set(close.map(([, entry]) => entry.ingredients.slice().sort().join('+')));
+  if (drugs.size !== 1) return null;
+  const [term, entry] = close[0];
+  return { term, ingredients: entry.ingredients, via: 'misspelling' };
+};
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Scan words for drug names, longest phrase first. Salt forms and dose
+// noise are skipped. A hyphenated word that isn't a term itself
+// ("amoxicillin-clavulanate") is split into its parts and scanned again.
+// Returns [{ term, written, ingredients, via, position }].
+const scanTokens = (words, { fuzzy = true } = {}) => {
+  const { terms, saltForms } = get();
+  const tokens = [...words];
+  const found = [];
+  let i = 0;
+  while (i < tokens.length) {
+    let matched = null;
+    for (let n = Math.min(MAX_PHRASE_WORDS, tokens.length - i); n >= 1 && !matched; n--) {
+      const phrase = tokens.slice(i, i + n).join(' ');
+      if (terms[phrase]) matched = { term: phrase, words: n, ...terms[phrase] };
+    }
+    if (!matched && fuzzy && /^[a-z-]+$/.test(tokens[i]) && !saltForms.has(tokens[i])) {
+      const hit = fuzzyLookup(tokens[i]);
+      if (hit) matched = { ...hit, words: 1 };
+    }
+    if (matched) {
+      const written = tokens.slice(i, i + matched.words).join(' ');
+      found.push({ term: matched.term, written, ingredients: matched.ingredients, via: matched.via, position: i });
+      i += matched.words;
+      // A salt form directly after the name belongs to it ("codeine phosphate")
+      while (i < tokens.length && saltForms.has(tokens[i])) i++;
+    } else if (tokens[i].includes('-') && tokens[i].split('-').filter(Boolean).length > 1) {
+      tokens.splice(i, 1, ...tokens[i].split('-').filter(Boolean));
+    } else {
+      i++;
+    }
+  }
+  return found;
+};
+
+const unique = (list) => [...new Set(list)];
+
+// Resolve a medication name to canonical ingredients. Names that resolve to
+// nothing keep their cleaned full name so unknown drugs still compare by exact
+// equality, never by substring.
+const normalizeName = (name) => {
+  const { saltForms } = get();
+  const tokens = tokenize(name);
+  const matches = scanTokens(tokens);
+  if (matches.length) {
+    return { input: name, ingredients: unique(matches.flatMap(m => m.ingredients)), matches, recognised: true };
+  }
+  const cleaned = tokens
+    .filter(t => !saltForms.has(t) && !NOISE_WORDS.has(t) && !/^\d/.test(t))
+    .join(' ');
+  return { input: name, ingredients: cleaned ? [cleaned] : [], matches: [], recognised: false };
+};
+
+const ingredientsOf = (name) => normalizeName(name).ingredients;
+
+// Find every drug mentioned in free text (e.g. an encounter prompt)
+const findInText = (text) => scanTokens(tokenize(text));
+
+module.exports = { load, reload, get, editDistance, normalizeName, ingredientsOf, findInText };
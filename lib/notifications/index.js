@@ -0,0 +1,299 @@
+const axios = require('axios');
+const { SEVERITIES } = require('../knowledgeBase');
+const { signPayload } = require('../webhooks');
+const { sendMail } = require('./smtp');
+const sms = require('./sms');
+const logger = require('../logger');
+
+// Outbound notifications for new high-severity alerts. Each alert severity
+// routes to a set of channels (webhook, email, sms); every send is a delivery
+// in the repository, retried with exponential backoff until it succeeds or
+// runs out of attempts. A delivery for the same alert, channel and target
+// within the dedupe window is never repeated, so an alert pages once.
+
+const COLLECTION = 'notifications';
+const CHANNELS = ['webhook', 'email', 'sms'];
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+const DEFAULT_ROUTES = 'contraindicated=webhook,email,sms;major=webhook,email';
+
+// "contraindicated=webhook,email,sms;major=webhook" → { severity: [channels] }
+const parseRoutes = (text = DEFAULT_ROUTES) => {
+  const routes = {};
+  String(text).split(';').map(s => s.trim()).filter(Boolean).forEach(part => {
+    const [severity, channels = ''] = part.split('=').map(s => s.trim());
+    if (!SEVERITIES.includes(severity)) throw new Error(`Notification route: unknown severity "${severity}"`);
+    routes[severity] = channels.split(',').map(c => c.trim()).filter(Boolean);
+    routes[severity].forEach(c => {
+      if (!CHANNELS.includes(c)) throw new Error(`Notification route: unknown channel "${c}" for ${severity}`);
+    });
+  });
+  return routes;
+};
+
+const list = (value) => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Channels are { name, targets, send(message, target) }. send resolves with a
+// short description of the response or throws.
+const createWebhookChannel = ({ url, secret = null, timeoutMs = 10000 }) => ({
+  name: 'webhook',
+  targets: [url],
+  describe: () => ({ url, signed: !!secret }),
+  send: async (message, target) => {
+    const body = JSON.stringify(message.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = { 'Content-Type': 'application/json', 'X-SafeMed-Delivery': message.deliveryId };
+    if (secret) {
+      headers['X-SafeMed-Timestamp'] = timestamp;
+      headers['X-SafeMed-Signature'] = signPayload(secret, timestamp, body);
+    }
+    const response = await axios.post(target, body, { headers, timeout: timeoutMs, transformRequest: [(data) => data] });
+    return `HTTP ${response.status}`;
+  }
+});
+
+const createEmailChannel = ({ to, ...smtp }) => ({
+  name: 'email',
+  // One SMTP transaction for all recipients
+  targets: [to.join(', ')],
+  describe: () => ({ host: smtp.host, port: smtp.port, to }),
+  send: async (message) => {
+    const result = await sendMail({ ...smtp, to, subject: message.subject, text: message.text });
+    return result.response;
+  }
+});
+
+const createSmsChannel = ({ provider, to, ...config }) => {
+  const client = sms.createProvider(provider, config);
+  return {
+    name: 'sms',
+    // One delivery per number, so a retry never texts someone twice
+    targets: to,
+    describe: () => ({ provider, to }),
+    send: async (message, target) => {
+      const result = await client.send(target, message.short);
+      return result.id ? `accepted ${result.id}` : `HTTP ${result.status}`;
+    }
+  };
+};
+
+// Channels configured by NOTIFY_* environment variables; unconfigured
+// channels are left out
+const channelsFromEnv = (env = process.env) => {
+  const timeoutMs = parseInt(env.NOTIFY_TIMEOUT_MS) || 10000;
+  const channels = [];
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.push(createWebhookChannel({ url: env.NOTIFY_WEBHOOK_URL, secret: env.NOTIFY_WEBHOOK_SECRET || null, timeoutMs }));
+  }
+  if (env.NOTIFY_SMTP_HOST && list(env.NOTIFY_EMAIL_TO).length) {
+    channels.push(createEmailChannel({
+      host: env.NOTIFY_SMTP_HOST,
+      port: parseInt(env.NOTIFY_SMTP_PORT) || 587,
+      secure: env.NOTIFY_SMTP_SECURE === 'true',
+      // Unset: required whenever there is a login
+      requireTls: env.NOTIFY_SMTP_REQUIRE_TLS ? env.NOTIFY_SMTP_REQUIRE_TLS === 'true' : null,
+      user: env.NOTIFY_SMTP_USER || null,
+      pass: env.NOTIFY_SMTP_PASSWORD || null,
+      from: env.NOTIFY_EMAIL_FROM || 'safemed@localhost',
+      to: list(env.NOTIFY_EMAIL_TO),
+      timeoutMs
+    }));
+  }
+  if (env.NOTIFY_SMS_PROVIDER && list(env.NOTIFY_SMS_TO).length) {
+    channels.push(createSmsChannel({
+      provider: env.NOTIFY_SMS_PROVIDER,
+      to: list(env.NOTIFY_SMS_TO),
+      url: env.NOTIFY_SMS_URL,
+      token: env.NOTIFY_SMS_TOKEN || null,
+      accountSid: env.NOTIFY_TWILIO_ACCOUNT_SID,
+      authToken: env.NOTIFY_TWILIO_AUTH_TOKEN,
+      from: env.NOTIFY_TWILIO_FROM,
+      baseUrl: env.NOTIFY_TWILIO_BASE_URL || undefined,
+      timeoutMs
+    }));
+  }
+  return channels;
+};
+
+// What each channel sends for one alert
+const messageFor = (alert, patient, { linkBaseUrl = null } = {}) => {
+  const patientName = patient.full_name || patient.first_name || `Patient ${patient.id}`;
+  const link = linkBaseUrl ? `${linkBaseUrl.replace(/\/$/, '')}/dashboard/${patient.id}` : null;
+  const headline = `${alert.severity.toUpperCase()} ${alert.type}`;
+  return {
+    subject: `[SafeMed] ${headline}: ${patientName}`,
+    text: [
+      `${headline} for ${patientName} (patient ${patient.id})`,
+      '',
+      alert.message,
+      alert.guidance ? `\nGuidance: ${alert.guidance}` : null,
+      link ? `\nOpen the dashboard: ${link}` : null
+    ].filter(l => l !== null).join('\n'),
+    // SMS carries the patient ID rather than the name
+    short: `SafeMed ${headline} for patient ${patient.id}: ${alert.message}`.slice(0, 300),
+    payload: {
+      event: 'alert.created',
+      patient: { id: patient.id, name: patientName },
+      alert: {
+        id: alert.id,
+        type: alert.type,
+        severity: alert.severity,
+        risk: alert.risk,
+        message: alert.message,
+        guidance: alert.guidance || null
+      },
+      url: link
+    }
+  };
+};
+
+const createNotifier = ({
+  store,
+  channels = [],
+  routes = parseRoutes(),
+  maxAttempts = 5,
+  backoffMs = 30000,
+  dedupeMs = 24 * 60 * 60 * 1000,
+  linkBaseUrl = null
+}) => {
+  const byName = Object.fromEntries(channels.map(c => [c.name, c]));
+  const timers = new Map();
+  const inFlight = new Set();
+
+  if (channels.length) {
+    Object.entries(routes).forEach(([severity, names]) => names.filter(n => !byName[n]).forEach(n => {
+      logger.warn('NOTIFY', `Route ${severity} → ${n} ignored: channel not configured`, { severity, channel: n });
+    }));
+  } else {
+    logger.info('NOTIFY', 'No notification channels configured');
+  }
+
+  const keyOf = (d) => `${d.patientId}|${d.alertId}|${d.channel}|${d.target}`;
+
+  const schedule = (delivery, delayMs) => {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery.id);
+    }, Math.max(delayMs, 0));
+    timer.unref?.();
+    timers.set(delivery.id, timer);
+  };
+
+  // One send. Failures are retried after backoffMs, 2x, 4x... up to maxAttempts.
+  const attempt = async (deliveryId) => {
+    const delivery = store.findById(COLLECTION, deliveryId);
+    if (!delivery || !['pending', 'retrying'].includes(delivery.status)) return delivery;
+    const channel = byName[delivery.channel];
+    const attempts = delivery.attempts + 1;
+    const at = new Date().toISOString();
+    const run = (async () => {
+      try {
+        if (!channel) throw new Error(`Channel "${delivery.channel}" is not configured`);
+        const response = await channel.send({ ...delivery.message, deliveryId: String(delivery.id) }, delivery.target);
+        logger.info('NOTIFY', `Delivered alert ${delivery.alertId} via ${delivery.channel}`, { deliveryId: delivery.id, alertId: delivery.alertId, channel: delivery.channel, attempt: attempts });
+        return store.update(COLLECTION, delivery.id, { status: 'delivered', attempts, lastAttemptAt: at, deliveredAt: at, response, lastError: null, nextAttemptAt: null });
+      } catch (error) {
+        const message = error.response ? `HTTP ${error.response.status}` : error.message;
+        if (attempts >= maxAttempts) {
+          logger.error('NOTIFY', `Giving up on alert ${delivery.alertId} via ${delivery.channel} after ${attempts} attempts`, { deliveryId: delivery.id, alertId: delivery.alertId, channel: delivery.channel, attempt: attempts, error: message });
+          return store.update(COLLECTION, delivery.id, { status: 'failed', attempts, lastAttemptAt: at, lastError: message, nextAttemptAt: null });
+        }
+        const delay = backoffMs * 2 ** (attempts - 1);
+        logger.warn('NOTIFY', `Alert ${delivery.alertId} via ${delivery.channel} failed; retrying in ${delay}ms`, { deliveryId: delivery.id, alertId: delivery.alertId, channel: delivery.channel, attempt: attempts, error: message });
+        const updated = store.update(COLLECTION, delivery.id, {
+          status: 'retrying', attempts, lastAttemptAt: at, lastError: message, nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+        schedule(updated, delay);
+        return updated;
+      }
+    })();
+    inFlight.add(run);
+    run.finally(() => inFlight.delete(run));
+    return run;
+  };
+
+  // Queue deliveries for new alerts and make the first attempt. Resolves
+  // with the deliveries created once those first attempts have finished.
+  const dispatch = async (patient, alerts) => {
+    const now = Date.now();
+    const recent = store.find(COLLECTION, d => d.patientId === Number(patient.id) && now - Date.parse(d.createdAt) < dedupeMs);
+    const seen = new Set(recent.map(keyOf));
+    const created = [];
+    alerts.forEach(alert => {
+      (routes[alert.severity] || []).filter(name => byName[name]).forEach(name => {
+        byName[name].targets.forEach(target => {
+          const fields = { patientId: Number(patient.id), alertId: alert.id, channel: name, target };
+          if (seen.has(keyOf(fields))) return;
+          seen.add(keyOf(fields));
+          created.push(store.insert(COLLECTION, {
+            ...fields,
+            alertType: alert.type,
+            severity: alert.severity,
+            message: messageFor(alert, patient, { linkBaseUrl }),
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date(now).toISOString(),
+            lastAttemptAt: null,
+            nextAttemptAt: null,
+            deliveredAt: null,
+            lastError: null,
+            response: null
+          }));
+        });
+      });
+    });
+    return Promise.all(created.map(d => attempt(d.id)));
+  };
+
+  // Try a failed delivery again, with a fresh set of attempts
+  const retry = (deliveryId) => {
+    const delivery = store.findById(COLLECTION, deliveryId);
+    if (!delivery) return null;
+    if (delivery.status !== 'failed') return { error: `Delivery is ${delivery.status}` };
+    store.update(COLLECTION, delivery.id, { status: 'retrying', attempts: 0 });
+    return attempt(delivery.id);
+  };
+
+  // Pick up deliveries left pending or retrying by a previous run
+  const resume = () => {
+    const due = store.find(COLLECTION, d => ['pending', 'retrying'].includes(d.status));
+    due.forEach(d => schedule(d, d.nextAttemptAt ? Date.parse(d.nextAttemptAt) - Date.now() : 0));
+    if (due.length) logger.info('NOTIFY', `Resuming ${due.length} queued deliveries`);
+    return due.length;
+  };
+
+  // Delivery log, newest first
+  const deliveries = ({ status, patientId } = {}) => store
+    .find(COLLECTION, d => (!status || d.status === status) && (patientId === undefined || d.patientId === Number(patientId)))
+    .reverse();
+
+  const info = () => ({
+    channels: channels.map(c => ({ name: c.name, ...c.describe() })),
+    routes,
+    maxAttempts,
+    queued: store.find(COLLECTION, d => ['pending', 'retrying'].includes(d.status)).length,
+    failed: store.find(COLLECTION, d => d.status === 'failed').length
+  });
+
+  // Wait for attempts in progress; cancel scheduled retries (shutdown, tests)
+  const stop = async () => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    await Promise.allSettled([...inFlight]);
+  };
+
+  return { dispatch, retry, resume, deliveries, info, stop };
+};
+
+module.exports = {
+  CHANNELS,
+  DELIVERY_STATUSES,
+  DEFAULT_ROUTES,
+  parseRoutes,
+  channelsFromEnv,
+  createWebhookChannel,
+  createEmailChannel,
+  createSmsChannel,
+  messageFor,
+  createNotifier
+};
@@ -0,0 +1,53 @@
+const axios = require('axios');
+
+// SMS providers. A provider is a factory taking its config and returning
+// { send(to, text) }, which resolves when the provider accepted the message
+// and throws otherwise. Register others with registerProvider.
+
+const providers = {};
+
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+const providerNames = () => Object.keys(providers);
+
+// Generic HTTP gateway: POST { to, message } as JSON, with an optional bearer token
+registerProvider('http', ({ url, token = null, timeoutMs = 10000 }) => {
+  if (!url) throw new Error('SMS provider "http" needs a URL');
+  return {
+    send: async (to, text) => {
+      const response = await axios.post(url, { to, message: text }, {
+        timeout: timeoutMs,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+      return { status: response.status };
+    }
+  };
+});
+
+// Twilio Programmable Messaging. `baseUrl` can point at a stand-in for testing.
+registerProvider('twilio', ({ accountSid, authToken, from, baseUrl = 'https://api.twilio.com', timeoutMs = 10000 }) => {
+  if (!accountSid || !authToken || !from) throw new Error('SMS provider "twilio" needs an account SID, auth token and from number');
+  return {
+    send: async (to, text) => {
+      const response = await axios.post(
+        `${baseUrl}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: from, Body: text }).toString(),
+        {
+          timeout: timeoutMs,
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }
+      );
+      return { status: response.status, id: response.data?.sid || null };
+    }
+  };
+});
+
+const createProvider = (name, config = {}) => {
+  if (!providers[name]) throw new Error(`Unknown SMS provider "${name}" (known: ${providerNames().join(', ')})`);
+  return providers[name](config);
+};
+
+module.exports = { registerProvider, providerNames, createProvider };
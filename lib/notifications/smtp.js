@@ -0,0 +1,143 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Minimal SMTP client for alert emails: EHLO, STARTTLS when offered (or
+// implicit TLS with `secure`), AUTH PLAIN, one message to a list of
+// recipients. Rejects with the server's reply on any unexpected code. With a
+// login, TLS is required unless `requireTls` is explicitly false, so the
+// password never goes out in cleartext by default.
+
+class SmtpError extends Error {
+  constructor(message, { code = null } = {}) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+// Reads CRLF-terminated replies off a socket, joining multi-line replies
+// ("250-..." continued until "250 ...")
+const replyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const queue = [];
+  const waiting = [];
+  let failure = null;
+
+  const push = (reply) => (waiting.length ? waiting.shift().resolve(reply) : queue.push(reply));
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        push({ code: parseInt(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+  };
+  const fail = (error) => {
+    failure = failure || error;
+    waiting.splice(0).forEach(w => w.reject(failure));
+  };
+
+  const attach = (s) => {
+    s.on('data', onData);
+    s.on('error', fail);
+    s.on('close', () => fail(new SmtpError('Connection closed by the SMTP server')));
+  };
+  attach(socket);
+
+  return {
+    attach,
+    next: () => {
+      if (queue.length) return Promise.resolve(queue.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+};
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+// RFC 5322 message with dot-stuffed body lines
+const buildMessage = ({ from, to, subject, text, date = new Date() }) => {
+  const domain = String(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  const body = String(text).replace(/\r?\n/g, '\r\n').split('\r\n').map(l => (l.startsWith('.') ? `.${l}` : l));
+  return `${headers.join('\r\n')}\r\n\r\n${body.join('\r\n')}\r\n.\r\n`;
+};
+
+const sendMail = async ({
+  host, port = 587, secure = false, requireTls = null, user = null, pass = null,
+  from, to, subject, text, timeoutMs = 10000, tlsOptions = {}
+}) => {
+  if (!host) throw new SmtpError('SMTP host is not configured');
+  if (!to || !to.length) throw new SmtpError('No email recipients');
+
+  let socket = secure
+    ? tls.connect({ host, port, servername: host, ...tlsOptions })
+    : net.connect({ host, port });
+  const timer = setTimeout(() => socket.destroy(new SmtpError(`SMTP timed out after ${timeoutMs}ms`)), timeoutMs);
+  const reader = replyReader(socket);
+
+  const expect = async (codes, step) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`, { code: reply.code });
+    }
+    return reply;
+  };
+  const command = (line, codes, step = line.split(' ')[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], 'greeting');
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = secure;
+    if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await command('STARTTLS', [220]);
+      socket = tls.connect({ socket, servername: host, ...tlsOptions });
+      reader.attach(socket);
+      await new Promise((resolve, reject) => socket.once('secureConnect', resolve).once('error', reject));
+      encrypted = true;
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+    if ((requireTls ?? !!user) && !encrypted) {
+      throw new SmtpError(`SMTP server does not offer TLS and SMTP TLS is required${user ? ' to send the login' : ''}`);
+    }
+    if (user) {
+      const token = Buffer.from(`\u0000${user}\u0000${pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+    }
+    await command(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const recipient of to) await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    await command('DATA', [354]);
+    socket.write(buildMessage({ from, to, subject, text }));
+    const accepted = await expect([250], 'message');
+    socket.write('QUIT\r\n');
+    return { accepted: to, response: `${accepted.code} ${accepted.lines.join(' ')}` };
+  } finally {
+    clearTimeout(timer);
+    socket.end();
+  }
+};
+
+module.exports = { SmtpError, buildMessage, sendMail };
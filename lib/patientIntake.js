@@ -0,0 +1,134 @@
+const normalize = require('./normalize');
+const { parsePrompt, toPatientFields } = require('./promptParser');
+
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'unknown'];
+const SEXES = ['female', 'male', 'other', 'unknown'];
+
+// Parsed fields that need a second look before the clinician confirms
+const REVIEW_REASONS = {
+  moderate: 'Read from the prompt with moderate confidence; please check',
+  low: 'Guessed from the prompt; please check',
+  none: 'Not found in the prompt'
+};
+
+// A structured allergy: the substance, what resolved from it, and the reaction if known
+const allergyEntry = (substance, { reaction = null, severity = 'unknown' } = {}) => {
+  const resolved = normalize.normalizeName(substance);
+  return {
+    substance: substance.trim(),
+    reaction: reaction ? String(reaction).trim() || null : null,
+    severity,
+    ingredients: resolved.ingredients,
+    recognised: resolved.recognised
+  };
+};
+
+// Phase one: parse the prompt into an editable draft and list what the
+// clinician should check. Nothing is saved.
+const draftFromPrompt = (prompt) => {
+  const parsed = parsePrompt(prompt);
+  const { fields } = parsed;
+  const base = toPatientFields(parsed);
+
+  const draft = {
+    full_name: base.full_name,
+    sex: base.sex || null,
+    age: base.age ?? null,
+    date_of_birth: base.date_of_birth || null,
+    weight_kg: base.weight_kg ?? null,
+    allergies: base.allergies.map(a => allergyEntry(a)),
+    // Only a stated "NKDA" / "no known allergies" pre-ticks the box
+    nkda: fields.allergies.confidence === 'high' && fields.allergies.value.length === 0
+  };
+
+  const review = [];
+  const flag = (field, confidence, reason = REVIEW_REASONS[confidence]) => review.push({ field, confidence, reason });
+
+  if (fields.name.confidence !== 'high') flag('full_name', fields.name.confidence);
+  if (['moderate', 'low'].includes(fields.sex.confidence)) flag('sex', fields.sex.confidence);
+  if (fields.age.confidence === 'none' && fields.dateOfBirth.confidence === 'none') {
+    flag('age', 'none', 'No age or date of birth found; needed for pediatric dose checks');
+  }
+  if (fields.dateOfBirth.confidence === 'moderate') flag('date_of_birth', 'moderate', 'Read as day/month/year; please check');
+  if (fields.allergies.confidence === 'none') {
+    flag('allergies', 'none', 'No allergies mentioned. Add them, or confirm no known allergies.');
+  } else if (fields.allergies.confidence !== 'high') {
+    flag('allergies', fields.allergies.confidence);
+  }
+  draft.allergies.forEach((a, i) => {
+    if (!a.recognised) flag(`allergies[${i}]`, 'low', `"${a.substance}" is not a recognised drug or class; allergy checks will only match it exactly`);
+  });
+
+  return { draft, review, parsed: fields };
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Phase two: validate what the clinician confirmed. Returns { valid, errors, patient }
+// where patient is ready for the EMR create endpoint.
+const validatePatient = (input = {}) => {
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+  const patient = {};
+
+  const name = (input.full_name || '').toString().trim().replace(/\s+/g, ' ');
+  if (name.length < 2 || name.length > 100) error('full_name', 'Name is required (2-100 characters)');
+  patient.full_name = name;
+  patient.first_name = name.split(' ')[0] || null;
+
+  if (!isBlank(input.sex)) {
+    if (!SEXES.includes(input.sex)) error('sex', `Sex must be one of ${SEXES.join(', ')}`);
+    else patient.sex = input.sex;
+  }
+
+  if (!isBlank(input.age)) {
+    const age = Number(input.age);
+    if (isNaN(age) || age < 0 || age > 120) error('age', 'Age must be between 0 and 120 years');
+    else patient.age = age;
+  }
+
+  if (!isBlank(input.date_of_birth)) {
+    const dob = new Date(input.date_of_birth);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(input.date_of_birth) || isNaN(dob)) error('date_of_birth', 'Date of birth must be YYYY-MM-DD');
+    else if (dob > new Date()) error('date_of_birth', 'Date of birth is in the future');
+    else patient.date_of_birth = input.date_of_birth;
+  }
+
+  if (!isBlank(input.weight_kg)) {
+    const weight = Number(input.weight_kg);
+    if (isNaN(weight) || weight < 0.3 || weight > 400) error('weight_kg', 'Weight must be between 0.3 and 400 kg');
+    else patient.weight_kg = weight;
+  }
+
+  // Allergies: a list of { substance, reaction, severity } (plain strings are
+  // accepted as a substance with unknown severity)
+  const allergies = Array.isArray(input.allergies) ? input.allergies : [];
+  if (!Array.isArray(input.allergies) && !isBlank(input.allergies)) error('allergies', 'Allergies must be a list');
+  const details = [];
+  allergies.forEach((raw, i) => {
+    const entry = typeof raw === 'string' ? { substance: raw } : (raw || {});
+    const substance = (entry.substance || '').toString().trim();
+    const severity = isBlank(entry.severity) ? 'unknown' : entry.severity;
+    if (!substance) return error(`allergies[${i}].substance`, 'Allergy substance is required');
+    if (!ALLERGY_SEVERITIES.includes(severity)) {
+      return error(`allergies[${i}].severity`, `Severity must be one of ${ALLERGY_SEVERITIES.join(', ')}`);
+    }
+    if (details.some(d => d.substance.toLowerCase() === substance.toLowerCase())) return;
+    const { ingredients, recognised, ...detail } = allergyEntry(substance, { reaction: entry.reaction, severity });
+    details.push(detail);
+  });
+
+  const nkda = input.nkda === true || input.nkda === 'true';
+  if (nkda && details.length) error('nkda', '"No known allergies" is ticked but allergies are listed');
+  if (!nkda && !details.length && !errors.some(e => e.field.startsWith('allergies'))) {
+    error('allergies', 'Add at least one allergy or confirm "No known allergies"');
+  }
+
+  patient.allergies = details.map(d => d.substance);
+  patient.allergy_details = details;
+  patient.nkda = nkda;
+
+  return { valid: errors.length === 0, errors, patient };
+};
+
+module.exports = { ALLERGY_SEVERITIES, SEXES, draftFromPrompt, validatePatient };
@@ -0,0 +1,206 @@
+const { ALERT_TYPES } = require('./alerts');
+
+// Population-level view of alerts. Every time a patient's alerts are
+// computed, the result is kept as that patient's snapshot and each alert's
+// first-seen and resolved times are tracked, so the ward overview reads the
+// repository instead of calling the EMR three times per patient.
+
+const SNAPSHOTS = 'alertSnapshots';
+const HISTORY = 'alertHistory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TREND_DAYS = 30;
+const MAX_TREND_DAYS = 366;
+const TOP_PAIRS = 10;
+
+const dayOf = (iso) => iso.slice(0, 10);
+
+// The drugs an alert is about, lower-cased, for filtering
+const drugsOf = (alert) => (alert.medications || (alert.medication ? [alert.medication] : []))
+  .map(d => d.toLowerCase());
+
+// Interaction alerts are keyed "interaction|drugA|drugB"
+const pairOf = (alert) => (alert.type === 'DRUG INTERACTION' ? alert.key.split('|').slice(1, 3) : null);
+
+// What a snapshot keeps of each alert
+const slim = (alert) => ({
+  id: alert.id,
+  type: alert.type,
+  message: alert.message,
+  severity: alert.severity,
+  risk: alert.risk,
+  drugs: drugsOf(alert),
+  pair: pairOf(alert)
+});
+
+// Resolved history entries are dropped `historyDays` after they were
+// resolved; alerts that are still open are always kept
+const createAlertSnapshots = (store, { historyDays = MAX_TREND_DAYS } = {}) => {
+  let prunedOn = null;
+
+  // Drop resolved entries past the retention, at most once a day
+  const pruneHistory = (at) => {
+    if (dayOf(at) === prunedOn) return;
+    prunedOn = dayOf(at);
+    const cutoff = new Date(Date.parse(at) - historyDays * DAY_MS).toISOString();
+    store.trim(HISTORY, 0, h => h.resolvedAt && h.resolvedAt < cutoff);
+  };
+
+  const forPatient = (patientId) => store.find(SNAPSHOTS, s => s.patientId === Number(patientId))[0] || null;
+
+  // Replace the patient's snapshot, and open or resolve history entries for
+  // alerts that appeared or went away since the last one
+  const record = (patientId, patient, alerts, at = new Date().toISOString()) => {
+    const id = Number(patientId);
+    const fields = {
+      patientId: id,
+      patientName: patient?.full_name || patient?.first_name || `Patient ${id}`,
+      computedAt: at,
+      alerts: alerts.map(slim)
+    };
+    const existing = forPatient(id);
+    const snapshot = existing ? store.update(SNAPSHOTS, existing.id, fields) : store.insert(SNAPSHOTS, fields);
+
+    const open = store.find(HISTORY, h => h.patientId === id && !h.resolvedAt);
+    const current = new Set(fields.alerts.map(a => a.id));
+    open.filter(h => !current.has(h.alertId)).forEach(h => store.update(HISTORY, h.id, { resolvedAt: at }));
+    const seen = new Set(open.map(h => h.alertId));
+    fields.alerts.filter(a => !seen.has(a.id)).forEach(a => store.insert(HISTORY, {
+      patientId: id,
+      alertId: a.id,
+      type: a.type,
+      severity: a.severity,
+      risk: a.risk,
+      drugs: a.drugs,
+      firstSeenAt: at,
+      resolvedAt: null
+    }));
+    pruneHistory(at);
+    return snapshot;
+  };
+
+  const all = () => store.all(SNAPSHOTS);
+  const history = () => store.all(HISTORY);
+
+  // Patients whose snapshot is missing or older than maxAgeMs
+  const isStale = (patientId, maxAgeMs, now = Date.now()) => {
+    const snapshot = forPatient(patientId);
+    return !snapshot || now - Date.parse(snapshot.computedAt) > maxAgeMs;
+  };
+
+  return { record, forPatient, all, history, isStale };
+};
+
+// Check overview filters from a query string. Returns { error } or { filters }.
+const parseFilters = ({ type, drug, from, to } = {}) => {
+  if (type && !ALERT_TYPES.includes(type)) return { error: `"type" must be one of ${ALERT_TYPES.join(', ')}` };
+  const dates = {};
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (!value) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) return { error: `"${name}" must be a date (YYYY-MM-DD)` };
+    dates[name] = value;
+  }
+  if (dates.from && dates.to && dates.from > dates.to) return { error: '"from" is after "to"' };
+  return {
+    filters: {
+      type: type || null,
+      drug: drug ? String(drug).trim().toLowerCase() : null,
+      from: dates.from || null,
+      to: dates.to || null
+    }
+  };
+};
+
+// Rank patients, count interaction pairs and build daily trends from stored
+// snapshots. `annotate(patientId, alerts)` adds acknowledgement status.
+// The date range applies to when each alert was first seen.
+const buildOverview = ({ snapshots, history, annotate, filters = {}, now = new Date() }) => {
+  const firstSeen = new Map(history.map(h => [`${h.patientId}|${h.alertId}`, h.firstSeenAt]));
+  const inRange = (iso) => !iso
+    || ((!filters.from || dayOf(iso) >= filters.from) && (!filters.to || dayOf(iso) <= filters.to));
+  const matches = (alert) => (!filters.type || alert.type === filters.type)
+    && (!filters.drug || alert.drugs.some(d => d.includes(filters.drug)));
+
+  const ranking = [];
+  const pairs = {};
+  const bySeverity = {};
+  const byType = {};
+  let openAlerts = 0;
+
+  snapshots.forEach(snapshot => {
+    const open = annotate(snapshot.patientId, snapshot.alerts)
+      .filter(a => a.status === 'open' && matches(a) && inRange(firstSeen.get(`${snapshot.patientId}|${a.id}`)));
+    if (!open.length) return;
+    open.forEach(a => {
+      bySeverity[a.severity] = (bySeverity[a.severity] || 0) + 1;
+      byType[a.type] = (byType[a.type] || 0) + 1;
+      if (a.pair) {
+        const label = a.pair.map(d => d.toUpperCase()).join(' + ');
+        pairs[label] = pairs[label] || { pair: a.pair, label, patients: 0, severity: a.severity };
+        pairs[label].patients += 1;
+      }
+    });
+    openAlerts += open.length;
+    ranking.push({
+      patientId: snapshot.patientId,
+      patientName: snapshot.patientName,
+      openHigh: open.filter(a => a.risk === 'High').length,
+      open: open.length,
+      alerts: open,
+      computedAt: snapshot.computedAt
+    });
+  });
+  ranking.sort((a, b) => b.openHigh - a.openHigh || b.open - a.open || a.patientName.localeCompare(b.patientName));
+
+  // Daily counts of alerts first seen, resolved, and still active at the end of each day
+  const to = filters.to ? new Date(`${filters.to}T00:00:00.000Z`) : new Date(`${dayOf(now.toISOString())}T00:00:00.000Z`);
+  const earliest = to.getTime() - (MAX_TREND_DAYS - 1) * DAY_MS;
+  const from = filters.from
+    ? Math.max(Date.parse(`${filters.from}T00:00:00.000Z`), earliest)
+    : to.getTime() - (DEFAULT_TREND_DAYS - 1) * DAY_MS;
+  const days = Math.floor((to.getTime() - from) / DAY_MS) + 1;
+  const indexOf = (iso) => (Date.parse(`${dayOf(iso)}T00:00:00.000Z`) - from) / DAY_MS;
+  const inWindow = (i) => i >= 0 && i < days;
+  const trends = Array.from({ length: Math.max(days, 0) }, (_, i) => ({
+    date: dayOf(new Date(from + i * DAY_MS).toISOString()), new: 0, newHigh: 0, resolved: 0, active: 0
+  }));
+  // An alert is active at the end of every day from the one it was first seen
+  // up to the one before it was resolved; count those spans as +1/-1 steps
+  const steps = new Array(Math.max(days, 0) + 1).fill(0);
+  history.filter(h => matches(h)).forEach(h => {
+    const seen = indexOf(h.firstSeenAt);
+    const resolved = h.resolvedAt ? indexOf(h.resolvedAt) : days;
+    if (inWindow(seen)) {
+      trends[seen].new += 1;
+      if (h.risk === 'High') trends[seen].newHigh += 1;
+    }
+    if (h.resolvedAt && inWindow(resolved)) trends[resolved].resolved += 1;
+    const start = Math.max(seen, 0);
+    const end = Math.min(resolved, days);
+    if (start < end) {
+      steps[start] += 1;
+      steps[end] -= 1;
+    }
+  });
+  trends.reduce((active, day, i) => (day.active = active + steps[i]), 0);
+
+  return {
+    filters,
+    totals: {
+      patientsChecked: snapshots.length,
+      patientsWithOpenAlerts: ranking.length,
+      openAlerts,
+      openHigh: ranking.reduce((sum, r) => sum + r.openHigh, 0),
+      bySeverity,
+      byType
+    },
+    ranking,
+    interactionPairs: Object.values(pairs)
+      .sort((a, b) => b.patients - a.patients || a.label.localeCompare(b.label))
+      .slice(0, TOP_PAIRS),
+    trends,
+    oldestSnapshotAt: snapshots.reduce((oldest, s) => (!oldest || s.computedAt < oldest ? s.computedAt : oldest), null)
+  };
+};
+
+module.exports = { createAlertSnapshots, parseFilters, buildOverview };
@@ -0,0 +1,27 @@
+const { computeAlerts } = require('./alerts');
+const { reconcile } = require('./medications');
+
+// Run the safety checks as if the proposed medications had been prescribed,
+// without writing anything. Returns every alert that would fire, the subset
+// that the proposal introduces, and how the proposal compares with the
+// patient's current medications. `options` are passed on to computeAlerts.
+// A proposed medication that continues a current one takes its place in the
+// check, so it isn't reported as duplicate therapy against itself.
+const checkPrescription = async (patientId, patient, currentMeds = [], proposedMeds = [], options = {}) => {
+  const proposed = proposedMeds.map(m => ({ ...m, id: null, proposed: true }));
+  const reconciliation = reconcile(currentMeds, proposedMeds);
+  const replaced = new Set(reconciliation.continued.map(c => c.home));
+  const [before, after] = await Promise.all([
+    computeAlerts(patientId, currentMeds, patient, options),
+    computeAlerts(patientId, [...currentMeds.filter(m => !replaced.has(m)), ...proposed], patient, options)
+  ]);
+  const existing = new Set(before.map(a => a.id));
+  return {
+    proposed,
+    alerts: after,
+    newAlerts: after.filter(a => !existing.has(a.id)),
+    reconciliation
+  };
+};
+
+module.exports = { checkPrescription };
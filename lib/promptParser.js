@@ -0,0 +1,294 @@
+const normalize = require('./normalize');
+const dose = require('./dose');
+const { parseDuration } = require('./medications');
+
+// Confidence attached to every parsed field. "none" means nothing was found.
+const CONFIDENCE = ['high', 'moderate', 'low', 'none'];
+
+// One capitalised name word: "Jane", "O'Brien", "Smith-Jones"
+const NAME_WORD = "[A-Z](?:[a-z]+|'[A-Z][a-z]+)(?:-[A-Z][a-z]+)?";
+const TITLE = '(?:(?:Mr|Mrs|Ms|Miss|Dr|Master)\\.?\\s+)?';
+const NAME_KEYWORD = '(?:[Nn]ew\\s+[Pp]atient|[Cc]reate\\s+[Pp]atient|[Pp]atient(?:\\s+[Nn]ame)?|[Nn]ame(?:\\s+is)?)\\s*:?\\s+';
+
+// Capitalised words that start sentences or describe the patient, never names
+const NOT_NAMES = new Set([
+  'new', 'patient', 'create', 'add', 'name', 'prescribe', 'prescribed', 'start', 'give', 'allergic',
+  'allergy', 'allergies', 'diagnosed', 'diagnosis', 'has', 'is', 'with', 'bp', 'nkda', 'male', 'female',
+  'man', 'woman', 'boy', 'girl', 'he', 'she', 'they', 'the', 'a', 'an', 'and', 'no', 'known', 'presents',
+  'complains', 'history', 'dob', 'born', 'aged', 'age', 'weight', 'temp', 'hr', 'pulse', 'today', 'please',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'yesterday', 'since'
+]);
+
+// Conditions recognised on their own when no diagnosis phrase is present
+const COMMON_CONDITIONS = [
+  'atrial fibrillation', 'heart failure', 'chest pain', 'back pain', 'sore throat', 'urinary tract infection',
+  'hypertension', 'diabetes', 'asthma', 'malaria', 'pneumonia', 'migraine', 'arthritis', 'influenza', 'flu', 'fever', 'headache',
+  'infection', 'cough', 'cold', 'pain', 'uti', 'gastritis', 'dvt', 'epilepsy', 'depression', 'anxiety'
+];
+
+const CLAUSE_END = '(?=[.;]|\\s+(?:and\\s+)?(?:has|is|was|presents|presenting|complains|prescribe|prescribed|start|give|diagnosed|bp\\b|blood pressure|hr\\b|pulse|temp)\\b|$)';
+
+const field = (value, confidence, matched = null) => ({ value, confidence, matched });
+const none = (empty = null) => field(empty, 'none');
+
+const lowest = (levels) => levels.reduce((worst, c) => (CONFIDENCE.indexOf(c) > CONFIDENCE.indexOf(worst) ? c : worst), 'high');
+
+const titleCase = (text) => text.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+
+// A candidate is a name only if none of its words is a keyword, condition or drug
+const looksLikeName = (candidate) => {
+  const words = candidate.toLowerCase().split(/\s+/);
+  if (words.some(w => NOT_NAMES.has(w) || COMMON_CONDITIONS.includes(w))) return false;
+  return !normalize.findInText(candidate).some(m => m.via !== 'misspelling');
+};
+
+// Split "penicillin, sulfa and latex" into items
+const splitList = (text) => text
+  .split(/,|;|\/|&|\s+and\s+|\s+or\s+/i)
+  .map(item => item.trim().replace(/^(?:a|an)\s+/i, '').replace(/[.\s]+$/, ''))
+  .filter(Boolean);
+
+const parseName = (text) => {
+  const attempts = [
+    // "New patient Jane Doe", "Patient: Mrs Grace Okafor"
+    { regex: new RegExp(`${NAME_KEYWORD}${TITLE}(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`), multi: 'high', single: 'moderate' },
+    // "Victor Daniel has cold", "Amina Bello, 34 years"
+    { regex: new RegExp(`^${TITLE}(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})(?=\\s*,|\\s+(?:has|is|was|with|presents|aged|\\d))`), multi: 'high', single: 'moderate' },
+    // "Victor Daniel" at the start of the prompt
+    { regex: new RegExp(`^${TITLE}(${NAME_WORD}\\s+${NAME_WORD})\\b`), multi: 'moderate' }
+  ];
+  for (const { regex, multi, single } of attempts) {
+    const match = text.match(regex);
+    if (!match) continue;
+    // Drop trailing words that aren't part of the name ("Jane Doe Allergic ...")
+    const words = match[1].split(/\s+/);
+    while (words.length && !looksLikeName(words[words.length - 1])) words.pop();
+    if (!words.length || !looksLikeName(words.join(' '))) continue;
+    const confidence = words.length > 1 ? multi : (single || 'low');
+    return field(words.join(' '), confidence, match[0].trim());
+  }
+
+  // Lower-case prompts: "new patient john doe has fever"
+  const keyword = text.match(/(?:new patient|create patient|patient name|name is)\s*:?\s+([a-z'-]+(?:\s+[a-z'-]+)?)/i);
+  if (keyword) {
+    const words = keyword[1].split(/\s+/).filter(w => !NOT_NAMES.has(w.toLowerCase()));
+    const kept = [];
+    for (const w of words) {
+      if (!looksLikeName(w)) break;
+      kept.push(w);
+    }
+    if (kept.length) return field(titleCase(kept.join(' ')), 'low', keyword[0].trim());
+  }
+
+  // Last resort: the first capitalised word(s) that aren't keywords or drugs
+  const capitalised = new RegExp(`\\b(${NAME_WORD}(?:\\s+${NAME_WORD})?)\\b`, 'g');
+  for (const match of text.matchAll(capitalised)) {
+    if (looksLikeName(match[1])) return field(match[1], 'low', match[0]);
+  }
+  return none();
+};
+
+const parseSex = (text) => {
+  const shorthand = text.match(/\b\d{1,3}\s*(?:y(?:ears?)?|yo)?\s*([MF])\b/);
+  if (shorthand) return field(shorthand[1] === 'F' ? 'female' : 'male', 'high', shorthand[0]);
+
+  const female = text.match(/\b(?:female|woman|girl|lady|pregnant)\b/i);
+  const male = text.match(/\b(?:male|man|boy|gentleman)\b/i);
+  if (female && !male) return field('female', female[0].toLowerCase() === 'pregnant' ? 'moderate' : 'high', female[0]);
+  if (male && !female) return field('male', 'high', male[0]);
+  if (male && female) return field(female.index < male.index ? 'female' : 'male', 'low', (female.index < male.index ? female : male)[0]);
+
+  const she = text.match(/\b(?:she|her)\b/i);
+  const he = text.match(/\b(?:he|his|him)\b/i);
+  if (she && !he) return field('female', 'moderate', she[0]);
+  if (he && !she) return field('male', 'moderate', he[0]);
+  return none();
+};
+
+const parseAge = (text) => {
+  const years = text.match(/\b(\d{1,3})\s*-?\s*(?:years?|yrs?|y\/o|yo|y\.o\.)(?:\s*-?\s*old)?\b/i)
+    || text.match(/\baged?\s*:?\s*(\d{1,3})\b/i)
+    || text.match(/\b(\d{1,3})\s*[MF]\b/);
+  if (years && parseInt(years[1]) <= 120) return field(parseInt(years[1]), 'high', years[0].trim());
+
+  const months = text.match(/\b(\d{1,2})\s*-?\s*(?:months?|mo)\b(?:\s*-?\s*old)?/i);
+  if (months) return field(+(parseInt(months[1]) / 12).toFixed(2), 'high', months[0].trim());
+  return none();
+};
+
+// ISO dates are unambiguous; d/m/y is read day first
+const parseDateOfBirth = (text) => {
+  const match = text.match(/\b(?:dob|d\.o\.b\.?|date of birth|born(?:\s+on)?)\s*:?\s*(\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{4})\b/i);
+  if (!match) return none();
+  const raw = match[1];
+  if (/^\d{4}-/.test(raw)) return isNaN(new Date(raw)) ? none() : field(raw, 'high', match[0]);
+  const [day, month, year] = raw.split(/[/.-]/).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return none();
+  const iso = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return field(iso, 'moderate', match[0]);
+};
+
+const parseWeight = (text) => {
+  const match = text.match(/\b(\d{1,3}(?:\.\d+)?)\s*(?:kg|kgs|kilograms?)\b/i);
+  return match ? field(parseFloat(match[1]), 'high', match[0]) : none();
+};
+
+// Allergy clauses, with where they are so their drug names aren't read as prescriptions
+const findAllergyClauses = (text) => {
+  const clauses = [];
+  const explicit = new RegExp(`\\b(?:allergic\\s+to|allergy\\s+to|allergies\\s*(?:to|:|-)|allergic reaction\\s+to)\\s+(.+?)${CLAUSE_END}`, 'gi');
+  for (const match of text.matchAll(explicit)) {
+    clauses.push({ items: splitList(match[1]), matched: match[0], index: match.index, explicit: true });
+  }
+  // "penicillin allergy", "sulfa-allergic"
+  for (const match of text.matchAll(/\b([a-z][a-z-]*[a-z])(?:\s+allergy|-allergic)\b/gi)) {
+    const item = match[1].toLowerCase();
+    if (['known', 'no', 'an', 'a', 'has', 'drug', 'severe', 'mild'].includes(item)) continue;
+    if (clauses.some(c => match.index >= c.index && match.index < c.index + c.matched.length)) continue;
+    clauses.push({ items: [match[1]], matched: match[0], index: match.index, explicit: false });
+  }
+  return clauses;
+};
+
+const parseAllergies = (text, clauses) => {
+  const nkda = text.match(/\b(?:nkda|nka|no known (?:drug )?allergies|no allergies)\b/i);
+  if (!clauses.length) return nkda ? field([], 'high', nkda[0]) : none([]);
+
+  const items = [...new Set(clauses.flatMap(c => c.items))];
+  const allKnown = items.every(i => normalize.normalizeName(i).recognised);
+  const confidence = clauses.every(c => c.explicit) && allKnown ? 'high' : 'moderate';
+  return field(items, confidence, clauses.map(c => c.matched).join(' | '));
+};
+
+// Diagnosis candidates that are really ages, drugs, allergies or whole sentences
+const isDiagnosis = (item) => !/^\d|allerg|prescri|\byears?\b|\bkg\b|\bold\b|patient|\b(?:he|she|they)\b/i.test(item)
+  && item.split(/\s+/).length <= 5
+  && !normalize.findInText(item).some(m => m.via !== 'misspelling');
+
+const parseDiagnoses = (text) => {
+  const phrases = [
+    { regex: new RegExp(`\\b(?:diagnosed\\s+with|diagnosis\\s*[:-]|dx\\s*[:-])\\s*(.+?)${CLAUSE_END}`, 'i'), confidence: 'high' },
+    { regex: new RegExp(`\\b(?:suffering\\s+from|complains\\s+of|complaining\\s+of|c\\/o|presents\\s+with|presenting\\s+with|presented\\s+with)\\s+(.+?)${CLAUSE_END}`, 'i'), confidence: 'moderate' },
+    { regex: new RegExp(`\\bhas\\s+(?:a\\s+|an\\s+)?(.+?)${CLAUSE_END}`, 'i'), confidence: 'moderate' }
+  ];
+  for (const { regex, confidence } of phrases) {
+    const match = text.match(regex);
+    if (!match) continue;
+    const items = splitList(match[1]).filter(isDiagnosis);
+    if (items.length) return field(items, confidence, match[0].trim());
+  }
+
+  const lower = text.toLowerCase();
+  const found = COMMON_CONDITIONS.filter(c => new RegExp(`\\b${c}\\b`).test(lower));
+  // Keep the most specific phrase ("sore throat", not also "throat")
+  const specific = found.filter(c => !found.some(other => other !== c && other.includes(c)));
+  return specific.length ? field(specific, 'low', specific.join(', ')) : none([]);
+};
+
+// Dose written straight after a drug name in a prompt, e.g. "paracetamol 1g qds, ..."
+const doseTextAfter = (prompt, written) => {
+  const name = written.split(' ').map(w => w.replace(/[-]/g, '\\-')).join('[^a-z0-9]+');
+  const match = prompt.match(new RegExp(`${name}\\s+(.*?)(?:[.;,]\\s|[.;,]?$|\\s+and\\s)`, 'i'));
+  if (!match) return null;
+  return dose.parseDose(match[1]).strengths.length ? match[1].trim() : null;
+};
+
+// Medications mentioned in free text, once each. Brand names keep the brand
+// as the medication name; everything else uses the canonical ingredient.
+const extractMedications = (prompt) => normalize.findInText(prompt)
+  .filter((m, i, all) => all.findIndex(x => x.term === m.term) === i)
+  .map(m => ({
+    name: titleCase(m.via === 'brand' ? m.written : m.ingredients[0]),
+    dose: doseTextAfter(prompt, m.written),
+    ingredients: m.ingredients,
+    via: m.via
+  }));
+
+// Medications outside allergy clauses, with dose, route and frequency
+const parseMedications = (text, allergyClauses) => {
+  let prescribing = text;
+  allergyClauses.forEach(c => {
+    prescribing = prescribing.slice(0, c.index) + ' '.repeat(c.matched.length) + prescribing.slice(c.index + c.matched.length);
+  });
+  const medications = extractMedications(prescribing).map(med => {
+    const parsed = dose.parseDose(med.dose || '');
+    const confidence = med.via === 'misspelling' ? 'low' : (med.dose ? 'high' : 'moderate');
+    return {
+      ...med,
+      route: parsed.route,
+      frequency: parsed.frequency,
+      perDay: parsed.perDay,
+      prn: parsed.prn,
+      durationDays: parseDuration(med.dose),
+      confidence
+    };
+  });
+  if (!medications.length) return none([]);
+  return field(medications, lowest(medications.map(m => m.confidence)), medications.map(m => m.name).join(', '));
+};
+
+const parseBloodPressure = (text) => {
+  const labelled = text.match(/\b(?:bp|blood pressure)\s*(?:of|is|was)?\s*[:=]?\s*(\d{2,3})\s*\/\s*(\d{2,3})/i);
+  const bare = labelled || text.match(/\b(\d{2,3})\s*\/\s*(\d{2,3})\s*mm\s*hg\b/i);
+  if (!bare) return none();
+  const [systolic, diastolic] = [parseInt(bare[1]), parseInt(bare[2])];
+  if (systolic <= diastolic) return field({ systolic, diastolic }, 'low', bare[0]);
+  return field({ systolic, diastolic }, labelled ? 'high' : 'moderate', bare[0]);
+};
+
+const parseHeartRate = (text) => {
+  const match = text.match(/\b(?:hr|heart rate|pulse)\s*(?:of|is|was)?\s*[:=]?\s*(\d{2,3})\b/i) || text.match(/\b(\d{2,3})\s*bpm\b/i);
+  return match ? field(parseInt(match[1]), 'high', match[0]) : none();
+};
+
+const parseTemperature = (text) => {
+  const match = text.match(/\b(?:temp(?:erature)?|t)\s*(?:of|is|was)?\s*[:=]?\s*(\d{2}(?:\.\d)?)\s*(?:°\s*)?c?\b/i)
+    || text.match(/\b(\d{2}(?:\.\d)?)\s*°\s*c\b/i);
+  if (!match) return none();
+  const celsius = parseFloat(match[1]);
+  return celsius >= 30 && celsius <= 45 ? field(celsius, 'high', match[0].trim()) : none();
+};
+
+// Turn a free-text clinical prompt into structured fields. Every field is
+// { value, confidence, matched }, where matched is the text it was read from.
+const parsePrompt = (prompt) => {
+  const text = (prompt || '').toString().trim();
+  const allergyClauses = findAllergyClauses(text);
+  return {
+    input: text,
+    fields: {
+      name: parseName(text),
+      sex: parseSex(text),
+      age: parseAge(text),
+      dateOfBirth: parseDateOfBirth(text),
+      weightKg: parseWeight(text),
+      allergies: parseAllergies(text, allergyClauses),
+      diagnoses: parseDiagnoses(text),
+      medications: parseMedications(text, allergyClauses),
+      bloodPressure: parseBloodPressure(text),
+      heartRate: parseHeartRate(text),
+      temperatureC: parseTemperature(text)
+    }
+  };
+};
+
+// Patient record fields for the EMR create/update endpoints
+const toPatientFields = ({ fields }) => {
+  const patient = {
+    full_name: fields.name.value,
+    first_name: fields.name.value ? fields.name.value.split(/\s+/)[0] : null,
+    allergies: fields.allergies.value
+  };
+  if (fields.sex.value) patient.sex = fields.sex.value;
+  if (fields.age.value !== null) patient.age = fields.age.value;
+  if (fields.dateOfBirth.value) patient.date_of_birth = fields.dateOfBirth.value;
+  if (fields.weightKg.value !== null) patient.weight_kg = fields.weightKg.value;
+  return patient;
+};
+
+// { field: confidence } for logging and API responses
+const confidenceSummary = ({ fields }) => Object.fromEntries(
+  Object.entries(fields).map(([name, f]) => [name, f.confidence])
+);
+
+module.exports = { CONFIDENCE, parsePrompt, toPatientFields, confidenceSummary };
@@ -0,0 +1,54 @@
+const medicationCourse = require('./medications');
+const clinicalRules = require('./clinicalRules');
+const dose = require('./dose');
+
+// Handover summary for referral or discharge: allergies, current medications,
+// open alerts and recent encounters. The printable report and the FHIR export
+// are both built from this.
+
+const RECENT_ENCOUNTERS = 10;
+
+// Structured allergies, falling back to the plain substance list older
+// records carry
+const allergiesOf = (patient) => {
+  const details = Array.isArray(patient.allergy_details) ? patient.allergy_details : [];
+  const detailed = new Set(details.map(a => String(a.substance).toLowerCase()));
+  return [
+    ...details,
+    ...(patient.allergies || [])
+      .filter(a => !detailed.has(String(a).toLowerCase()))
+      .map(substance => ({ substance, reaction: null, severity: 'unknown' }))
+  ];
+};
+
+const byNewest = (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0);
+
+// `alerts` are the patient's annotated alerts (with status and decision)
+const buildReport = ({ patient, encounters = [], medications = [], dataSource = null }, alerts = [], { at = new Date().toISOString() } = {}) => {
+  const courses = medicationCourse.timeline(medications, at);
+  const age = dose.ageInYears(patient);
+  return {
+    generatedAt: at,
+    dataSource,
+    patient: {
+      id: patient.id,
+      name: patient.full_name || patient.first_name || `Patient ${patient.id}`,
+      sex: patient.sex || null,
+      dateOfBirth: patient.date_of_birth || null,
+      age: age === null ? null : Math.floor(age),
+      weightKg: patient.weight_kg ?? null,
+      pregnant: clinicalRules.isPregnant(patient)
+    },
+    allergies: allergiesOf(patient),
+    nkda: patient.nkda === true,
+    conditions: clinicalRules.activeConditions(patient),
+    labs: Object.values(clinicalRules.latestLabs(patient)),
+    medications: courses.filter(m => ['active', 'scheduled'].includes(m.lifecycle.status)),
+    stoppedMedications: courses.filter(m => ['completed', 'discontinued'].includes(m.lifecycle.status)),
+    openAlerts: alerts.filter(a => a.status === 'open'),
+    decidedAlerts: alerts.filter(a => a.status !== 'open'),
+    encounters: encounters.slice().sort(byNewest).slice(0, RECENT_ENCOUNTERS)
+  };
+};
+
+module.exports = { RECENT_ENCOUNTERS, buildReport };
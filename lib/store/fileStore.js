@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+// Changes within this window are written to disk together
+const DEFAULT_FLUSH_MS = 1000;
+
+// Stores with unwritten changes are flushed when the process exits
+const open = new Set();
+process.on('exit', () => open.forEach(store => store.flush()));
+
+// JSON-file repository: state is kept in memory and written to disk shortly
+// after it changes, so a burst of inserts (access log entries, alert views)
+// costs one write rather than one per insert. Writes go to a temp file first
+// so a crash mid-write never leaves a truncated store behind.
+const createFileStore = (file, { flushMs = DEFAULT_FLUSH_MS } = {}) => {
+  const resolved = path.resolve(file);
+  let initial = null;
+
+  if (fs.existsSync(resolved)) {
+    try {
+      initial = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (err) {
+      throw new Error(`Store file ${resolved} is not valid JSON: ${err.message}`);
+    }
+  } else {
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  }
+
+  let pending = null;
+  let timer = null;
+
+  const write = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const tmp = `${resolved}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(pending, null, 2));
+    fs.renameSync(tmp, resolved);
+    pending = null;
+  };
+
+  const persist = (state) => {
+    pending = state;
+    if (!timer) timer = setTimeout(write, flushMs).unref();
+  };
+
+  const store = createMemoryStore(initial, { onChange: persist });
+  store.type = 'file';
+  store.file = resolved;
+  // Write any unwritten changes now
+  store.flush = write;
+  // Write unwritten changes and stop tracking the store for the exit flush
+  store.close = () => {
+    write();
+    open.delete(store);
+  };
+  open.add(store);
+  return store;
+};
+
+module.exports = { DEFAULT_FLUSH_MS, createFileStore };
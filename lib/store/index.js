@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+// Create the repository selected by STORE ("memory" or "file")
+const createStore = ({ type = 'memory', file } = {}) => {
+  if (type === 'file') return createFileStore(file);
+  if (type === 'memory') return createMemoryStore();
+  throw new Error(`Unknown STORE type "${type}" (expected "memory" or "file")`);
+};
+
+// A fixture is a name in fixtures/ ("default") or a path to a JSON file
+const readFixture = (nameOrPath) => {
+  const candidates = [nameOrPath, path.join(FIXTURES_DIR, `${nameOrPath}.json`)];
+  const file = candidates.find(f => fs.existsSync(f) && fs.statSync(f).isFile());
+  if (!file) throw new Error(`Fixture "${nameOrPath}" not found`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+module.exports = { createStore, readFixture };
@@ -0,0 +1,103 @@
+// In-memory repository. Records live in named collections with their own id
+// counters; the file store builds on this and persists the same state.
+
+const COLLECTIONS = ['patients', 'encounters', 'medications'];
+
+const emptyState = () => ({
+  collections: Object.fromEntries(COLLECTIONS.map(c => [c, []])),
+  nextIds: {},
+  nameCache: {}
+});
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const createMemoryStore = (initialState = null, { onChange = () => {} } = {}) => {
+  let state = initialState ? { ...emptyState(), ...clone(initialState) } : emptyState();
+  let muted = false;
+  const changed = () => { if (!muted) onChange(state); };
+
+  const collection = (name) => {
+    if (!state.collections[name]) state.collections[name] = [];
+    return state.collections[name];
+  };
+
+  const nextId = (name) => {
+    const records = collection(name);
+    const highest = records.reduce((max, r) => Math.max(max, Number(r.id) || 0), 0);
+    const id = Math.max(state.nextIds[name] || 1, highest + 1);
+    state.nextIds[name] = id + 1;
+    return id;
+  };
+
+  const store = {
+    type: 'memory',
+
+    // Generic collection access
+    all: (name) => clone(collection(name)),
+    find: (name, predicate) => clone(collection(name).filter(predicate)),
+    findById: (name, id) => clone(collection(name).find(r => r.id === Number(id)) || null),
+    insert: (name, record) => {
+      const created = { ...clone(record), id: record.id ?? nextId(name) };
+      collection(name).push(created);
+      changed();
+      return clone(created);
+    },
+    update: (name, id, fields) => {
+      const record = collection(name).find(r => r.id === Number(id));
+      if (!record) return null;
+      Object.assign(record, clone(fields));
+      changed();
+      return clone(record);
+    },
+    count: (name) => collection(name).length,
+    // Drop the oldest records matching `predicate` so at most `keep` remain.
+    // Returns how many were dropped.
+    trim: (name, keep, predicate = () => true) => {
+      const records = collection(name);
+      const matching = records.filter(predicate);
+      if (matching.length <= keep) return 0;
+      const dropped = new Set(matching.slice(0, matching.length - keep));
+      state.collections[name] = records.filter(r => !dropped.has(r));
+      changed();
+      return dropped.size;
+    },
+
+    // Patients, encounters and medications
+    listPatients: () => store.all('patients'),
+    getPatient: (id) => store.findById('patients', id),
+    createPatient: (data) => store.insert('patients', data),
+    updatePatient: (id, fields) => store.update('patients', id, fields),
+    listEncounters: (patientId) => store.find('encounters', e => e.patient === Number(patientId)),
+    createEncounter: (data) => store.insert('encounters', data),
+    listMedications: (patientId) => store.find('medications', m => m.patient === Number(patientId)),
+    createMedication: (data) => store.insert('medications', data),
+
+    // Patient names remembered when the upstream API doesn't return full_name
+    getCachedName: (id) => state.nameCache[id] || null,
+    cacheName: (id, name) => {
+      state.nameCache[id] = name;
+      changed();
+    },
+
+    // Load a fixture: { patients: [...], encounters: [...], medications: [...], nameCache: {...} }
+    seed: (fixture, { reset = false } = {}) => {
+      if (reset) state = emptyState();
+      muted = true;
+      Object.entries(fixture).forEach(([name, value]) => {
+        if (name === 'nameCache') Object.assign(state.nameCache, value);
+        else if (Array.isArray(value)) value.forEach(record => store.insert(name, record));
+      });
+      muted = false;
+      changed();
+    },
+    // Nothing to write or release; the file store writes pending changes
+    flush: () => {},
+    close: () => {},
+    isEmpty: () => Object.values(state.collections).every(records => records.length === 0),
+    snapshot: () => clone(state)
+  };
+
+  return store;
+};
+
+module.exports = { COLLECTIONS, createMemoryStore };
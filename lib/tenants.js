@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Several clinics served by one instance. Each tenant is a clinic with its own
+// settings (upstream credentials, store, webhook secret, local knowledge base
+// additions) that override the server's environment; requests pick a tenant
+// by header or by subdomain.
+
+const DEFAULT_HEADER = 'X-Tenant-Id';
+
+// Ids double as subdomains
+const ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+// Settings that belong to the whole server, not to one clinic. The shared
+// knowledge base files are loaded once per process, so every clinic uses the
+// same ones; KNOWLEDGE_BASE_ADDITIONS is how a clinic adds its own.
+const SERVER_SETTINGS = [
+  'PORT', 'TENANTS_FILE', 'TENANT_HEADER', 'TENANT_DEFAULT', 'LOG_LEVEL', 'LOG_FORMAT', 'METRICS_TOKEN',
+  'KNOWLEDGE_BASE_PATH', 'DRUG_CLASSES_PATH', 'DRUG_NAMES_PATH', 'DOSE_LIMITS_PATH', 'CLINICAL_RULES_PATH', 'KNOWLEDGE_BASE_WATCH'
+];
+
+const DATA_DIR = path.join(__dirname, '..', '.data');
+
+// Check the shape of a parsed tenants file, throwing on the first problem
+const validate = (config) => {
+  if (!config || !Array.isArray(config.tenants) || config.tenants.length === 0) {
+    throw new Error('Tenants file must have a non-empty "tenants" array');
+  }
+  const seen = new Set();
+  config.tenants.forEach((tenant, i) => {
+    const where = `tenants[${i}]`;
+    if (typeof tenant.id !== 'string' || !ID_PATTERN.test(tenant.id)) {
+      throw new Error(`${where}: "id" must be lower-case letters, digits and dashes`);
+    }
+    if (seen.has(tenant.id)) throw new Error(`${where}: duplicate id "${tenant.id}"`);
+    seen.add(tenant.id);
+    if (tenant.env !== undefined && (typeof tenant.env !== 'object' || Array.isArray(tenant.env))) {
+      throw new Error(`${where}: "env" must be an object`);
+    }
+    Object.entries(tenant.env || {}).forEach(([key, value]) => {
+      if (SERVER_SETTINGS.includes(key)) throw new Error(`${where}: ${key} is a server setting`);
+      if (typeof value !== 'string') throw new Error(`${where}: env.${key} must be a string`);
+    });
+  });
+};
+
+// "$NAME" values are read from the server environment, so tokens and secrets
+// can stay out of the file
+const expand = (value, env, where) => {
+  if (!value.startsWith('$')) return value;
+  const name = value.slice(1);
+  if (env[name] === undefined) throw new Error(`${where}: environment variable ${name} is not set`);
+  return env[name];
+};
+
+// Read and validate a tenants file. Returns [{ id, name, env }].
+const loadTenants = (file, env = process.env) => {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validate(config);
+  const tenants = config.tenants.map((tenant, i) => ({
+    id: tenant.id,
+    name: tenant.name || tenant.id,
+    env: Object.fromEntries(Object.entries(tenant.env || {})
+      .map(([key, value]) => [key, expand(value, env, `tenants[${i}].env.${key}`)]))
+  }));
+  logger.info('TENANTS', `Loaded ${tenants.length} tenants`, { file, tenants: tenants.map(t => t.id) });
+  return tenants;
+};
+
+// The settings a clinic's app runs with: the server's, overridden by the
+// clinic's. A file store gets a file of its own unless the clinic names one.
+const envFor = (tenant, env = process.env) => ({
+  ...env,
+  STORE_FILE: path.join(DATA_DIR, `safemed-${tenant.id}.json`),
+  ...tenant.env
+});
+
+// The tenant a request names, by header first, then by the first label of the
+// host name (kano.safemed.example -> kano). `named` is false when neither
+// names one, in which case the default tenant (if any) is used.
+const resolveTenant = (req, tenants, { header = DEFAULT_HEADER, defaultId = null } = {}) => {
+  const byId = (id) => tenants.find(t => t.id === id) || null;
+  const fromHeader = (req.get(header) || '').trim().toLowerCase();
+  if (fromHeader) return { tenant: byId(fromHeader), named: true, id: fromHeader };
+
+  const labels = (req.hostname || '').toLowerCase().split('.');
+  const fromHost = labels.length > 1 ? byId(labels[0]) : null;
+  if (fromHost) return { tenant: fromHost, named: true, id: fromHost.id };
+
+  return { tenant: defaultId ? byId(defaultId) : null, named: false, id: defaultId };
+};
+
+module.exports = { DEFAULT_HEADER, validate, loadTenants, envFor, resolveTenant };
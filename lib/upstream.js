@@ -0,0 +1,228 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+// Where a response came from. Upstream is live EMR data, mock is the
+// development store (MOCK_API=true), fallback is mock data served because the
+// upstream failed and UPSTREAM_FALLBACK=mock allowed it.
+const SOURCES = ['upstream', 'mock', 'fallback'];
+
+// Raised when the upstream EMR can't answer. `status` is the HTTP status the
+// upstream returned, if it answered at all.
+class UpstreamError extends Error {
+  constructor(message, { status = null, endpoint = null, method = null, breaker = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.breaker = breaker;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts and 5xx answers are worth another try; 4xx are not
+const isRetryable = (err) => !err.response || err.response.status >= 500;
+
+// Short reason for a failed call, for metrics: the status, "timeout",
+// "unreachable" or "breaker_open"
+const failureReason = (err) => {
+  if (err.response) return String(err.response.status);
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message)) return 'timeout';
+  return 'unreachable';
+};
+
+// Opens after `threshold` consecutive failures and fails fast until `resetMs`
+// has passed, then lets a single trial call through (half-open). A success
+// closes it again; a failed trial reopens it.
+const createBreaker = ({ threshold = 5, resetMs = 30000, now = Date.now } = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    allow: () => {
+      if (state === 'open' && now() - openedAt >= resetMs) state = 'half-open';
+      if (state === 'closed') return true;
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    success: () => {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    failure: () => {
+      failures++;
+      trialInFlight = false;
+      if (state === 'half-open' || failures >= threshold) {
+        state = 'open';
+        openedAt = now();
+      }
+    },
+    info: () => ({
+      state,
+      consecutiveFailures: failures,
+      threshold,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(openedAt + resetMs).toISOString() : null
+    })
+  };
+};
+
+// Client for the upstream EMR API. Every response is tagged with its source so
+// callers can label mock or fallback data instead of passing it off as real.
+// `observe` is told about every real call: { method, endpoint, outcome
+// ("ok", "error" or "fallback"), reason, durationMs }.
+const createUpstreamClient = ({
+  baseUrl,
+  headers = () => ({}),
+  mock = false,
+  mockResponseFor,
+  timeoutMs = 8000,
+  retries = 2,
+  backoffMs = 300,
+  fallback = 'none',
+  breaker: breakerOptions = {},
+  observe = () => {}
+}) => {
+  const breaker = createBreaker(breakerOptions);
+  const provenance = new WeakMap();
+  const stats = { lastLatencyMs: null, lastSuccessAt: null, lastError: null };
+
+  const tag = (data, source, reason = null) => {
+    if (data && typeof data === 'object') provenance.set(data, { source, reason });
+    return data;
+  };
+
+  const request = async (endpoint, method, data) => {
+    const url = `${baseUrl}${endpoint}`;
+    const attempts = method === 'GET' ? retries + 1 : 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        // Exponential backoff with jitter so retries from many requests spread out
+        const delay = backoffMs * 2 ** (attempt - 2);
+        await sleep(delay + Math.floor(Math.random() * delay / 2));
+      }
+      const started = Date.now();
+      try {
+        logger.info('API CALL', `${method} ${endpoint}`, { method, endpoint, attempt, attempts });
+        const resp = await axios({
+          method,
+          url,
+          headers: { ...headers(), 'Content-Type': 'application/json' },
+          // No body at all for GETs; axios would otherwise send "null"
+          data: data === null ? undefined : data,
+          timeout: timeoutMs
+        });
+        stats.lastLatencyMs = Date.now() - started;
+        return resp.data;
+      } catch (err) {
+        stats.lastLatencyMs = Date.now() - started;
+        lastError = err;
+        logger.error('API ERROR', `${method} ${endpoint} failed`, {
+          method,
+          endpoint,
+          attempt,
+          status: err.response?.status || null,
+          error: err.message,
+          body: logger.describeBody(err.response?.data)
+        });
+        if (!isRetryable(err)) break;
+      }
+    }
+    throw lastError;
+  };
+
+  // Serve mock data for a failed read if configured to, otherwise raise
+  const fail = (endpoint, method, data, error, { reason, started }) => {
+    const fallingBack = fallback === 'mock' && method === 'GET' && mockResponseFor;
+    observe({ method, endpoint, outcome: fallingBack ? 'fallback' : 'error', reason, durationMs: Date.now() - started });
+    if (fallingBack) {
+      logger.warn('FALLBACK', `Serving mock data for ${method} ${endpoint}`, { method, endpoint, error: error.message });
+      return tag(mockResponseFor(endpoint, method, data), 'fallback', error.message);
+    }
+    throw error;
+  };
+
+  const call = async (endpoint, method = 'GET', data = null) => {
+    if (mock) {
+      logger.info('MOCK MODE', `${method} ${endpoint}`, { method, endpoint });
+      return tag(mockResponseFor(endpoint, method, data), 'mock');
+    }
+
+    const started = Date.now();
+    if (!breaker.allow()) {
+      const error = new UpstreamError('Upstream EMR unavailable (circuit breaker open)', {
+        endpoint, method, breaker: breaker.info()
+      });
+      return fail(endpoint, method, data, error, { reason: 'breaker_open', started });
+    }
+
+    try {
+      const result = await request(endpoint, method, data);
+      breaker.success();
+      stats.lastSuccessAt = new Date().toISOString();
+      observe({ method, endpoint, outcome: 'ok', reason: null, durationMs: Date.now() - started });
+      return tag(result, 'upstream');
+    } catch (err) {
+      const status = err.response?.status || null;
+      // A 4xx means the upstream is up and answered; it doesn't count against the breaker
+      if (status && status < 500) breaker.success();
+      else breaker.failure();
+      stats.lastError = { message: err.message, status, endpoint, at: new Date().toISOString() };
+
+      const error = new UpstreamError(
+        status ? `Upstream EMR returned ${status} for ${method} ${endpoint}` : `Upstream EMR unreachable: ${err.message}`,
+        { status, endpoint, method, breaker: breaker.info() }
+      );
+      // Client errors are real answers; never paper over them with mock data
+      if (status && status < 500) {
+        observe({ method, endpoint, outcome: 'error', reason: String(status), durationMs: Date.now() - started });
+        throw error;
+      }
+      return fail(endpoint, method, data, error, { reason: failureReason(err), started });
+    }
+  };
+
+  // { source, reason } for a response returned by call()
+  const sourceOf = (data) => provenance.get(data) || { source: mock ? 'mock' : 'upstream', reason: null };
+
+  // The least trustworthy of several sources, or of several responses' sources
+  const worstOf = (...sources) => sources
+    .reduce((worst, s) => (SOURCES.indexOf(s.source) > SOURCES.indexOf(worst.source) ? s : worst),
+      { source: 'upstream', reason: null });
+  const combinedSource = (...responses) => worstOf(...responses.map(sourceOf));
+
+  const status = () => {
+    if (mock) return { mode: 'mock', status: 'mock', fallback };
+    const breakerInfo = breaker.info();
+    let upstreamStatus = 'unknown';
+    if (breakerInfo.state === 'open') upstreamStatus = 'down';
+    else if (breakerInfo.consecutiveFailures > 0 || breakerInfo.state === 'half-open') upstreamStatus = 'degraded';
+    else if (stats.lastSuccessAt) upstreamStatus = 'up';
+    return {
+      mode: 'real',
+      status: upstreamStatus,
+      baseUrl,
+      latencyMs: stats.lastLatencyMs,
+      lastSuccessAt: stats.lastSuccessAt,
+      lastError: stats.lastError,
+      breaker: breakerInfo,
+      fallback,
+      timeoutMs,
+      retries
+    };
+  };
+
+  return { call, sourceOf, worstOf, combinedSource, status };
+};
+
+module.exports = { SOURCES, UpstreamError, createBreaker, createUpstreamClient };
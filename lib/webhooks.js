@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const knowledgeBase = require('./knowledgeBase');
+
+const COLLECTION = 'webhookEvents';
+
+// Signature header format: "sha256=<hex HMAC of `${timestamp}.${rawBody}`>"
+const signPayload = (secret, timestamp, rawBody) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex')}`;
+
+// Check the HMAC signature and that the timestamp is recent enough to rule
+// out replays of old captures. Returns { valid, reason }.
+const verifySignature = ({ rawBody, signature, timestamp, secret, toleranceSeconds = 300, now = Date.now() }) => {
+  if (!signature || !timestamp) return { valid: false, reason: 'Missing signature or timestamp header' };
+
+  const sentAt = parseInt(timestamp);
+  if (isNaN(sentAt)) return { valid: false, reason: 'Invalid timestamp' };
+  if (Math.abs(now / 1000 - sentAt) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp outside the allowed window' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, rawBody));
+  const given = Buffer.from(String(signature));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+  return { valid: true };
+};
+
+// Turn a PharmaVigilance payload into the alert shape the dashboard renders
+const toAlert = (event) => {
+  const severity = knowledgeBase.SEVERITIES.includes(event.payload.severity) ? event.payload.severity : 'major';
+  return {
+    type: 'PHARMAVIGILANCE ALERT',
+    message: event.payload.message || event.payload.description || `PharmaVigilance event ${event.eventId}`,
+    severity,
+    risk: knowledgeBase.riskFor(severity),
+    drug: event.payload.drug || null,
+    source: 'webhook',
+    eventId: event.eventId,
+    receivedAt: event.receivedAt
+  };
+};
+
+// Inbound webhook events kept in the repository
+const createWebhookInbox = (store) => {
+  // Ids of events being processed and not saved yet
+  const reserved = new Set();
+
+  const seen = (eventId) => reserved.has(eventId) || store.find(COLLECTION, e => e.eventId === eventId).length > 0;
+
+  // Claim an event id before processing it, so a second copy arriving
+  // meanwhile is a duplicate. Returns false when it was already seen.
+  const reserve = (eventId) => {
+    if (seen(eventId)) return false;
+    reserved.add(eventId);
+    return true;
+  };
+
+  // Give the id up again when processing fails, so the sender can retry
+  const release = (eventId) => reserved.delete(eventId);
+
+  const save = ({ eventId, payload, patientId, matchedBy }) => {
+    const event = store.insert(COLLECTION, {
+      eventId,
+      receivedAt: new Date().toISOString(),
+      type: payload.type || 'pharmavigilance.alert',
+      patientId: patientId ?? null,
+      matchedBy: matchedBy || null,
+      payload
+    });
+    reserved.delete(eventId);
+    return event;
+  };
+
+  const forPatient = (patientId) => store
+    .find(COLLECTION, e => e.patientId === Number(patientId))
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+  return { seen, reserve, release, save, forPatient };
+};
+
+// Match an event to a patient by id first, then by exact (case-insensitive) name
+const matchPatient = (payload, patients) => {
+  const id = parseInt(payload.patient_id ?? payload.patientId ?? payload.patient?.id);
+  if (!isNaN(id) && patients.some(p => p.id === id)) return { patientId: id, matchedBy: 'id' };
+
+  const name = (payload.patient_name || payload.patient?.full_name || '').toString().trim().toLowerCase();
+  if (name) {
+    const matches = patients.filter(p => (p.full_name || '').toLowerCase() === name);
+    if (matches.length === 1) return { patientId: matches[0].id, matchedBy: 'name' };
+  }
+  return { patientId: null, matchedBy: null };
+};
+
+module.exports = { signPayload, verifySignature, toAlert, createWebhookInbox, matchPatient };
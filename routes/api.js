@@ -0,0 +1,224 @@
+const express = require('express');
+const path = require('path');
+const { checkPrescription } = require('../lib/prescriptionCheck');
+const { parsePrompt } = require('../lib/promptParser');
+const { ACTIONS } = require('../lib/audit');
+const { UpstreamError } = require('../lib/upstream');
+const { requirePermission } = require('../lib/auth');
+const { STATUSES, timeline } = require('../lib/medications');
+const { parseFilters, buildOverview } = require('../lib/population');
+const { buildReport } = require('../lib/safetyReport');
+const { FHIR_CONTENT_TYPE, toBundle } = require('../lib/fhir');
+const logger = require('../lib/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const OPENAPI_PATH = path.join(__dirname, '..', 'docs', 'openapi.json');
+
+// Structured error body: { error: { code, message, details } }
+const sendError = (res, status, code, message, details) => {
+  res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+};
+
+// Error middleware for the API. Also mounted app-wide so body parser failures
+// on /api requests get a JSON body instead of the default HTML page.
+const apiErrorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+  }
+  if (error instanceof UpstreamError) {
+    logger.error('API ERROR', error.message, { endpoint: error.endpoint, upstreamStatus: error.status });
+    const details = { endpoint: error.endpoint, upstreamStatus: error.status, breaker: error.breaker?.state || null };
+    return error.status && error.status < 500
+      ? sendError(res, 502, 'upstream_error', error.message, details)
+      : sendError(res, 503, 'upstream_unavailable', error.message, details);
+  }
+  logger.error('API ERROR', error.message, { path: req.path });
+  sendError(res, 500, 'internal_error', 'An unexpected error occurred');
+};
+
+// Slice a list by ?page=&pageSize= and describe the slice
+const paginate = (items, query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const total = items.length;
+  return {
+    data: items.slice((page - 1) * pageSize, page * pageSize),
+    pagination: { page, pageSize, total, totalPages: Math.max(Math.ceil(total / pageSize), 1) }
+  };
+};
+
+// Versioned JSON API. Data access comes from the app so the API reads the
+// same upstream/mock sources as the dashboard.
+const createApiRouter = ({ apiCall, sourceOf, loadPatientRecord, withCachedName, alertsFor, alertOptions = () => ({}), alertSnapshots, auditLog, accessLog, webhookInbox, tenant = null }) => {
+  const router = express.Router();
+
+  // The OpenAPI document is public; everything else needs a logged-in user who
+  // can read patient data, and every patient route is access-logged
+  router.get('/openapi.json', (req, res) => res.sendFile(OPENAPI_PATH));
+  router.use(accessLog.track(req => {
+    const match = req.path.match(/^\/patients\/(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }));
+  router.use(requirePermission('patients:read'));
+
+  // Label where patient data came from (upstream, mock or fallback), both as a
+  // header and in the response meta
+  const labelled = (res, dataSource) => {
+    res.set('X-Data-Source', dataSource.source);
+    return dataSource;
+  };
+
+  // Parse :id once for every patient route
+  router.param('id', (req, res, next, value) => {
+    const id = parseInt(value);
+    if (isNaN(id)) return sendError(res, 400, 'invalid_patient_id', 'Patient ID must be a number');
+    req.patientId = id;
+    next();
+  });
+
+  // Load the patient record for routes that need it, 404 if missing
+  const withRecord = async (req, res, next) => {
+    try {
+      req.record = await loadPatientRecord(req.patientId);
+      if (!req.record) return sendError(res, 404, 'patient_not_found', `Patient ${req.patientId} not found`);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get('/patients', async (req, res, next) => {
+    try {
+      const patientsData = await apiCall('/v1/patients');
+      const patients = (patientsData.results || []).map(withCachedName);
+      res.json({ ...paginate(patients, req.query), meta: { dataSource: labelled(res, sourceOf(patientsData)) } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/patients/:id', withRecord, (req, res) => {
+    res.json({ data: req.record.patient, meta: { dataSource: labelled(res, req.record.dataSource) } });
+  });
+
+  router.get('/patients/:id/alerts', withRecord, async (req, res, next) => {
+    try {
+      const { patient, medications } = req.record;
+      const alerts = auditLog.annotate(req.patientId, await alertsFor(req.patientId, medications, patient));
+      res.json({
+        data: alerts,
+        meta: { patientId: req.patientId, count: alerts.length, dataSource: labelled(res, req.record.dataSource) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // FHIR R4 Bundle of the patient's safety summary. ?download=true saves it
+  // as a file.
+  router.get('/patients/:id/fhir', withRecord, async (req, res, next) => {
+    try {
+      const { patient, medications } = req.record;
+      const alerts = auditLog.annotate(req.patientId, await alertsFor(req.patientId, medications, patient));
+      labelled(res, req.record.dataSource);
+      if (req.query.download === 'true') {
+        res.attachment(`safemed-patient-${req.patientId}.fhir.json`);
+      }
+      res.type(FHIR_CONTENT_TYPE).send(JSON.stringify(toBundle(buildReport(req.record, alerts), { tenant: tenant?.id }), null, 2));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/patients/:id/encounters', withRecord, (req, res) => {
+    res.json({ ...paginate(req.record.encounters, req.query), meta: { dataSource: labelled(res, req.record.dataSource) } });
+  });
+
+  // Medications with their lifecycle, oldest course first. ?status= narrows
+  // the list (e.g. "active" for what the patient is taking now).
+  router.get('/patients/:id/medications', (req, res, next) => {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return sendError(res, 400, 'invalid_request', `"status" must be one of ${STATUSES.join(', ')}`);
+    }
+    next();
+  }, withRecord, (req, res) => {
+    const medications = timeline(req.record.medications)
+      .filter(m => !req.query.status || m.lifecycle.status === req.query.status);
+    res.json({ ...paginate(medications, req.query), meta: { dataSource: labelled(res, req.record.dataSource) } });
+  });
+
+  // Population overview from stored alert snapshots. ?type=, ?drug=, ?from=
+  // and ?to= filter it; the ranking is paginated.
+  router.get('/population/overview', (req, res) => {
+    const { error, filters } = parseFilters(req.query);
+    if (error) return sendError(res, 400, 'invalid_request', error);
+    const { ranking, ...overview } = buildOverview({
+      snapshots: alertSnapshots.all(),
+      history: alertSnapshots.history(),
+      annotate: auditLog.annotator(),
+      filters
+    });
+    const { data, pagination } = paginate(ranking, req.query);
+    res.json({ data: { ...overview, ranking: data }, pagination });
+  });
+
+  // Audit trail of alert views and decisions, newest first
+  router.get('/patients/:id/audit', (req, res) => {
+    const { action, alertId } = req.query;
+    if (action && !ACTIONS.includes(action)) {
+      return sendError(res, 400, 'invalid_request', `"action" must be one of ${ACTIONS.join(', ')}`);
+    }
+    res.json(paginate(auditLog.forPatient(req.patientId, { action, alertId }), req.query));
+  });
+
+  // Who has accessed the patient's data, newest first
+  router.get('/patients/:id/access-log', requirePermission('access-log:read'), (req, res) => {
+    res.json(paginate(accessLog.forPatient(req.patientId), req.query));
+  });
+
+  // PharmaVigilance webhook events matched to the patient, newest first
+  router.get('/patients/:id/webhook-events', (req, res) => {
+    res.json(paginate(webhookInbox.forPatient(req.patientId), req.query));
+  });
+
+  // Check a proposed prescription against the patient's record without saving it.
+  // Takes either a "medications" list or a free-text "prompt" to extract them from.
+  router.post('/patients/:id/prescription-check', requirePermission('prescriptions:check'), withRecord, async (req, res, next) => {
+    try {
+      const prompt = typeof req.body?.prompt === 'string' ? req.body.prompt.trim() : '';
+      const proposed = prompt && !req.body?.medications
+        ? parsePrompt(prompt).fields.medications.value
+        : req.body?.medications;
+      if (!Array.isArray(proposed) || proposed.length === 0) {
+        return sendError(res, 400, 'invalid_request', prompt
+          ? 'No medications were found in "prompt"'
+          : 'Either "medications" (a non-empty array) or "prompt" is required');
+      }
+      const invalid = proposed.findIndex(m => !m || typeof m.name !== 'string' || !m.name.trim());
+      if (invalid !== -1) {
+        return sendError(res, 400, 'invalid_request', 'Every medication needs a "name"', { index: invalid });
+      }
+
+      const { patient, medications } = req.record;
+      const result = await checkPrescription(req.patientId, patient, medications, proposed, alertOptions());
+      res.json({
+        data: result,
+        meta: { patientId: req.patientId, saved: false, dataSource: labelled(res, req.record.dataSource) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use((req, res) => sendError(res, 404, 'not_found', `No API route for ${req.method} ${req.path}`));
+
+  router.use(apiErrorHandler);
+
+  return router;
+};
+
+module.exports = { createApiRouter, apiErrorHandler, paginate, sendError };
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Stand-in for the upstream EMR's /v1 API over HTTP, for the integration tests
+// and for running SafeMed in real mode without the hackathon API. It answers
+// like the EMR does: token auth, 404s for unknown patients, paginated lists,
+// 400s for bad creates. It can also be switched into error and slow modes.
+//
+//   npm run fake-emr
+//   FAKE_EMR_PORT=4010 FAKE_EMR_TOKEN=secret FAKE_EMR_FIXTURE=pediatric-ward npm run fake-emr
+//
+// Then start SafeMed with BASE_URL=http://localhost:4010 and API_TOKEN=secret.
+const http = require('http');
+const express = require('express');
+const { createStore, readFixture } = require('../lib/store');
+const { createMockEmr } = require('../lib/mockEmr');
+
+// normal: answer; error: answer `status` (500) with no data; slow: answer
+// after `delayMs`; down: drop the connection without answering
+const MODES = ['normal', 'error', 'slow', 'down'];
+
+const NOT_FOUND = { detail: 'Not found.' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The patient a /v1 path refers to must exist
+const missingRecord = (store, path) => {
+  const patient = path.match(/^\/v1\/patients\/(\d+)(\/|$)/);
+  return !!patient && !store.getPatient(parseInt(patient[1]));
+};
+
+// Required fields for creates, as { field: ['This field is required.'] }
+const invalidCreate = (store, path, body) => {
+  const required = {
+    '/v1/ai/patient': ['prompt'],
+    '/v1/ai/emr': ['patient', 'prompt']
+  }[path] || [];
+  const errors = {};
+  required.filter(field => body?.[field] === undefined || body[field] === null || body[field] === '').forEach(field => {
+    errors[field] = ['This field is required.'];
+  });
+  if (!errors.patient && required.includes('patient') && !store.getPatient(parseInt(body.patient))) {
+    errors.patient = [`Invalid pk "${body.patient}" - object does not exist.`];
+  }
+  return Object.keys(errors).length ? errors : null;
+};
+
+// `token` is the API token clients must send as "Authorization: Token ...";
+// `fixture` seeds the patients. Every /v1 request is kept in `requests`.
+const createFakeEmr = ({ token = null, fixture = null, store = createStore() } = {}) => {
+  if (fixture) store.seed(readFixture(fixture), { reset: true });
+  const respond = createMockEmr(store);
+  const requests = [];
+  let mode = { name: 'normal' };
+  let server = null;
+
+  // Switch mode for requests whose path matches `match` (all by default),
+  // for the next `times` requests (forever by default)
+  const setMode = (name, { match = null, times = Infinity, status = 500, delayMs = 1000 } = {}) => {
+    if (!MODES.includes(name)) throw new Error(`Unknown fake EMR mode "${name}" (expected ${MODES.join(', ')})`);
+    mode = { name, match, remaining: times, status, delayMs };
+  };
+
+  const modeFor = (path) => {
+    if (mode.name === 'normal' || (mode.match && !mode.match.test(path))) return { name: 'normal' };
+    const current = mode;
+    current.remaining -= 1;
+    if (current.remaining <= 0) mode = { name: 'normal' };
+    return current;
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.use('/v1', async (req, res) => {
+    const path = req.originalUrl.split('?')[0];
+    requests.push({ method: req.method, path, headers: req.headers, body: req.body });
+
+    if (token && req.get('Authorization') !== `Token ${token}`) {
+      return res.status(401).json({ detail: 'Invalid token.' });
+    }
+
+    const { name, status, delayMs } = modeFor(path);
+    if (name === 'down') return req.socket.destroy();
+    if (name === 'error') return res.status(status).json({ detail: 'A server error occurred.' });
+    if (name === 'slow') await sleep(delayMs);
+
+    if (missingRecord(store, path)) return res.status(404).json(NOT_FOUND);
+    if (req.method === 'POST') {
+      const errors = invalidCreate(store, path, req.body);
+      if (errors) return res.status(400).json(errors);
+    }
+
+    const data = respond(path, req.method, req.method === 'POST' ? req.body : null);
+    if (!data || Object.keys(data).length === 0) return res.status(404).json(NOT_FOUND);
+    // Lists are paginated; everything fits on one page here
+    if (Array.isArray(data.results)) {
+      return res.json({ count: data.results.length, next: null, previous: null, results: data.results });
+    }
+    res.status(data.status_code || 200).json(data);
+  });
+
+  app.use((req, res) => res.status(404).json(NOT_FOUND));
+
+  const listen = (port = 0) => new Promise((resolve, reject) => {
+    server = http.createServer(app);
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+
+  // Slow-mode requests may still be waiting, so don't wait for connections
+  const close = () => new Promise(resolve => {
+    if (!server) return resolve();
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+
+  return {
+    app,
+    store,
+    requests,
+    setMode,
+    listen,
+    close,
+    get url() {
+      return server ? `http://127.0.0.1:${server.address().port}` : null;
+    }
+  };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_EMR_PORT) || 4010;
+  const fake = createFakeEmr({
+    token: process.env.FAKE_EMR_TOKEN || 'fake-emr-token',
+    fixture: process.env.FAKE_EMR_FIXTURE || 'default'
+  });
+  if (process.env.FAKE_EMR_MODE) {
+    fake.setMode(process.env.FAKE_EMR_MODE, { delayMs: parseInt(process.env.FAKE_EMR_DELAY_MS) || 1000 });
+  }
+  fake.listen(port).then(url => {
+    console.log(`[FAKE EMR] Listening on ${url} (token "${process.env.FAKE_EMR_TOKEN || 'fake-emr-token'}", mode ${process.env.FAKE_EMR_MODE || 'normal'})`);
+  });
+}
+
+module.exports = { MODES, createFakeEmr };
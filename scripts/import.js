@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Import patients from a FHIR R4 Bundle (.json) or CSV (.csv) into a running
+// SafeMed server through POST /admin/import.
+//
+//   npm run import -- patients.csv --dry-run
+//   SAFEMED_URL=http://localhost:3000 SAFEMED_USERNAME=admin SAFEMED_PASSWORD=... npm run import -- bundle.json
+//
+// Exits 1 when any record is invalid or failed, 2 on usage or connection errors.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const USAGE = 'Usage: npm run import -- <file.json|file.csv> [--dry-run] [--url http://localhost:3000]';
+
+const parseArgs = (argv) => {
+  const args = { file: null, dryRun: false, url: process.env.SAFEMED_URL || `http://localhost:${process.env.PORT || 3000}` };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--url') args.url = argv[++i];
+    else if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    else args.file = argv[i];
+  }
+  if (!args.file) throw new Error('A file to import is required');
+  return args;
+};
+
+const contentTypeFor = (file) => {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return 'text/csv';
+  if (ext === '.json') return 'application/fhir+json';
+  throw new Error(`Can't tell the format of ${file}; use a .json (FHIR Bundle) or .csv file`);
+};
+
+const printReport = ({ format, summary, records, unattached }) => {
+  console.log(`${summary.dryRun ? 'Dry run of' : 'Imported'} ${summary.total} ${format} records\n`);
+  records.forEach(r => {
+    const target = r.patientId ? ` → patient ${r.patientId}` : '';
+    const duplicate = r.duplicateOf ? ` of ${r.duplicateOf.patientId ? `patient ${r.duplicateOf.patientId}` : r.duplicateOf.ref}` : '';
+    const alerts = r.alerts ? `, ${r.alerts.total} alerts (${r.alerts.high} high)` : '';
+    console.log(`  ${r.result.toUpperCase().padEnd(9)} ${r.ref} ${r.name || ''}${target}${duplicate} [${r.encounters} encounters, ${r.medications} medications${alerts}]`);
+    r.errors.forEach(e => console.log(`            ${e.field ? `${e.field}: ` : ''}${e.message}`));
+  });
+  (unattached || []).forEach(u => console.log(`  SKIPPED   ${u.field}: ${u.message}`));
+  console.log(`\n${['created', 'valid', 'duplicate', 'invalid', 'failed'].map(k => `${summary[k]} ${k}`).join(', ')}`);
+};
+
+const main = async () => {
+  let args;
+  let contentType;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    contentType = contentTypeFor(args.file);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const username = process.env.SAFEMED_USERNAME || process.env.ADMIN_USERNAME;
+  const password = process.env.SAFEMED_PASSWORD || process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    console.error('Set SAFEMED_USERNAME and SAFEMED_PASSWORD (an admin account)');
+    return 2;
+  }
+
+  try {
+    const body = fs.readFileSync(args.file, 'utf8');
+    const login = await axios.post(`${args.url}/login`, { username, password });
+    const { data } = await axios.post(`${args.url}/admin/import`, body, {
+      params: args.dryRun ? { dryRun: 'true' } : {},
+      headers: { 'Content-Type': contentType, Authorization: `Bearer ${login.data.token}` },
+      maxBodyLength: Infinity,
+      transformRequest: [(payload) => payload]
+    });
+    printReport(data);
+    return data.summary.invalid || data.summary.failed ? 1 : 0;
+  } catch (error) {
+    const message = error.response?.data?.error || error.message;
+    console.error(`Import failed: ${message}`);
+    return 2;
+  }
+};
+
+main().then(code => process.exit(code));
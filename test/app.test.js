@@ -0,0 +1,567 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createApp } = require('../app');
+const { createStore } = require('../lib/store');
+const { signPayload } = require('../lib/webhooks');
+const { createFakeEmr } = require('../scripts/fake-emr');
+
+// The app runs in real mode against the fake EMR, so every request goes
+// through the upstream client: auth header, timeouts, retries and the breaker.
+
+const EMR_TOKEN = 'emr-test-token';
+const WEBHOOK_SECRET = 'pv-test-secret';
+const PASSWORD = 'test-password';
+
+const envFor = (emrUrl, overrides = {}) => ({
+  BASE_URL: emrUrl,
+  API_TOKEN: EMR_TOKEN,
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: PASSWORD,
+  SEED_FIXTURE: '',
+  WEBHOOK_SECRET,
+  UPSTREAM_TIMEOUT_MS: '300',
+  UPSTREAM_RETRIES: '1',
+  UPSTREAM_BACKOFF_MS: '5',
+  UPSTREAM_BREAKER_THRESHOLD: '1000',
+  ENCOUNTER_SETTLE_MS: '0',
+  ...overrides
+});
+
+// Start the app on a free port. Returns { url, services, close() }.
+const startApp = async (options) => {
+  const app = createApp(options);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    services: app.get('services'),
+    close: async () => {
+      await app.get('services').notifier.stop();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+const fake = createFakeEmr({ token: EMR_TOKEN, fixture: 'default' });
+let safemed;
+const tokens = {};
+
+test.before(async () => {
+  await fake.listen();
+  safemed = await startApp({ env: envFor(fake.url) });
+  safemed.services.users.create({ username: 'viewer', role: 'viewer', password: PASSWORD });
+  safemed.services.users.create({ username: 'prescriber', role: 'prescriber', password: PASSWORD });
+  for (const username of ['admin', 'viewer', 'prescriber']) {
+    const res = await request('/login', { body: { username, password: PASSWORD } });
+    tokens[username] = res.json.token;
+  }
+});
+
+test.after(async () => {
+  await safemed.close();
+  await fake.close();
+});
+
+test.afterEach(() => fake.setMode('normal'));
+
+// fetch against the app; `as` logs in as that user, `body` is sent as JSON
+async function request(path, { method, as, body, headers = {}, base = safemed.url } = {}) {
+  const res = await fetch(`${base}${path}`, {
+    method: method || (body === undefined ? 'GET' : 'POST'),
+    redirect: 'manual',
+    headers: {
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      ...(as ? { Authorization: `Bearer ${tokens[as]}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (error) { /* HTML page */ }
+  return { status: res.status, headers: res.headers, text, json };
+}
+
+const addPatient = (fields) => fake.store.createPatient({ allergies: [], ...fields });
+const emrCalls = (method, path) => fake.requests.filter(r => r.method === method && r.path === path);
+
+// GET /
+
+test('GET / redirects to login without a session', async () => {
+  const res = await request('/', { headers: { Accept: 'text/html' } });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/login?next=%2F');
+});
+
+test('GET / lists EMR patients with the API token sent upstream', async () => {
+  const res = await request('/', { as: 'viewer' });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /Jane Doe/);
+  assert.doesNotMatch(res.text, /Demo data|Fallback data/);
+  const [call] = emrCalls('GET', '/v1/patients').slice(-1);
+  assert.equal(call.headers.authorization, `Token ${EMR_TOKEN}`);
+});
+
+test('GET / shows an error instead of data when the EMR fails', async () => {
+  fake.setMode('error');
+  const before = emrCalls('GET', '/v1/patients').length;
+  const res = await request('/', { as: 'viewer' });
+  assert.equal(res.status, 503);
+  assert.match(res.text, /No data is shown rather than stale or demo data/);
+  assert.doesNotMatch(res.text, /Jane Doe/);
+  // GETs are retried once
+  assert.equal(emrCalls('GET', '/v1/patients').length - before, 2);
+});
+
+test('GET / times out on a slow EMR', async () => {
+  fake.setMode('slow', { delayMs: 600 });
+  const res = await request('/', { as: 'viewer' });
+  assert.equal(res.status, 503);
+  assert.match(res.text, /Upstream EMR unreachable: timeout/);
+});
+
+test('GET / recovers after a transient failure', async () => {
+  fake.setMode('down', { times: 1 });
+  const res = await request('/', { as: 'viewer' });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /Jane Doe/);
+});
+
+// POST /login
+
+test('the session cookie is renewed on each use, so it lasts as long as the session', async () => {
+  const login = await request('/login', { body: { username: 'viewer', password: PASSWORD } });
+  assert.match(login.headers.get('set-cookie'), /^safemed_session=\w+; Max-Age=28800;/);
+
+  const res = await request('/', { headers: { Cookie: `safemed_session=${login.json.token}` } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('set-cookie'), new RegExp(`^safemed_session=${login.json.token}; Max-Age=28800;.*HttpOnly`));
+  assert.equal((await request('/', { as: 'viewer' })).headers.get('set-cookie'), null);
+  assert.equal((await request('/', { headers: { Cookie: 'safemed_session=expired' } })).headers.get('set-cookie'), null);
+});
+
+test('POST /login hashes the password for unknown usernames too', async (t) => {
+  await request('/login', { body: { username: 'nobody-yet', password: 'wrong-password' } });
+  const scrypt = t.mock.method(crypto, 'scryptSync');
+  for (const username of ['viewer', 'nobody-here']) {
+    const before = scrypt.mock.callCount();
+    const res = await request('/login', { body: { username, password: 'wrong-password' } });
+    assert.equal(res.status, 401);
+    assert.equal(scrypt.mock.callCount() - before, 1, username);
+  }
+});
+
+// POST /create-patient
+
+test('POST /create-patient returns a draft for review without saving', async () => {
+  const before = fake.store.listPatients().length;
+  const res = await request('/create-patient', { as: 'prescriber', body: { prompt: 'New patient Tom Baker, allergic to sulfa' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.review, true);
+  assert.equal(res.json.draft.full_name, 'Tom Baker');
+  assert.deepEqual(res.json.draft.allergies.map(a => a.substance), ['sulfa']);
+  assert.equal(fake.store.listPatients().length, before);
+});
+
+test('POST /create-patient creates the confirmed patient in the EMR', async () => {
+  const res = await request('/create-patient', {
+    as: 'prescriber',
+    body: { confirmed: true, patient: { full_name: 'Sarah Jane Smith', sex: 'female', age: 19, allergies: [{ substance: 'aspirin' }] } }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.success, true);
+  const created = fake.store.getPatient(res.json.patientId);
+  assert.equal(created.full_name, 'Sarah Jane Smith');
+  assert.deepEqual(created.allergies, ['aspirin']);
+});
+
+test('POST /create-patient rejects invalid fields, missing prompts and viewers', async () => {
+  const invalid = await request('/create-patient', { as: 'prescriber', body: { confirmed: true, patient: { full_name: '', age: -3 } } });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.json.errors.some(e => e.field === 'full_name'));
+
+  const empty = await request('/create-patient', { as: 'prescriber', body: { prompt: '  ' } });
+  assert.equal(empty.status, 400);
+
+  const viewer = await request('/create-patient', { as: 'viewer', body: { prompt: 'New patient A B' } });
+  assert.equal(viewer.status, 403);
+
+  const anonymous = await request('/create-patient', { body: { prompt: 'New patient A B' } });
+  assert.equal(anonymous.status, 401);
+});
+
+test('POST /create-patient answers 503 when the EMR fails, without retrying the create', async () => {
+  fake.setMode('error', { match: /^\/v1\/patients\/create$/ });
+  const before = emrCalls('POST', '/v1/patients/create').length;
+  const res = await request('/create-patient', { as: 'prescriber', body: { confirmed: true, patient: { full_name: 'Amy Pond', sex: 'female', age: 30, nkda: true } } });
+  assert.equal(res.status, 503);
+  assert.match(res.json.error, /The patient was not created/);
+  assert.equal(emrCalls('POST', '/v1/patients/create').length - before, 1);
+});
+
+// GET /dashboard/:id
+
+test('GET /dashboard/:id shows the patient with computed alerts', async () => {
+  const patient = addPatient({ full_name: 'Clara Oswald', allergies: ['penicillin'] });
+  fake.store.createMedication({ name: 'Amoxicillin', dose: '500mg', patient: patient.id, created_at: new Date().toISOString() });
+  const res = await request(`/dashboard/${patient.id}`, { as: 'viewer' });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /Clara Oswald/);
+  assert.match(res.text, /Patient is allergic to penicillin! Prescribed medication: Amoxicillin/);
+  // Viewers can't decide alerts
+  assert.doesNotMatch(res.text, /data-action="acknowledge"/);
+});
+
+test('GET /dashboard/:id answers 400, 404 and 503', async () => {
+  assert.equal((await request('/dashboard/abc', { as: 'viewer' })).status, 400);
+  // The fake EMR answers 404 for an unknown patient
+  assert.equal((await request('/dashboard/9999', { as: 'viewer' })).status, 404);
+
+  fake.setMode('error', { match: /\/medications$/ });
+  const res = await request('/dashboard/1', { as: 'viewer' });
+  assert.equal(res.status, 503);
+  assert.match(res.text, /Upstream EMR returned 500/);
+});
+
+// GET /api/v1/patients/:id/fhir
+
+test('GET /api/v1/patients/:id/fhir puts alert citations in the DetectedIssue detail, not its uri reference', async () => {
+  const patient = addPatient({ full_name: 'Martha Jones' });
+  ['Warfarin', 'Ibuprofen'].forEach(name => fake.store.createMedication({ name, dose: '', patient: patient.id, created_at: new Date().toISOString() }));
+  const res = await request(`/api/v1/patients/${patient.id}/fhir`, { as: 'viewer' });
+  assert.equal(res.status, 200);
+  const issue = res.json.entry.map(e => e.resource).find(r => r.resourceType === 'DetectedIssue' && r.code.text === 'DRUG INTERACTION');
+  assert.equal(issue.reference, undefined);
+  assert.match(issue.detail, /\nReferences: BNF Interactions: Warfarin - NSAIDs; Stockley's Drug Interactions$/);
+});
+
+// POST /create-encounter
+
+test('POST /create-encounter dry run reports new alerts and saves nothing', async () => {
+  const patient = addPatient({ full_name: 'Jack Harkness', allergies: ['penicillin'] });
+  const res = await request('/create-encounter', {
+    as: 'prescriber',
+    body: { patientId: patient.id, prompt: 'Start amoxicillin 500mg tds', dryRun: true }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.dryRun, true);
+  assert.ok(res.json.newAlerts.some(a => a.type === 'ALLERGY RISK'));
+  assert.equal(fake.store.listMedications(patient.id).length, 0);
+});
+
+test('POST /create-encounter dry run does not report a continued medication as duplicate therapy', async () => {
+  const patient = addPatient({ full_name: 'Sarah Jane Smith' });
+  fake.store.createMedication({ name: 'Ibuprofen', dose: '200mg', patient: patient.id, created_at: new Date().toISOString() });
+  const dryRun = (prompt) => request('/create-encounter', { as: 'prescriber', body: { patientId: patient.id, prompt, dryRun: true } });
+
+  const continued = await dryRun('Continue ibuprofen 400mg tds');
+  assert.equal(continued.status, 200);
+  assert.equal(continued.json.reconciliation.continued.length, 1);
+  assert.equal(continued.json.reconciliation.continued[0].doseChanged, true);
+  assert.deepEqual(continued.json.alerts.filter(a => a.type === 'DUPLICATE THERAPY'), []);
+  assert.deepEqual(continued.json.newAlerts, []);
+
+  const withNaproxen = await dryRun('Continue ibuprofen 400mg tds and start naproxen 500mg bd');
+  assert.deepEqual(withNaproxen.json.newAlerts.map(a => a.type), ['DUPLICATE THERAPY']);
+  assert.deepEqual(withNaproxen.json.newAlerts[0].medications.sort(), ['Ibuprofen', 'Naproxen']);
+});
+
+test('POST /create-encounter needs confirmation when the prompt raises alerts', async () => {
+  const patient = addPatient({ full_name: 'Donna Noble', allergies: ['penicillin'] });
+  const prompt = 'Start amoxicillin 500mg tds';
+  const unconfirmed = await request('/create-encounter', { as: 'prescriber', body: { patientId: patient.id, prompt } });
+  assert.equal(unconfirmed.status, 409);
+  assert.equal(unconfirmed.json.requiresConfirmation, true);
+  assert.equal(fake.store.listEncounters(patient.id).length, 0);
+
+  const confirmed = await request('/create-encounter', { as: 'prescriber', body: { patientId: patient.id, prompt, confirmed: true } });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.json.encounters.length, 1);
+  assert.deepEqual(confirmed.json.medications.map(m => m.name), ['Amoxicillin']);
+  assert.ok(confirmed.json.alerts.some(a => a.type === 'ALLERGY RISK' && a.severity === 'contraindicated'));
+  const [call] = emrCalls('POST', '/v1/ai/emr').slice(-1);
+  assert.deepEqual(call.body, { patient: patient.id, prompt });
+});
+
+test('POST /create-encounter saves a prescription with no alerts straight away', async () => {
+  const patient = addPatient({ full_name: 'Wilfred Mott' });
+  const res = await request('/create-encounter', { as: 'prescriber', body: { patientId: patient.id, prompt: 'Paracetamol 500mg qds for headache' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.alerts, []);
+  assert.equal(fake.store.listMedications(patient.id).length, 1);
+});
+
+test('POST /create-encounter validates input and permissions', async () => {
+  assert.equal((await request('/create-encounter', { as: 'prescriber', body: { prompt: 'Paracetamol' } })).status, 400);
+  assert.equal((await request('/create-encounter', { as: 'prescriber', body: { patientId: 1 } })).status, 400);
+  assert.equal((await request('/create-encounter', { as: 'prescriber', body: { patientId: 9999, prompt: 'Paracetamol' } })).status, 404);
+  assert.equal((await request('/create-encounter', { as: 'viewer', body: { patientId: 1, prompt: 'Paracetamol' } })).status, 403);
+});
+
+test('POST /create-encounter answers 503 when the EMR fails to save', async () => {
+  const patient = addPatient({ full_name: 'Jack Harkness' });
+  fake.setMode('error', { match: /^\/v1\/ai\/emr$/ });
+  const res = await request('/create-encounter', { as: 'prescriber', body: { patientId: patient.id, prompt: 'Paracetamol 500mg', confirmed: true } });
+  assert.equal(res.status, 503);
+  assert.match(res.json.error, /may not have been saved/);
+});
+
+// POST /medications/:medicationId/discontinue
+
+test('POST /medications/:id/discontinue keeps the change locally, since the EMR cannot update medications', async () => {
+  const patient = addPatient({ full_name: 'Donna Noble', allergies: ['penicillin'] });
+  const med = fake.store.createMedication({ name: 'Amoxicillin', dose: '500mg', patient: patient.id, created_at: new Date().toISOString() });
+  assert.equal((await request(`/v1/medications/${med.id}/update`, { base: fake.url, body: {}, headers: { Authorization: `Token ${EMR_TOKEN}` } })).status, 404);
+  const before = fake.requests.length;
+
+  const res = await request(`/medications/${med.id}/discontinue`, { as: 'prescriber', body: { patientId: patient.id, reason: 'Allergy noted' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.medication.lifecycle.status, 'discontinued');
+  assert.equal(res.json.medication.discontinued_by, 'prescriber');
+  assert.ok(fake.requests.slice(before).every(r => r.method === 'GET'));
+  assert.equal(fake.store.findById('medications', med.id).discontinued_at, undefined);
+
+  const dashboard = await request(`/dashboard/${patient.id}`, { as: 'viewer' });
+  assert.doesNotMatch(dashboard.text, /Patient is allergic to penicillin! Prescribed medication: Amoxicillin/);
+  assert.match(dashboard.text, /Stopped .* by prescriber: Allergy noted/);
+  const again = await request(`/medications/${med.id}/discontinue`, { as: 'prescriber', body: { patientId: patient.id, reason: 'Again' } });
+  assert.equal(again.status, 400);
+});
+
+// POST /admin/import
+
+// A Bundle with each patient recorded as having no known allergies
+const bundleOf = (...patients) => ({
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: patients.flatMap((patient, i) => [
+    {
+      fullUrl: `urn:uuid:import-${i}`,
+      resource: { resourceType: 'Patient', gender: 'female', birthDate: '1980-01-01', ...patient }
+    },
+    {
+      resource: {
+        resourceType: 'AllergyIntolerance',
+        patient: { reference: `urn:uuid:import-${i}` },
+        code: { coding: [{ system: 'http://snomed.info/sct', code: '716186003' }] }
+      }
+    }
+  ])
+});
+
+test('POST /admin/import reads application/json bundles larger than the default body limit', async () => {
+  const bundle = bundleOf({ name: [{ text: 'Large Bundle' }], text: { status: 'generated', div: 'x'.repeat(200 * 1024) } });
+  const res = await request('/admin/import?dryRun=true', { as: 'admin', body: bundle });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.summary.valid, 1);
+});
+
+test('POST /admin/import answers 413 as JSON past IMPORT_MAX_MB', async (t) => {
+  const app = await startApp({ env: envFor(fake.url, { IMPORT_MAX_MB: '1' }) });
+  t.after(() => app.close());
+  const login = await request('/login', { base: app.url, body: { username: 'admin', password: PASSWORD } });
+  const bundle = bundleOf({ name: [{ text: 'Too Large' }], text: { status: 'generated', div: 'x'.repeat(1.5 * 1024 * 1024) } });
+  const res = await request('/admin/import', { base: app.url, body: bundle, headers: { Authorization: `Bearer ${login.json.token}` } });
+  assert.equal(res.status, 413);
+  assert.equal(res.json.success, false);
+  assert.match(res.json.error, /larger than 1MB/);
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const importCsv = (csv) => request('/admin/import', { as: 'admin', body: csv, headers: { 'Content-Type': 'text/csv' } });
+
+test('POST /admin/import sends encounters through /v1/ai/emr and keeps imported courses locally', async () => {
+  const res = await importCsv([
+    'patient_ref,full_name,sex,date_of_birth,allergies,encounter_date,encounter_summary,diagnosis,medications',
+    `R1,Yasmin Khan,female,1986-04-27,penicillin,${daysAgo(40)},AF review,Atrial fibrillation,Warfarin 5mg od`,
+    `R1,Yasmin Khan,female,1986-04-27,,${daysAgo(30)},Knee pain,Osteoarthritis,Ibuprofen 400mg tds for 5 days`
+  ].join('\n'));
+  assert.equal(res.status, 200);
+  const [record] = res.json.records;
+  assert.equal(record.result, 'created');
+  const posts = fake.requests.filter(r => r.method === 'POST' && r.body?.patient === record.patientId);
+  assert.deepEqual(posts.map(r => r.path), ['/v1/ai/emr', '/v1/ai/emr']);
+  assert.match(posts[0].body.prompt, new RegExp(`from ${daysAgo(40)}: AF review`));
+  // The ibuprofen course ended weeks ago, so it no longer interacts with warfarin
+  const alerts = await request(`/api/v1/patients/${record.patientId}/alerts`, { as: 'viewer' });
+  assert.deepEqual(alerts.json.data.map(a => a.type), ['PHARMAVIGILANCE ALERT']);
+  const ibuprofen = fake.store.listMedications(record.patientId).find(m => m.name === 'Ibuprofen');
+  const changes = safemed.services.store.find('medicationChanges', c => c.medicationId === ibuprofen.id)[0];
+  assert.equal(changes.fields.start_date.slice(0, 10), daysAgo(30));
+});
+
+test('POST /admin/import reports a patient it could not finish as failed, with its id', async () => {
+  const res = await importCsv([
+    'full_name,sex,date_of_birth,nkda,encounter_date,encounter_summary,medications',
+    `Ryan Sinclair,male,1980-06-01,yes,${daysAgo(10)},Review,Zzyzxomab 10mg weekly`
+  ].join('\n'));
+  const [record] = res.json.records;
+  assert.equal(record.result, 'failed');
+  assert.ok(record.patientId);
+  assert.match(record.errors[0].message, new RegExp(`Patient ${record.patientId} was created in the EMR.*did not record Zzyzxomab`));
+  const again = await importCsv(`full_name,sex,date_of_birth,nkda\nRyan Sinclair,male,1980-06-01,yes`);
+  assert.equal(again.json.records[0].result, 'duplicate');
+});
+
+test('POST /admin/import finds duplicates by cached name when the EMR list has no names', async () => {
+  const csv = 'full_name,sex,date_of_birth,nkda\nGraham OBrien,male,1958-02-11,yes';
+  const first = await importCsv(csv);
+  const { patientId } = first.json.records[0];
+  assert.equal(first.json.records[0].result, 'created');
+  fake.store.updatePatient(patientId, { full_name: null });
+
+  const again = await importCsv(csv);
+  assert.equal(again.json.records[0].result, 'duplicate');
+  assert.deepEqual(again.json.records[0].duplicateOf, { patientId });
+});
+
+// POST /webhook
+
+const sendWebhook = (payload, { secret = WEBHOOK_SECRET, eventId = payload.id, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  const body = JSON.stringify(payload);
+  return request('/webhook', {
+    body,
+    headers: {
+      ...(eventId ? { 'X-PV-Event-Id': eventId } : {}),
+      'X-PV-Timestamp': String(timestamp),
+      'X-PV-Signature': signPayload(secret, String(timestamp), body)
+    }
+  });
+};
+
+test('POST /webhook stores a signed event against the matching patient', async () => {
+  const payload = { id: 'evt-100', patient_name: 'Jane Doe', drug: 'warfarin', severity: 'major', message: 'Recall of batch W-12' };
+  const res = await sendWebhook(payload);
+  assert.equal(res.status, 200);
+  assert.equal(res.json.received, true);
+  assert.equal(res.json.patientId, 1);
+
+  const again = await sendWebhook(payload);
+  assert.equal(again.json.duplicate, true);
+
+  const dashboard = await request('/dashboard/1', { as: 'viewer' });
+  assert.match(dashboard.text, /Recall of batch W-12/);
+});
+
+test('POST /webhook rejects bad signatures, old timestamps and empty payloads', async () => {
+  const wrongSecret = await sendWebhook({ id: 'evt-200', patient_id: 1 }, { secret: 'nope' });
+  assert.equal(wrongSecret.status, 401);
+  assert.equal(wrongSecret.json.error, 'Signature mismatch');
+
+  const replay = await sendWebhook({ id: 'evt-201', patient_id: 1 }, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+  assert.equal(replay.status, 401);
+
+  const unsigned = await request('/webhook', { body: { id: 'evt-202' } });
+  assert.equal(unsigned.status, 401);
+
+  assert.equal((await request('/webhook', { body: {} })).status, 400);
+});
+
+test('POST /webhook takes the event id from the signed body, not the header', async () => {
+  const payload = { id: 'evt-250', patient_id: 1, message: 'Replay check' };
+  assert.equal((await sendWebhook(payload)).status, 200);
+  // Replaying the same signed body under another header id is refused
+  const relabelled = await sendWebhook(payload, { eventId: 'evt-251' });
+  assert.equal(relabelled.status, 400);
+  assert.match(relabelled.json.error, /does not match/);
+  const noHeader = await sendWebhook(payload, { eventId: null });
+  assert.equal(noHeader.json.duplicate, true);
+  assert.equal((await sendWebhook({ patient_id: 1 }, { eventId: 'evt-252' })).status, 400);
+});
+
+test('POST /webhook processes concurrent copies of one event once', async () => {
+  fake.setMode('slow', { delayMs: 100, match: /^\/v1\/patients$/ });
+  const payload = { id: 'evt-260', patient_id: 1, message: 'Sent twice' };
+  const results = await Promise.all([sendWebhook(payload), sendWebhook(payload)]);
+  assert.deepEqual(results.map(r => r.status), [200, 200]);
+  assert.equal(results.filter(r => r.json.duplicate).length, 1);
+  assert.equal(safemed.services.store.find('webhookEvents', e => e.eventId === 'evt-260').length, 1);
+});
+
+test('POST /webhook answers 503 when the EMR is down so the sender retries', async () => {
+  fake.setMode('down');
+  const payload = { id: 'evt-300', patient_id: 1, message: 'Shortage' };
+  const failed = await sendWebhook(payload);
+  assert.equal(failed.status, 503);
+
+  fake.setMode('normal');
+  const retried = await sendWebhook(payload);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.json.duplicate, undefined);
+  assert.equal(retried.json.patientId, 1);
+});
+
+// GET /health
+
+test('GET /health reports upstream status without logging in', async () => {
+  await request('/', { as: 'viewer' });
+  const res = await request('/health');
+  assert.equal(res.status, 200);
+  assert.equal(res.json.status, 'ok');
+  assert.equal(res.json.mode, 'real');
+  assert.equal(res.json.store, 'memory');
+  assert.equal(res.json.upstream.status, 'up');
+  assert.equal(res.json.upstream.baseUrl, fake.url);
+});
+
+test('GET /health?probe=true reports a failing EMR as degraded', async () => {
+  fake.setMode('error');
+  const res = await request('/health?probe=true');
+  assert.equal(res.json.status, 'degraded');
+  assert.equal(res.json.upstream.status, 'degraded');
+  assert.equal(res.json.upstream.lastError.status, 500);
+  assert.equal(res.json.apiConnected, false);
+});
+
+// Apps with other settings
+
+test('the circuit breaker stops calling a failing EMR', async (t) => {
+  const emr = createFakeEmr({ token: EMR_TOKEN, fixture: 'default' });
+  await emr.listen();
+  const app = await startApp({ env: envFor(emr.url, { UPSTREAM_RETRIES: '0', UPSTREAM_BREAKER_THRESHOLD: '2' }) });
+  t.after(async () => { await app.close(); await emr.close(); });
+  const login = await request('/login', { base: app.url, body: { username: 'admin', password: PASSWORD } });
+  const headers = { Authorization: `Bearer ${login.json.token}` };
+
+  emr.setMode('error');
+  await request('/', { base: app.url, headers });
+  await request('/', { base: app.url, headers });
+  const calls = emr.requests.length;
+  const res = await request('/', { base: app.url, headers });
+  assert.equal(res.status, 503);
+  assert.match(res.text, /circuit breaker open/);
+  assert.equal(emr.requests.length, calls);
+
+  const health = await request('/health', { base: app.url });
+  assert.equal(health.json.upstream.status, 'down');
+  assert.equal(health.json.upstream.breaker.state, 'open');
+});
+
+test('mock fallback labels demo data when the EMR fails', async (t) => {
+  const emr = createFakeEmr({ token: EMR_TOKEN });
+  await emr.listen();
+  const app = await startApp({ env: envFor(emr.url, { UPSTREAM_FALLBACK: 'mock', SEED_FIXTURE: 'default' }) });
+  t.after(async () => { await app.close(); await emr.close(); });
+  const login = await request('/login', { base: app.url, body: { username: 'admin', password: PASSWORD } });
+
+  emr.setMode('error');
+  const res = await request('/', { base: app.url, headers: { Authorization: `Bearer ${login.json.token}` } });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /Fallback data:/);
+  assert.match(res.text, /Jane Doe/);
+});
+
+test('an injected store is used instead of building one', async (t) => {
+  const store = createStore();
+  store.seed({ patients: [{ id: 5, full_name: 'Injected Patient', allergies: [] }] });
+  const app = await startApp({ env: envFor(fake.url, { MOCK_API: 'true' }), store });
+  t.after(() => app.close());
+  assert.equal(app.services.store, store);
+  const login = await request('/login', { base: app.url, body: { username: 'admin', password: PASSWORD } });
+  const res = await request('/', { base: app.url, headers: { Authorization: `Bearer ${login.json.token}` } });
+  assert.match(res.text, /Injected Patient/);
+  assert.match(res.text, /Demo data:/);
+});
@@ -0,0 +1,341 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createStore } = require('../lib/store');
+const { verifySignature } = require('../lib/webhooks');
+const notifications = require('../lib/notifications');
+const sms = require('../lib/notifications/sms');
+const { sendMail } = require('../lib/notifications/smtp');
+
+// Channels are exercised against local stand-ins: an HTTP server for the
+// webhook and SMS gateways, and a minimal SMTP server that records what it is
+// sent. Each returns { url|port, requests, close() }.
+
+const startHttpServer = async (handler = (req, res) => res.end('ok')) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const startSmtpServer = async ({ rejectAuth = false } = {}) => {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 2.0.0 queued as TEST1\r\n');
+      }
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') socket.write(rejectAuth ? '535 5.7.8 Bad credentials\r\n' : '235 2.7.0 Authenticated\r\n');
+        else if (verb === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    sessions,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const patient = { id: 7, full_name: 'Ada Lovelace' };
+const alert = (id, severity = 'contraindicated') => ({
+  id,
+  type: 'INTERACTION',
+  severity,
+  risk: severity === 'contraindicated' || severity === 'major' ? 'High' : 'Medium',
+  message: 'Warfarin + Ibuprofen: raised bleeding risk',
+  guidance: 'Use paracetamol instead'
+});
+
+test('parseRoutes maps severities to channels and rejects unknown names', () => {
+  assert.deepEqual(notifications.parseRoutes(), {
+    contraindicated: ['webhook', 'email', 'sms'],
+    major: ['webhook', 'email']
+  });
+  assert.deepEqual(notifications.parseRoutes('major=sms; minor='), { major: ['sms'], minor: [] });
+  assert.throws(() => notifications.parseRoutes('severe=webhook'), /unknown severity "severe"/);
+  assert.throws(() => notifications.parseRoutes('major=pager'), /unknown channel "pager"/);
+});
+
+test('channelsFromEnv leaves unconfigured channels out', () => {
+  assert.deepEqual(notifications.channelsFromEnv({}), []);
+  const channels = notifications.channelsFromEnv({
+    NOTIFY_WEBHOOK_URL: 'http://127.0.0.1:1/hook',
+    NOTIFY_SMTP_HOST: 'mail.example.org',
+    NOTIFY_EMAIL_TO: 'a@example.org, b@example.org',
+    NOTIFY_SMS_PROVIDER: 'http'
+  });
+  // SMS needs recipients as well as a provider
+  assert.deepEqual(channels.map(c => c.name), ['webhook', 'email']);
+  assert.deepEqual(channels[1].describe().to, ['a@example.org', 'b@example.org']);
+});
+
+test('webhook deliveries are signed and routed by severity', async (t) => {
+  const hook = await startHttpServer();
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createWebhookChannel({ url: `${hook.url}/hook`, secret: 'shh' })],
+    routes: notifications.parseRoutes('contraindicated=webhook'),
+    linkBaseUrl: 'https://safemed.example.org/'
+  });
+  t.after(async () => { await notifier.stop(); await hook.close(); });
+
+  const sent = await notifier.dispatch(patient, [alert('a1'), alert('a2', 'moderate')]);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].status, 'delivered');
+  assert.equal(sent[0].attempts, 1);
+  assert.equal(hook.requests.length, 1);
+
+  const [request] = hook.requests;
+  const check = verifySignature({
+    rawBody: request.body,
+    signature: request.headers['x-safemed-signature'],
+    timestamp: request.headers['x-safemed-timestamp'],
+    secret: 'shh'
+  });
+  assert.deepEqual(check, { valid: true });
+  assert.equal(request.headers['x-safemed-delivery'], String(sent[0].id));
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.event, 'alert.created');
+  assert.equal(payload.alert.id, 'a1');
+  assert.equal(payload.url, 'https://safemed.example.org/dashboard/7');
+});
+
+test('the same alert is not sent twice within the dedupe window', async (t) => {
+  const hook = await startHttpServer();
+  const store = createStore();
+  const channels = [notifications.createWebhookChannel({ url: hook.url })];
+  const notifier = notifications.createNotifier({ store, channels });
+  t.after(async () => { await notifier.stop(); await hook.close(); });
+
+  await notifier.dispatch(patient, [alert('a1')]);
+  const again = await notifier.dispatch(patient, [alert('a1'), alert('a3')]);
+  assert.deepEqual(again.map(d => d.alertId), ['a3']);
+  assert.equal(hook.requests.length, 2);
+
+  // Outside the window it is a new notification
+  const later = notifications.createNotifier({ store, channels, dedupeMs: 0 });
+  const resent = await later.dispatch(patient, [alert('a1')]);
+  assert.equal(resent.length, 1);
+});
+
+test('failed deliveries are retried with backoff until they succeed', async (t) => {
+  // Fails twice, then accepts
+  const hook = await startHttpServer((req, res, n) => {
+    res.statusCode = n <= 2 ? 500 : 200;
+    res.end();
+  });
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createWebhookChannel({ url: hook.url })],
+    backoffMs: 10
+  });
+  t.after(async () => { await notifier.stop(); await hook.close(); });
+
+  const [first] = await notifier.dispatch(patient, [alert('a1')]);
+  assert.equal(first.status, 'retrying');
+  assert.equal(first.lastError, 'HTTP 500');
+  assert.ok(first.nextAttemptAt);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const [delivery] = notifier.deliveries();
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.lastError, null);
+  assert.equal(hook.requests.length, 3);
+});
+
+test('deliveries fail after maxAttempts and can be retried by hand', async (t) => {
+  let accept = false;
+  const hook = await startHttpServer((req, res) => {
+    res.statusCode = accept ? 200 : 503;
+    res.end();
+  });
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createWebhookChannel({ url: hook.url })],
+    maxAttempts: 2,
+    backoffMs: 5
+  });
+  t.after(async () => { await notifier.stop(); await hook.close(); });
+
+  await notifier.dispatch(patient, [alert('a1')]);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const [failed] = notifier.deliveries({ status: 'failed' });
+  assert.equal(failed.attempts, 2);
+  assert.equal(failed.lastError, 'HTTP 503');
+  assert.equal(notifier.info().failed, 1);
+
+  assert.equal(notifier.retry(999), null);
+  accept = true;
+  const retried = await notifier.retry(failed.id);
+  assert.equal(retried.status, 'delivered');
+  assert.equal(retried.attempts, 1);
+  assert.match(notifier.retry(failed.id).error, /delivered/);
+});
+
+test('resume picks up deliveries queued by a previous run', async (t) => {
+  const hook = await startHttpServer();
+  const store = createStore();
+  store.insert('notifications', {
+    patientId: 7, alertId: 'a1', channel: 'webhook', target: hook.url,
+    alertType: 'INTERACTION', severity: 'major',
+    message: notifications.messageFor(alert('a1', 'major'), patient),
+    status: 'retrying', attempts: 1, createdAt: new Date().toISOString(), nextAttemptAt: new Date().toISOString()
+  });
+  const notifier = notifications.createNotifier({ store, channels: [notifications.createWebhookChannel({ url: hook.url })] });
+  t.after(async () => { await notifier.stop(); await hook.close(); });
+
+  assert.equal(notifier.resume(), 1);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(notifier.deliveries()[0].status, 'delivered');
+  assert.equal(notifier.deliveries()[0].attempts, 2);
+});
+
+test('email is sent over SMTP with AUTH PLAIN to every recipient', async (t) => {
+  const smtp = await startSmtpServer();
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createEmailChannel({
+      // The test server has no TLS
+      host: '127.0.0.1', port: smtp.port, user: 'safemed', pass: 'secret', requireTls: false,
+      from: 'alerts@safemed.example.org', to: ['a@example.org', 'b@example.org']
+    })],
+    routes: notifications.parseRoutes('major=email')
+  });
+  t.after(async () => { await notifier.stop(); await smtp.close(); });
+
+  const [delivery] = await notifier.dispatch(patient, [alert('a1', 'major')]);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.target, 'a@example.org, b@example.org');
+  assert.match(delivery.response, /^250 /);
+
+  const [session] = smtp.sessions;
+  const auth = session.commands.find(c => c.startsWith('AUTH PLAIN '));
+  assert.equal(Buffer.from(auth.slice(11), 'base64').toString(), '\u0000safemed\u0000secret');
+  assert.ok(session.commands.includes('MAIL FROM:<alerts@safemed.example.org>'));
+  assert.ok(session.commands.includes('RCPT TO:<a@example.org>'));
+  assert.ok(session.commands.includes('RCPT TO:<b@example.org>'));
+  assert.match(session.data, /^Subject: \[SafeMed\] MAJOR INTERACTION: Ada Lovelace$/m);
+  assert.match(session.data, /Guidance: Use paracetamol instead/);
+});
+
+test('SMTP errors fail the delivery with the server reply', async (t) => {
+  const smtp = await startSmtpServer({ rejectAuth: true });
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createEmailChannel({ host: '127.0.0.1', port: smtp.port, user: 'safemed', pass: 'wrong', requireTls: false, from: 'a@b.c', to: ['x@y.z'] })],
+    routes: notifications.parseRoutes('major=email'),
+    maxAttempts: 1
+  });
+  t.after(async () => { await notifier.stop(); await smtp.close(); });
+
+  const [delivery] = await notifier.dispatch(patient, [alert('a1', 'major')]);
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.lastError, /AUTH failed: 535/);
+});
+
+test('a login is never sent to an SMTP server without TLS unless TLS is explicitly not required', async (t) => {
+  const smtp = await startSmtpServer();
+  t.after(() => smtp.close());
+  const mail = { host: '127.0.0.1', port: smtp.port, user: 'safemed', pass: 'secret', from: 'a@b.c', to: ['x@y.z'], subject: 's', text: 't' };
+  await assert.rejects(sendMail(mail), /does not offer TLS and SMTP TLS is required to send the login/);
+  assert.ok(smtp.sessions.every(session => !session.commands.some(c => c.startsWith('AUTH'))));
+
+  // Without a login there is nothing to protect, so plain SMTP still works
+  const { user, pass, ...anonymous } = mail;
+  assert.match((await sendMail(anonymous)).response, /^250 /);
+});
+
+test('SMS goes to each number through the configured provider', async (t) => {
+  const gateway = await startHttpServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ sid: 'SM123' }));
+  });
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createSmsChannel({ provider: 'http', url: `${gateway.url}/sms`, token: 'tok', to: ['+441111'] })],
+    routes: notifications.parseRoutes('contraindicated=sms')
+  });
+  const twilio = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createSmsChannel({
+      provider: 'twilio', accountSid: 'AC1', authToken: 'auth', from: '+449999', baseUrl: gateway.url, to: ['+441111', '+442222']
+    })],
+    routes: notifications.parseRoutes('contraindicated=sms')
+  });
+  t.after(async () => { await notifier.stop(); await twilio.stop(); await gateway.close(); });
+
+  await notifier.dispatch(patient, [alert('a1')]);
+  const [generic] = gateway.requests;
+  assert.equal(generic.url, '/sms');
+  assert.equal(generic.headers.authorization, 'Bearer tok');
+  const body = JSON.parse(generic.body);
+  assert.equal(body.to, '+441111');
+  // No patient name in a text message
+  assert.ok(!body.message.includes('Ada'));
+
+  const sent = await twilio.dispatch(patient, [alert('a1')]);
+  assert.deepEqual(sent.map(d => [d.target, d.response]), [['+441111', 'accepted SM123'], ['+442222', 'accepted SM123']]);
+  const form = new URLSearchParams(gateway.requests[1].body);
+  assert.equal(gateway.requests[1].url, '/2010-04-01/Accounts/AC1/Messages.json');
+  assert.equal(gateway.requests[1].headers.authorization, `Basic ${Buffer.from('AC1:auth').toString('base64')}`);
+  assert.equal(form.get('From'), '+449999');
+  assert.equal(form.get('To'), '+441111');
+});
+
+test('custom SMS providers can be registered', async (t) => {
+  const texts = [];
+  sms.registerProvider('test-pager', ({ prefix }) => ({
+    send: async (to, text) => {
+      texts.push(`${prefix}${to}: ${text}`);
+      return { status: 200, id: `msg-${texts.length}` };
+    }
+  }));
+  assert.ok(sms.providerNames().includes('test-pager'));
+  assert.throws(() => sms.createProvider('nope'), /Unknown SMS provider "nope"/);
+
+  const notifier = notifications.createNotifier({
+    store: createStore(),
+    channels: [notifications.createSmsChannel({ provider: 'test-pager', prefix: '#', to: ['100'] })]
+  });
+  t.after(() => notifier.stop());
+
+  const [delivery] = await notifier.dispatch(patient, [alert('a1')]);
+  assert.equal(delivery.response, 'accepted msg-1');
+  assert.match(texts[0], /^#100: SafeMed CONTRAINDICATED INTERACTION for patient 7/);
+});
@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createApp } = require('../app');
+const logger = require('../lib/logger');
+const metrics = require('../lib/metrics');
+const { createFakeEmr } = require('../scripts/fake-emr');
+
+// Request ids, PHI-free logs and the /metrics endpoint, with the app in real
+// mode against the fake EMR.
+
+const EMR_TOKEN = 'emr-test-token';
+const PASSWORD = 'test-password';
+const METRICS_TOKEN = 'scrape-token';
+
+const envFor = (emrUrl, overrides = {}) => ({
+  BASE_URL: emrUrl,
+  API_TOKEN: EMR_TOKEN,
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: PASSWORD,
+  SEED_FIXTURE: '',
+  UPSTREAM_TIMEOUT_MS: '300',
+  UPSTREAM_RETRIES: '0',
+  UPSTREAM_BREAKER_THRESHOLD: '1000',
+  ENCOUNTER_SETTLE_MS: '0',
+  METRICS_TOKEN,
+  ...overrides
+});
+
+// Start the app on a free port and log in as admin. Returns { url, token, close() }.
+const startApp = async (options) => {
+  const app = createApp(options);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const login = await request(`${url}/login`, { body: { username: 'admin', password: PASSWORD } });
+  return {
+    url,
+    token: login.json.token,
+    close: async () => {
+      await app.get('services').notifier.stop();
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+async function request(url, { body, token, headers = {} } = {}) {
+  const res = await fetch(url, {
+    method: body === undefined ? 'GET' : 'POST',
+    redirect: 'manual',
+    headers: {
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (error) { /* HTML page or metrics */ }
+  return { status: res.status, headers: res.headers, text, json };
+}
+
+// Every line logged while `fn` runs, as written
+const captureLogs = async (t, fn) => {
+  const lines = [];
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, line => lines.push(String(line))));
+  await fn();
+  ['log', 'warn', 'error'].forEach(method => console[method].mock.restore());
+  return lines;
+};
+
+const fake = createFakeEmr({ token: EMR_TOKEN, fixture: 'default' });
+let safemed;
+
+test.before(async () => {
+  await fake.listen();
+  safemed = await startApp({ env: envFor(fake.url) });
+});
+
+test.after(async () => {
+  await safemed.close();
+  await fake.close();
+});
+
+test.afterEach(() => fake.setMode('normal'));
+
+const get = (path, options = {}) => request(`${safemed.url}${path}`, { token: safemed.token, ...options });
+const scrape = () => get('/metrics', { token: METRICS_TOKEN });
+
+// The value of one series in a scrape, 0 when it isn't there yet
+const valueOf = (text, series) => {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+test('redact replaces patient information at any depth and keeps the rest', () => {
+  const redacted = logger.redact({
+    patientId: 7,
+    prompt: 'Start warfarin 5mg od',
+    patient: { full_name: 'Jane Doe' },
+    response: { id: 3, allergies: ['penicillin'], notes: null },
+    items: [{ Full_Name: 'John Doe', status: 'ok' }],
+    error: new Error('EMR returned 500')
+  });
+  assert.deepEqual(redacted, {
+    patientId: 7,
+    prompt: logger.REDACTED,
+    patient: logger.REDACTED,
+    response: { id: 3, allergies: logger.REDACTED, notes: null },
+    items: [{ Full_Name: logger.REDACTED, status: 'ok' }],
+    error: { name: 'Error', message: 'EMR returned 500', status: undefined }
+  });
+});
+
+test('EMR bodies are logged as their shape and size, never their contents', async (t) => {
+  const body = { id: 12, full_name: 'Jane Doe', summary: 'Chest pain', diagnosis: 'Angina' };
+  assert.deepEqual(logger.describeBody(body), { type: 'object', bytes: JSON.stringify(body).length, id: 12, keys: ['id', 'full_name', 'summary', 'diagnosis'] });
+  assert.equal(logger.describeBody(null), null);
+  assert.deepEqual(logger.redact({ name: 'Jane Doe', summary: 'Chest pain', diagnosis: 'Angina', reason: 'Bleeding' }), {
+    name: logger.REDACTED, summary: logger.REDACTED, diagnosis: logger.REDACTED, reason: logger.REDACTED
+  });
+
+  fake.setMode('error', { match: /^\/v1\/patients\/create$/, times: 1, status: 400 });
+  const lines = await captureLogs(t, () => get('/create-patient', {
+    body: { confirmed: true, patient: { full_name: 'Martha Jones', sex: 'female', age: 30, nkda: true } }
+  }));
+  const failure = lines.map(line => JSON.parse(line)).find(e => e.tag === 'API ERROR');
+  assert.equal(failure.status, 400);
+  assert.equal(failure.body.type, 'object');
+  assert.doesNotMatch(lines.join('\n'), /Martha Jones|server error occurred/);
+});
+
+test('log entries are JSON lines carrying the request context', async (t) => {
+  const lines = await captureLogs(t, () => logger.runWithContext({ requestId: 'req-1', tenant: 'kano' }, () => {
+    logger.info('ALERT RESULT', '2 alerts detected', { patientId: 4, medications: ['Warfarin'] });
+    logger.debug('ALERT CHECK', 'Below the default level');
+  }));
+  assert.equal(lines.length, 1);
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.tag, 'ALERT RESULT');
+  assert.equal(entry.msg, '2 alerts detected');
+  assert.equal(entry.requestId, 'req-1');
+  assert.equal(entry.tenant, 'kano');
+  assert.equal(entry.patientId, 4);
+  assert.equal(entry.medications, logger.REDACTED);
+  assert.throws(() => logger.configure({ level: 'verbose' }), /Unknown log level/);
+});
+
+test('the request id is echoed back and passed on to the EMR', async () => {
+  const res = await get('/', { headers: { 'X-Request-Id': 'trace-abc-123' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('x-request-id'), 'trace-abc-123');
+  const calls = fake.requests.filter(r => r.headers['x-request-id'] === 'trace-abc-123');
+  assert.deepEqual(calls.map(r => r.path), ['/v1/patients']);
+
+  // Missing or malformed ids are replaced with a new one
+  const generated = await get('/', { headers: { 'X-Request-Id': 'not a valid id!' } });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  assert.equal(fake.requests.pop().headers['x-request-id'], generated.headers.get('x-request-id'));
+});
+
+test('logs leave out patient names, allergies and prompts', async (t) => {
+  const patient = fake.store.createPatient({ full_name: 'Clara Oswald', allergies: ['penicillin'] });
+  fake.store.createMedication({ name: 'Amoxicillin', dose: '500mg', patient: patient.id, created_at: new Date().toISOString() });
+  const lines = await captureLogs(t, async () => {
+    await get(`/dashboard/${patient.id}`, { headers: { 'X-Request-Id': 'phi-check' } });
+    await get('/create-encounter', { body: { patientId: patient.id, prompt: 'Start co-amoxiclav 625mg tds', dryRun: true } });
+    await get('/create-patient', { body: { prompt: 'New patient Rory Williams, male, 40, allergic to sulfa' } });
+  });
+  const text = lines.join('\n');
+  assert.ok(lines.length > 0);
+  assert.doesNotMatch(text, /Clara Oswald|penicillin|co-amoxiclav|Rory Williams|sulfa/i);
+
+  const entries = lines.map(line => JSON.parse(line));
+  const request = entries.find(e => e.tag === 'REQUEST' && e.requestId === 'phi-check');
+  assert.equal(request.path, `/dashboard/${patient.id}`);
+  assert.equal(request.status, 200);
+  assert.ok(entries.some(e => e.tag === 'ALERT RESULT' && e.requestId === 'phi-check' && e.types['ALLERGY RISK'] === 1));
+});
+
+test('/metrics reports request latency, upstream errors and alerts emitted', async () => {
+  const allergyAlerts = 'safemed_alerts_emitted_total{type="ALLERGY RISK",severity="contraindicated"}';
+  const before = (await scrape()).text;
+  const patient = fake.store.createPatient({ full_name: 'Amy Pond', allergies: ['penicillin'] });
+  fake.store.createMedication({ name: 'Amoxicillin', dose: '500mg', patient: patient.id, created_at: new Date().toISOString() });
+  await get(`/dashboard/${patient.id}`);
+  // A second view raises nothing new
+  await get(`/dashboard/${patient.id}`);
+  fake.setMode('error');
+  assert.equal((await get('/')).status, 503);
+
+  const res = await scrape();
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), metrics.CONTENT_TYPE);
+  assert.match(res.text, /# TYPE safemed_http_request_duration_seconds histogram/);
+  assert.match(res.text, /safemed_http_request_duration_seconds_count\{method="GET",route="\/dashboard\/:id",status="200"\} \d+/);
+  assert.match(res.text, /safemed_upstream_errors_total\{method="GET",endpoint="\/v1\/patients",reason="500"\} 1/);
+  assert.match(res.text, /safemed_upstream_request_duration_seconds_count\{method="GET",endpoint="\/v1\/patients\/:id",outcome="ok"\}/);
+  assert.equal(valueOf(res.text, allergyAlerts) - valueOf(before, allergyAlerts), 1);
+});
+
+test('/metrics needs METRICS_TOKEN when one is set', async () => {
+  assert.equal((await get('/metrics', { token: null })).status, 401);
+  assert.equal((await get('/metrics', { token: 'wrong' })).status, 401);
+  assert.equal((await scrape()).status, 200);
+});
+
+test('/metrics counts reads answered with mock data', async (t) => {
+  const emr = createFakeEmr({ token: EMR_TOKEN });
+  await emr.listen();
+  const app = await startApp({ env: envFor(emr.url, { UPSTREAM_FALLBACK: 'mock', SEED_FIXTURE: 'default', METRICS_TOKEN: '' }) });
+  t.after(async () => { await app.close(); await emr.close(); });
+
+  emr.setMode('error');
+  assert.equal((await request(`${app.url}/`, { token: app.token })).status, 200);
+  const res = await request(`${app.url}/metrics`);
+  assert.match(res.text, /safemed_upstream_fallbacks_total\{method="GET",endpoint="\/v1\/patients"\} 1/);
+  assert.match(res.text, /safemed_upstream_errors_total\{method="GET",endpoint="\/v1\/patients",reason="500"\} 1/);
+});
+
+test('endpointLabel folds ids so each EMR endpoint is one series', () => {
+  assert.equal(metrics.endpointLabel('/v1/patients/42/medications?page=2'), '/v1/patients/:id/medications');
+  assert.equal(metrics.endpointLabel('/v1/patients/42'), '/v1/patients/:id');
+  assert.equal(metrics.endpointLabel('/v1/patients'), '/v1/patients');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const corpus = require('./corpus/prompts.json');
+const { CONFIDENCE, parsePrompt, toPatientFields } = require('../lib/promptParser');
+
+// Each corpus entry lists only the fields it cares about. Medications are
+// compared by the keys given for each one.
+corpus.forEach(({ prompt, expect, confidence = {} }) => {
+  test(`parses: ${prompt}`, () => {
+    const { fields } = parsePrompt(prompt);
+
+    Object.entries(expect).forEach(([name, expected]) => {
+      const actual = fields[name].value;
+      if (name === 'medications') {
+        assert.equal(actual.length, expected.length, `medication count for "${prompt}"`);
+        expected.forEach((med, i) => Object.entries(med).forEach(([key, value]) => {
+          assert.deepEqual(actual[i][key], value, `medications[${i}].${key}`);
+        }));
+      } else {
+        assert.deepEqual(actual, expected, name);
+      }
+    });
+
+    Object.entries(confidence).forEach(([name, level]) => {
+      assert.equal(fields[name].confidence, level, `${name} confidence`);
+    });
+  });
+});
+
+test('every field reports a known confidence', () => {
+  corpus.forEach(({ prompt }) => {
+    Object.entries(parsePrompt(prompt).fields).forEach(([name, f]) => {
+      assert.ok(CONFIDENCE.includes(f.confidence), `${name}: ${f.confidence}`);
+      if (f.confidence === 'none') assert.equal(f.matched, null, `${name} has no matched text`);
+    });
+  });
+});
+
+test('empty prompts parse to nothing', () => {
+  const { fields } = parsePrompt('');
+  Object.values(fields).forEach(f => assert.equal(f.confidence, 'none'));
+});
+
+test('toPatientFields maps parsed fields to EMR patient fields', () => {
+  const patient = toPatientFields(parsePrompt('New patient Jane Doe, 34 year old woman, 62kg, allergic to penicillin'));
+  assert.deepEqual(patient, {
+    full_name: 'Jane Doe',
+    first_name: 'Jane',
+    allergies: ['penicillin'],
+    sex: 'female',
+    age: 34,
+    weight_kg: 62
+  });
+});
+
+test('toPatientFields leaves the name empty when none was found', () => {
+  const patient = toPatientFields(parsePrompt('New Patient'));
+  assert.equal(patient.full_name, null);
+  assert.equal(patient.first_name, null);
+  assert.deepEqual(patient.allergies, []);
+});
@@ -0,0 +1,383 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const interactions = require('../data/interactions.json');
+const classTable = require('../data/drugClasses.json');
+const ruleTable = require('../data/clinicalRules.json');
+const doseTable = require('../data/doseLimits.json');
+const nameTable = require('../data/drugNames.json');
+const { computeAlerts } = require('../lib/alerts');
+const { ingredientsOf, normalizeName } = require('../lib/normalize');
+const knowledgeBase = require('../lib/knowledgeBase');
+const dose = require('../lib/dose');
+
+// Every combination in the safety tables (data/*.json) run through
+// computeAlerts. Expectations are read from the tables, so adding an entry
+// adds its cases here. computeAlerts logs every call; keep the output readable.
+test.mock.method(console, 'log', () => {});
+
+const SEVERITY_FOR_CONFIDENCE = { high: 'contraindicated', moderate: 'major', low: 'moderate' };
+
+let nextId = 1;
+const med = (name, fields = {}) => ({ id: nextId++, name, dose: '', created_at: new Date().toISOString(), ...fields });
+const alertsOf = async (meds, patient = {}, type = null) => {
+  const alerts = await computeAlerts(99, meds, patient);
+  return type ? alerts.filter(a => a.type === type) : alerts;
+};
+
+const pairs = (list) => list.flatMap((a, i) => list.slice(i + 1).map(b => [a, b]));
+const sameDrugs = (a, b) => a.length === b.length && a.every(d => b.includes(d));
+
+// Every drug the knowledge base names
+const kbDrugs = [...new Set([
+  ...interactions.interactions.flatMap(i => i.drugs),
+  ...interactions.highRiskMedications.map(h => h.drug),
+  ...interactions.allergyRisks.map(r => r.allergen)
+])].sort();
+
+test('every pair of knowledge base drugs interacts exactly as the table says', async () => {
+  for (const [a, b] of pairs(kbDrugs)) {
+    const entry = interactions.interactions.find(i => sameDrugs(i.drugs, [a, b]));
+    for (const order of [[a, b], [b, a]]) {
+      const found = await alertsOf(order.map(name => med(name)), {}, 'DRUG INTERACTION');
+      if (!entry) {
+        assert.deepEqual(found, [], `${order.join(' + ')} should not interact`);
+        continue;
+      }
+      assert.equal(found.length, 1, `${order.join(' + ')} should interact once`);
+      assert.equal(found[0].severity, entry.severity, `${a} + ${b} severity`);
+      assert.equal(found[0].guidance, entry.guidance || null);
+      assert.deepEqual([...found[0].medications].sort(), [a, b].sort());
+    }
+  }
+});
+
+test('interactions need both courses to be current', async () => {
+  const yesterday = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+  const lastWeek = new Date(Date.now() - 7 * 24 * 3600 * 1000).toISOString();
+  for (const { drugs: [a, b] } of interactions.interactions) {
+    const stopped = await alertsOf([med(a, { created_at: lastWeek, start_date: lastWeek, end_date: yesterday }), med(b)], {}, 'DRUG INTERACTION');
+    assert.deepEqual(stopped, [], `${a} (completed) + ${b}`);
+    const discontinued = await alertsOf([med(a), med(b, { discontinued_at: yesterday })], {}, 'DRUG INTERACTION');
+    assert.deepEqual(discontinued, [], `${a} + ${b} (discontinued)`);
+  }
+});
+
+test('high-risk medications are flagged on their own and nothing else is', async () => {
+  for (const drug of kbDrugs) {
+    const entry = interactions.highRiskMedications.find(h => h.drug === drug);
+    const found = await alertsOf([med(drug)], {}, 'PHARMAVIGILANCE ALERT');
+    if (!entry) {
+      assert.deepEqual(found, [], `${drug} is not high-risk`);
+      continue;
+    }
+    assert.equal(found.length, 1, drug);
+    assert.equal(found[0].severity, entry.severity, `${drug} severity`);
+    assert.equal(found[0].message, entry.warning);
+  }
+});
+
+// Classes an ingredient belongs to, from the class table
+const classesOf = (ingredient) => classTable.classes.filter(c => c.members.includes(ingredient)).map(c => c.id);
+const classById = (id) => classTable.classes.find(c => c.id === id);
+// Members of a class and of all its subclasses
+const allMembersOf = (id) => [
+  ...classById(id).members,
+  ...classTable.classes.filter(c => c.parent === id).flatMap(c => allMembersOf(c.id))
+];
+
+// What the tables say an allergy to `allergen` means for `drug`:
+// { match, severity } or null
+const expectedAllergy = (allergen, drug) => {
+  if (allergen === drug) {
+    const risk = interactions.allergyRisks.find(r => r.allergen === allergen);
+    return { match: 'direct', severity: risk ? risk.severity : 'contraindicated' };
+  }
+  const shared = classesOf(allergen).find(c => classesOf(drug).includes(c));
+  if (shared) {
+    return { match: 'same-class', severity: SEVERITY_FOR_CONFIDENCE[classById(shared).sameClassConfidence || 'moderate'] };
+  }
+  const cross = classTable.crossReactivity.find(r => classesOf(allergen).includes(r.from) && classesOf(drug).includes(r.to));
+  return cross ? { match: 'cross-reactive', severity: cross.severity } : null;
+};
+
+const checkAllergy = async (allergen, drug) => {
+  const expected = expectedAllergy(allergen, drug);
+  const found = await alertsOf([med(drug)], { allergies: [allergen] }, 'ALLERGY RISK');
+  if (!expected) {
+    assert.deepEqual(found, [], `allergy to ${allergen}, given ${drug}: no alert`);
+    return;
+  }
+  assert.equal(found.length, 1, `allergy to ${allergen}, given ${drug}`);
+  assert.equal(found[0].match, expected.match, `allergy to ${allergen}, given ${drug}: match`);
+  assert.equal(found[0].severity, expected.severity, `allergy to ${allergen}, given ${drug}: severity`);
+};
+
+test('every allergy and drug pair in the knowledge base', async () => {
+  for (const allergen of kbDrugs) {
+    for (const drug of kbDrugs) await checkAllergy(allergen, drug);
+  }
+});
+
+test('every pair of members within each drug class', async () => {
+  for (const drugClass of classTable.classes) {
+    for (const allergen of drugClass.members) {
+      for (const drug of drugClass.members) await checkAllergy(allergen, drug);
+    }
+  }
+});
+
+test('every cross-reactivity rule between class members', async () => {
+  for (const rule of classTable.crossReactivity) {
+    for (const allergen of classById(rule.from).members) {
+      for (const drug of classById(rule.to).members) await checkAllergy(allergen, drug);
+    }
+  }
+});
+
+test('an allergy recorded as a class covers every member and subclass member', async () => {
+  for (const drugClass of classTable.classes) {
+    const members = classTable.classes
+      .filter(c => c.id === drugClass.id || c.parent === drugClass.id)
+      .flatMap(c => c.members);
+    for (const name of [drugClass.label, ...drugClass.aliases]) {
+      for (const drug of members) {
+        const found = await alertsOf([med(drug)], { allergies: [name] }, 'ALLERGY RISK');
+        assert.equal(found.length, 1, `allergy to ${name}, given ${drug}`);
+        assert.equal(found[0].severity, 'contraindicated', `allergy to ${name}, given ${drug}`);
+      }
+    }
+  }
+});
+
+test('hyphenated combinations resolve part by part', async () => {
+  assert.deepEqual(ingredientsOf('Amoxicillin-Clavulanate 625mg'), ['amoxicillin', 'clavulanic acid']);
+  assert.deepEqual(ingredientsOf('amoxicillin-clavulanic acid'), ['amoxicillin', 'clavulanic acid']);
+  assert.deepEqual(ingredientsOf('paracetamol-codeine'), ['paracetamol', 'codeine']);
+  // Whole terms still win, and unknown hyphenated names keep their full name
+  assert.deepEqual(ingredientsOf('co-codamol'), ['codeine', 'paracetamol']);
+  assert.deepEqual(ingredientsOf('xyz-abc'), ['xyz-abc']);
+
+  const found = await alertsOf([med('Amoxicillin-Clavulanate')], { allergies: ['penicillin'] }, 'ALLERGY RISK');
+  assert.equal(found.length, 1);
+});
+
+test('only a single typo away from one known drug is read as a misspelling', async () => {
+  assert.deepEqual(ingredientsOf('Ibuprofn 400mg'), ['ibuprofen']);
+  assert.deepEqual(ingredientsOf('warfarn'), ['warfarin']);
+  // Real drugs missing from the vocabulary stay unresolved rather than
+  // turning into the nearest known one
+  for (const [name, near] of [['Quinidine', 'quinine'], ['Felodipine', 'amlodipine'], ['Esomeprazole', 'omeprazole'], ['Prednisone', 'prednisolone']]) {
+    const resolved = normalizeName(name);
+    assert.equal(resolved.recognised, false, name);
+    assert.deepEqual(resolved.ingredients, [name.toLowerCase()], `${name} is not ${near}`);
+  }
+  assert.deepEqual(await alertsOf([med('Esomeprazole 20mg')], { allergies: ['omeprazole'] }, 'ALLERGY RISK'), []);
+});
+
+test('drugs added by a reloaded or local knowledge base are recognised', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safemed-kb-'));
+  const highRisk = (drug) => ({ drug, severity: 'major', warning: `${drug} needs monitoring.` });
+  const shared = path.join(dir, 'interactions.json');
+  const local = path.join(dir, 'local.json');
+  fs.writeFileSync(shared, JSON.stringify({ ...interactions, highRiskMedications: [...interactions.highRiskMedications, highRisk('tirzepatide')] }));
+  fs.writeFileSync(local, JSON.stringify({ interactions: [], highRiskMedications: [highRisk('semaglutide')], allergyRisks: [] }));
+  t.after(() => {
+    knowledgeBase.load(path.join(__dirname, '..', 'data', 'interactions.json'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  assert.equal(normalizeName('Tirzepatide').recognised, false);
+  knowledgeBase.load(shared);
+  assert.deepEqual(normalizeName('Tirzepatide 5mg').matches.map(m => [m.ingredients, m.via]), [[['tirzepatide'], 'exact']]);
+
+  assert.equal(normalizeName('Semaglutide').recognised, false);
+  knowledgeBase.createAdditions(local).load();
+  assert.equal(normalizeName('Semaglutide').recognised, true);
+});
+
+test('every brand alongside each of its ingredients is duplicate therapy', async () => {
+  for (const [brand, ingredients] of Object.entries(nameTable.brands)) {
+    // Class members named like products (co-amoxiclav) resolve to themselves;
+    // the class check covers those
+    if (ingredientsOf(brand).includes(brand)) continue;
+    assert.deepEqual(await alertsOf([med(brand)], {}, 'DUPLICATE THERAPY'), [], `${brand} on its own`);
+    for (const ingredient of ingredients) {
+      const found = (await alertsOf([med(brand), med(ingredient)], {}, 'DUPLICATE THERAPY')).filter(a => a.duplication === 'ingredient');
+      assert.deepEqual(found.map(a => a.ingredient), [ingredient], `${brand} + ${ingredient}`);
+      assert.equal(found[0].severity, 'major');
+      assert.deepEqual(found[0].medications, [brand, ingredient]);
+    }
+  }
+});
+
+test('every pair of different ingredients within each drug class is duplicate therapy', async () => {
+  for (const drugClass of classTable.classes) {
+    for (const [a, b] of pairs(drugClass.members)) {
+      // Members named as products (co-amoxiclav) count by their class ingredients
+      const inClass = [a, b].map(name => ingredientsOf(name).filter(i => classesOf(i).includes(drugClass.id)));
+      const distinct = new Set(inClass.flat()).size > 1;
+      const found = (await alertsOf([med(a), med(b)], {}, 'DUPLICATE THERAPY')).filter(x => x.duplication === 'class');
+      if (!distinct) {
+        assert.deepEqual(found, [], `${a} + ${b} share one ingredient`);
+        continue;
+      }
+      assert.equal(found.length, 1, `${a} + ${b}`);
+      assert.equal(found[0].drugClass, drugClass.label);
+      assert.equal(found[0].severity, drugClass.duplicateSeverity || 'moderate', `${a} + ${b} severity`);
+      assert.deepEqual(found[0].medications, [a, b]);
+    }
+  }
+});
+
+test('duplicate therapy needs the courses to overlap', async () => {
+  const yesterday = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+  const lastWeek = new Date(Date.now() - 7 * 24 * 3600 * 1000).toISOString();
+  for (const [a, b] of [['Panadol', 'Co-codamol'], ['ibuprofen', 'diclofenac'], ['codeine', 'tramadol']]) {
+    assert.equal((await alertsOf([med(a), med(b)], {}, 'DUPLICATE THERAPY')).length, 1, `${a} + ${b}`);
+    const stopped = await alertsOf([med(a, { created_at: lastWeek, start_date: lastWeek, end_date: yesterday }), med(b)], {}, 'DUPLICATE THERAPY');
+    assert.deepEqual(stopped, [], `${a} (completed) + ${b}`);
+  }
+});
+
+// A value just inside and just outside a { below, atLeast, above, atMost } range
+const insideRange = (spec) => {
+  if (spec.atLeast !== undefined) return spec.atLeast;
+  if (spec.above !== undefined) return spec.above + 0.5;
+  if (spec.atMost !== undefined) return spec.atMost;
+  return spec.below - 0.5;
+};
+const outsideRange = (spec) => {
+  if (spec.below !== undefined) return spec.below;
+  if (spec.atMost !== undefined) return spec.atMost + 0.5;
+  if (spec.above !== undefined) return spec.above;
+  return spec.atLeast - 0.5;
+};
+
+// Patient fields that satisfy (or, with `miss`, just fail) a rule's `when`
+const patientFor = (when, { miss = false } = {}) => {
+  const patient = { conditions: [], labs: [] };
+  if (when.lab) {
+    const { test: lab, ...spec } = when.lab;
+    patient.labs.push({ test: lab, value: miss ? outsideRange(spec) : insideRange(spec) });
+  }
+  if (when.condition && !miss) patient.conditions.push(when.condition);
+  if (when.age) patient.age = miss ? outsideRange(when.age) : insideRange(when.age);
+  if (when.pregnant !== undefined) patient.pregnant = miss ? !when.pregnant : when.pregnant;
+  if (when.any) {
+    const branches = when.any.map(clause => patientFor(clause, { miss }));
+    if (miss) return branches.reduce((all, p) => ({ ...all, ...p, conditions: [], labs: [...all.labs, ...p.labs] }), patient);
+    return { ...patient, ...branches[0] };
+  }
+  return patient;
+};
+
+test('every clinical rule fires for each drug it covers, and only when its criteria are met', async () => {
+  for (const rule of ruleTable.rules) {
+    const { medication, ...criteria } = rule.when;
+    const drugs = medication.drug ? [medication.drug] : allMembersOf(medication.class);
+    const branches = criteria.any ? criteria.any.map(clause => ({ ...criteria, any: undefined, ...clause })) : [criteria];
+    for (const drug of drugs) {
+      for (const when of branches) {
+        const fired = (await alertsOf([med(drug)], patientFor(when), 'CLINICAL RULE')).filter(a => a.rule === rule.id);
+        assert.equal(fired.length, 1, `${rule.id} for ${drug} with ${JSON.stringify(when)}`);
+        assert.equal(fired[0].severity, rule.severity, `${rule.id} severity`);
+        assert.ok(fired[0].evidence.length > 0, `${rule.id} cites its evidence`);
+      }
+      const missed = (await alertsOf([med(drug)], patientFor(criteria, { miss: true }), 'CLINICAL RULE')).filter(a => a.rule === rule.id);
+      assert.deepEqual(missed, [], `${rule.id} for ${drug} just outside its criteria`);
+    }
+  }
+});
+
+test('clinical rules ignore resolved conditions', async () => {
+  for (const rule of ruleTable.rules.filter(r => r.when.condition && Object.keys(r.when).length === 2)) {
+    const drug = rule.when.medication.drug || allMembersOf(rule.when.medication.class)[0];
+    const patient = { conditions: [{ name: rule.when.condition, status: 'resolved' }] };
+    const fired = (await alertsOf([med(drug)], patient, 'CLINICAL RULE')).filter(a => a.rule === rule.id);
+    assert.deepEqual(fired, [], `${rule.id} with a resolved condition`);
+  }
+});
+
+test('a rule on a parent class fires for members of every subclass', async (t) => {
+  const clinicalRules = require('../lib/clinicalRules');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safemed-rules-'));
+  const file = path.join(dir, 'clinicalRules.json');
+  const when = { medication: { class: 'beta-lactams' }, lab: { test: 'egfr', below: 30 } };
+  fs.writeFileSync(file, JSON.stringify({
+    ...ruleTable,
+    rules: [{ id: 'beta-lactam-renal-dosing', when, severity: 'moderate', message: 'Reduce beta-lactam doses in severe renal impairment' }]
+  }));
+  clinicalRules.load(file);
+  t.after(() => {
+    clinicalRules.load(path.join(__dirname, '..', 'data', 'clinicalRules.json'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const drugs = allMembersOf('beta-lactams');
+  assert.ok(['penicillins', 'cephalosporins', 'carbapenems'].every(id => classById(id).members.some(d => drugs.includes(d))));
+  for (const drug of drugs) {
+    const fired = (await alertsOf([med(drug)], patientFor(when), 'CLINICAL RULE')).filter(a => a.rule === 'beta-lactam-renal-dosing');
+    assert.equal(fired.length, 1, `beta-lactam rule for ${drug}`);
+  }
+  assert.deepEqual(await alertsOf([med('ibuprofen')], patientFor(when), 'CLINICAL RULE'), []);
+});
+
+const doseFindings = async (ingredient, dose, patient = {}) => (await alertsOf([med(ingredient, { dose })], patient, 'DOSE ALERT'))
+  .map(a => ({ finding: a.finding, severity: a.severity }));
+
+test('every adult dose limit', async () => {
+  const adult = { age: 40, weight_kg: 70 };
+  for (const [ingredient, { adult: limits }] of Object.entries(doseTable.limits)) {
+    if (!limits) continue;
+    if (limits.maxSingleMg) {
+      assert.deepEqual(await doseFindings(ingredient, `${limits.maxSingleMg * 2}mg`, adult), [{ finding: 'overdose', severity: 'moderate' }], `${ingredient} above the single maximum`);
+      assert.deepEqual(await doseFindings(ingredient, `${limits.maxSingleMg}mg`, adult), [], `${ingredient} at the single maximum`);
+      const daily = limits.maxSingleMg * 4;
+      const expected = limits.maxDailyMg && daily > limits.maxDailyMg ? [{ finding: 'overdose', severity: 'major' }] : [];
+      assert.deepEqual(await doseFindings(ingredient, `${limits.maxSingleMg}mg qds`, adult), expected, `${ingredient} maximum single dose four times a day`);
+    }
+    if (limits.minSingleMg) {
+      assert.deepEqual(await doseFindings(ingredient, `${limits.minSingleMg / 2}mg`, adult), [{ finding: 'underdose', severity: 'minor' }], `${ingredient} below the single minimum`);
+    }
+  }
+});
+
+test('dose frequencies need whole words, and sub-hour intervals give no daily total', () => {
+  assert.equal(dose.parseDose('500mg bdx').perDay, null);
+  assert.equal(dose.parseDose('1g tdsomething').perDay, null);
+  assert.equal(dose.parseDose('1g tds').perDay, 3);
+  assert.equal(dose.parseDose('1g t.d.s.').perDay, 3);
+  assert.equal(dose.parseDose('500mg every 0 hours').perDay, null);
+  assert.equal(dose.parseDose('500mg every 6 hours').perDay, 4);
+});
+
+test('as-needed doses over the daily maximum are a moderate alert, not a major one', async () => {
+  const adult = { age: 40, weight_kg: 70 };
+  assert.deepEqual(await doseFindings('paracetamol', '1g every 4 hours prn', adult), [{ finding: 'overdose', severity: 'moderate' }]);
+  assert.deepEqual(await doseFindings('paracetamol', '1g every 4 hours', adult), [{ finding: 'overdose', severity: 'major' }]);
+  assert.deepEqual(await doseFindings('paracetamol', '1g prn', adult), []);
+});
+
+test('every pediatric dose limit and minimum age', async () => {
+  const child = { age: Math.min(doseTable.pediatricAgeYears - 4, 8), weight_kg: 20 };
+  for (const [ingredient, rule] of Object.entries(doseTable.limits)) {
+    const underAge = rule.minAgeYears !== undefined && child.age < rule.minAgeYears;
+    const ageFinding = underAge ? [{ finding: 'age-restriction', severity: 'contraindicated' }] : [];
+    if (rule.pediatric?.maxSingleMgPerKg) {
+      const max = rule.pediatric.maxSingleMgPerKg * child.weight_kg;
+      const findings = await doseFindings(ingredient, `${max + 50}mg`, child);
+      assert.deepEqual(findings, [...ageFinding, { finding: 'overdose', severity: 'moderate' }], `${ingredient} above the pediatric single maximum`);
+    }
+    if (rule.minAgeYears !== undefined) {
+      // A usual adult dose, so only the age is wrong
+      const usual = `${rule.adult.minSingleMg}mg`;
+      const young = await doseFindings(ingredient, usual, { age: rule.minAgeYears - 1 });
+      assert.deepEqual(young, [{ finding: 'age-restriction', severity: 'contraindicated' }], `${ingredient} under ${rule.minAgeYears}`);
+      const oldEnough = await doseFindings(ingredient, usual, { age: rule.minAgeYears });
+      assert.deepEqual(oldEnough, [], `${ingredient} at ${rule.minAgeYears}`);
+    }
+  }
+});
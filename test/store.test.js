@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { createFileStore } = require('../lib/store/fileStore');
+const { createAuditLog, createAccessLog } = require('../lib/audit');
+const population = require('../lib/population');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safemed-store-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const readFile = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('the file store writes a burst of changes once, after a short delay', async () => {
+  const file = path.join(dir, 'burst.json');
+  const store = createFileStore(file, { flushMs: 20 });
+  for (let i = 0; i < 500; i++) store.insert('accessLog', { path: `/dashboard/${i}` });
+  assert.equal(fs.existsSync(file), false);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(readFile(file).collections.accessLog.length, 500);
+
+  store.cacheName(1, 'Jane Doe');
+  store.flush();
+  assert.equal(readFile(file).nameCache[1], 'Jane Doe');
+  assert.equal(createStore({ type: 'file', file }).getCachedName(1), 'Jane Doe');
+
+  store.cacheName(2, 'John Smith');
+  store.close();
+  assert.equal(readFile(file).nameCache[2], 'John Smith');
+});
+
+test('trim drops the oldest matching records only', () => {
+  const store = createStore();
+  ['viewed', 'acknowledged', 'viewed', 'viewed', 'overridden', 'viewed'].forEach((action, i) => store.insert('auditLog', { action, n: i }));
+  assert.equal(store.trim('auditLog', 2, e => e.action === 'viewed'), 2);
+  assert.deepEqual(store.all('auditLog').map(e => e.n), [1, 3, 4, 5]);
+  assert.equal(store.trim('auditLog', 10), 0);
+});
+
+test('the access log drops its oldest entries past its cap', () => {
+  const store = createStore();
+  const accessLog = createAccessLog(store, { maxEntries: 10 });
+  for (let i = 1; i <= 11; i++) accessLog.record({ user: null, patientId: 1, method: 'GET', path: `/dashboard/1?n=${i}`, status: 200 });
+  const paths = accessLog.forPatient(1).map(e => e.path);
+  assert.equal(paths.length, 9);
+  assert.ok(paths.includes('/dashboard/1?n=11'));
+  assert.ok(!paths.includes('/dashboard/1?n=2'));
+});
+
+test('the audit log drops old views past its cap but keeps every decision', () => {
+  const store = createStore();
+  const auditLog = createAuditLog(store, { maxViews: 10 });
+  const alert = (n) => ({ id: `alert-${n}`, type: 'ALLERGY RISK', message: 'm', severity: 'major' });
+  auditLog.record({ patientId: 1, alert: alert(0), action: 'acknowledged', user: 'admin', reason: 'Known' });
+  for (let n = 1; n <= 11; n++) auditLog.recordViews(1, [alert(n)], 'admin');
+  assert.equal(auditLog.forPatient(1, { action: 'viewed' }).length, 9);
+  assert.equal(auditLog.forPatient(1, { action: 'acknowledged' }).length, 1);
+  assert.equal(auditLog.annotate(1, [alert(0)])[0].status, 'acknowledged');
+});
+
+test('the audit annotator marks alerts from one pass over the log as annotate does', () => {
+  const store = createStore();
+  const auditLog = createAuditLog(store);
+  const alert = (n) => ({ id: `alert-${n}`, type: 'ALLERGY RISK', message: 'm', severity: 'major' });
+  auditLog.record({ patientId: 1, alert: alert(0), action: 'acknowledged', user: 'admin', reason: 'Known' });
+  auditLog.record({ patientId: 1, alert: alert(0), action: 'overridden', user: 'admin', reason: 'Benefit outweighs risk' });
+  auditLog.record({ patientId: 2, alert: alert(1), action: 'acknowledged', user: 'admin', reason: 'Known' });
+  auditLog.recordViews(1, [alert(1)], 'admin');
+
+  const find = store.find;
+  let scans = 0;
+  store.find = (...args) => { scans += 1; return find(...args); };
+  const annotate = auditLog.annotator();
+  const one = annotate('1', [alert(0), alert(1)]);
+  const two = annotate(2, [alert(0), alert(1)]);
+  store.find = find;
+
+  assert.equal(scans, 1);
+  assert.deepEqual(one, auditLog.annotate(1, [alert(0), alert(1)]));
+  assert.deepEqual(two, auditLog.annotate(2, [alert(0), alert(1)]));
+  assert.deepEqual(one.map(a => a.status), ['overridden', 'open']);
+  assert.deepEqual(two.map(a => a.status), ['open', 'acknowledged']);
+});
+
+test('resolved alert history is dropped once it is older than the retention', () => {
+  const store = createStore();
+  const snapshots = population.createAlertSnapshots(store, { historyDays: 30 });
+  const alert = (id, risk) => ({ id, key: id, type: 'ALLERGY RISK', message: 'm', severity: 'major', risk, medication: 'Amoxicillin' });
+  const day = (n) => new Date(Date.UTC(2026, 0, 1 + n)).toISOString();
+
+  snapshots.record(1, { full_name: 'Jane Doe' }, [alert('old', 'High'), alert('open', 'Low')], day(0));
+  snapshots.record(1, { full_name: 'Jane Doe' }, [alert('open', 'Low')], day(1));
+  snapshots.record(2, { full_name: 'John Smith' }, [alert('recent', 'High')], day(20));
+  snapshots.record(2, { full_name: 'John Smith' }, [], day(21));
+  assert.deepEqual(snapshots.history().map(h => h.alertId).sort(), ['old', 'open', 'recent']);
+
+  snapshots.record(3, { full_name: 'Ann Lee' }, [], day(40));
+  assert.deepEqual(snapshots.history().map(h => h.alertId).sort(), ['open', 'recent']);
+
+  const { trends } = population.buildOverview({
+    snapshots: snapshots.all(),
+    history: snapshots.history(),
+    annotate: (patientId, alerts) => alerts,
+    filters: { from: '2026-01-20', to: '2026-01-23' },
+    now: new Date(day(40))
+  });
+  assert.deepEqual(trends, [
+    { date: '2026-01-20', new: 0, newHigh: 0, resolved: 0, active: 1 },
+    { date: '2026-01-21', new: 1, newHigh: 1, resolved: 0, active: 2 },
+    { date: '2026-01-22', new: 0, newHigh: 0, resolved: 1, active: 1 },
+    { date: '2026-01-23', new: 0, newHigh: 0, resolved: 0, active: 1 }
+  ]);
+});
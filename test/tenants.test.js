@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createMultiTenantApp } = require('../app');
+const tenants = require('../lib/tenants');
+const knowledgeBase = require('../lib/knowledgeBase');
+const { createFakeEmr } = require('../scripts/fake-emr');
+
+// Two clinics on one server, each with its own fake EMR and token. Kano adds
+// a local interaction to the knowledge base; Abuja uses the shared one.
+
+const PASSWORD = 'test-password';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safemed-tenants-'));
+const additionsFile = path.join(dir, 'kano-interactions.json');
+fs.writeFileSync(additionsFile, JSON.stringify({
+  interactions: [{
+    drugs: ['metformin', 'prednisolone'],
+    severity: 'moderate',
+    guidance: 'Check blood glucose more often while on the steroid.'
+  }]
+}));
+
+const emrs = {
+  kano: createFakeEmr({ token: 'kano-token', fixture: 'default' }),
+  abuja: createFakeEmr({ token: 'abuja-token', fixture: 'default' })
+};
+
+const serverEnv = {
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: PASSWORD,
+  SEED_FIXTURE: '',
+  UPSTREAM_TIMEOUT_MS: '300',
+  UPSTREAM_RETRIES: '0',
+  UPSTREAM_BREAKER_THRESHOLD: '1000',
+  ABUJA_TOKEN: 'abuja-token'
+};
+
+let app;
+let server;
+let url;
+const tokens = {};
+
+test.before(async () => {
+  await Promise.all(Object.values(emrs).map(emr => emr.listen()));
+  app = createMultiTenantApp({
+    env: serverEnv,
+    tenants: [
+      { id: 'kano', name: 'Kano Clinic', env: { BASE_URL: emrs.kano.url, API_TOKEN: 'kano-token', KNOWLEDGE_BASE_ADDITIONS: additionsFile } },
+      { id: 'abuja', name: 'Abuja Clinic', env: { BASE_URL: emrs.abuja.url, API_TOKEN: 'abuja-token' } }
+    ]
+  });
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+  for (const id of Object.keys(emrs)) {
+    tokens[id] = (await request('/login', { tenant: id, body: { username: 'admin', password: PASSWORD } })).json.token;
+  }
+});
+
+test.after(async () => {
+  for (const tenantApp of app.get('tenants').values()) await tenantApp.get('services').notifier.stop();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await Promise.all(Object.values(emrs).map(emr => emr.close()));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.afterEach(() => Object.values(emrs).forEach(emr => emr.setMode('normal')));
+
+// fetch against the server, naming the clinic by header
+async function request(pathname, { tenant, as = tenant, body, headers = {} } = {}) {
+  const res = await fetch(`${url}${pathname}`, {
+    method: body === undefined ? 'GET' : 'POST',
+    redirect: 'manual',
+    headers: {
+      ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      ...(tenant ? { 'X-Tenant-Id': tenant } : {}),
+      ...(as && tokens[as] ? { Authorization: `Bearer ${tokens[as]}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (error) { /* HTML page */ }
+  return { status: res.status, text, json };
+}
+
+// fetch can't set Host, so subdomain requests go through http.request
+const requestHost = (host, pathname, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.request(`${url}${pathname}`, { headers: { Host: host, ...headers } }, res => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, text }));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+const servicesOf = (id) => app.get('tenants').get(id).get('services');
+
+test('each clinic calls its own EMR with its own token', async () => {
+  emrs.abuja.store.createPatient({ full_name: 'Only In Abuja', allergies: [] });
+  const kano = await request('/', { tenant: 'kano' });
+  const abuja = await request('/', { tenant: 'abuja' });
+  assert.equal(kano.status, 200);
+  assert.equal(abuja.status, 200);
+  assert.doesNotMatch(kano.text, /Only In Abuja/);
+  assert.match(abuja.text, /Only In Abuja/);
+
+  const lastAuth = (emr) => emr.requests.filter(r => r.path === '/v1/patients').pop().headers.authorization;
+  assert.equal(lastAuth(emrs.kano), 'Token kano-token');
+  assert.equal(lastAuth(emrs.abuja), 'Token abuja-token');
+});
+
+test('the subdomain picks the clinic when no header names one', async () => {
+  const before = emrs.abuja.requests.length;
+  const res = await requestHost('abuja.safemed.test', '/', { Authorization: `Bearer ${tokens.abuja}` });
+  assert.equal(res.status, 200);
+  assert.ok(emrs.abuja.requests.length > before);
+});
+
+test('requests for no clinic or an unknown one are refused', async () => {
+  const none = await request('/');
+  assert.equal(none.status, 404);
+  assert.match(none.json.error, /X-Tenant-Id/);
+
+  const unknown = await request('/', { tenant: 'lagos' });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.json.error, 'Unknown clinic "lagos"');
+
+  assert.equal((await requestHost('www.safemed.test', '/')).status, 404);
+});
+
+test('sessions and the patient name cache belong to one clinic', async () => {
+  const crossed = await request('/', { tenant: 'abuja', as: 'kano' });
+  assert.equal(crossed.status, 302);
+  assert.match((await request('/login', { tenant: 'abuja', as: null })).text, /Abuja Clinic/);
+
+  const created = await request('/create-patient', {
+    tenant: 'kano',
+    body: { confirmed: true, patient: { full_name: 'Kano Patient', sex: 'female', age: 30, nkda: true } }
+  });
+  assert.equal(created.status, 200);
+  assert.equal(servicesOf('kano').store.getCachedName(created.json.patientId), 'Kano Patient');
+  assert.equal(servicesOf('abuja').store.getCachedName(created.json.patientId), null);
+});
+
+test('local knowledge base additions apply only to their clinic', async () => {
+  const check = (tenant) => request('/create-encounter', {
+    tenant,
+    body: { patientId: 1, prompt: 'Start metformin 500mg bd and prednisolone 40mg od', dryRun: true }
+  });
+  const kano = await check('kano');
+  const abuja = await check('abuja');
+  assert.deepEqual(kano.json.newAlerts.filter(a => a.type === 'DRUG INTERACTION').map(a => a.key), ['interaction|metformin|prednisolone']);
+  assert.deepEqual(abuja.json.newAlerts.filter(a => a.type === 'DRUG INTERACTION'), []);
+
+  const health = await request('/health', { tenant: 'kano' });
+  assert.equal(health.json.tenant.id, 'kano');
+  assert.equal(health.json.localKnowledgeBase.interactions, 1);
+});
+
+test('FHIR resource ids differ between clinics for the same EMR ids', async () => {
+  const exported = async (tenant) => (await request('/api/v1/patients/1/fhir', { tenant })).json;
+  const [kano, abuja] = [await exported('kano'), await exported('abuja')];
+  const patientId = (bundle) => bundle.entry.find(e => e.resource.resourceType === 'Patient').resource.id;
+  assert.equal(patientId(kano), patientId(await exported('kano')));
+  assert.notEqual(patientId(kano), patientId(abuja));
+});
+
+test('/health without a clinic reports every clinic\'s upstream', async () => {
+  emrs.abuja.setMode('error');
+  const res = await request('/health?probe=true');
+  assert.equal(res.status, 200);
+  assert.equal(res.json.status, 'degraded');
+  const byId = Object.fromEntries(res.json.tenants.map(t => [t.id, t]));
+  assert.deepEqual(Object.keys(byId), ['kano', 'abuja']);
+  assert.equal(byId.kano.status, 'ok');
+  assert.equal(byId.kano.upstream.status, 'up');
+  assert.equal(byId.abuja.status, 'degraded');
+  assert.equal(byId.abuja.apiConnected, false);
+  assert.equal(byId.abuja.name, 'Abuja Clinic');
+});
+
+test('/metrics covers every clinic, labelled by tenant', async () => {
+  await request('/', { tenant: 'kano' });
+  await request('/', { tenant: 'abuja' });
+  const res = await request('/metrics');
+  assert.equal(res.status, 200);
+  assert.match(res.text, /safemed_http_request_duration_seconds_count\{tenant="kano",method="GET",route="\/",status="200"\}/);
+  assert.match(res.text, /safemed_upstream_request_duration_seconds_count\{tenant="abuja",method="GET",endpoint="\/v1\/patients",outcome="ok"\}/);
+});
+
+test('loadTenants reads "$NAME" values from the environment and validates the file', () => {
+  const file = path.join(dir, 'tenants.json');
+  const write = (config) => fs.writeFileSync(file, JSON.stringify(config));
+  const load = () => tenants.loadTenants(file, serverEnv);
+
+  write({ tenants: [{ id: 'abuja', env: { API_TOKEN: '$ABUJA_TOKEN', BASE_URL: 'https://emr.example' } }] });
+  assert.deepEqual(load(), [{ id: 'abuja', name: 'abuja', env: { API_TOKEN: 'abuja-token', BASE_URL: 'https://emr.example' } }]);
+
+  write({ tenants: [{ id: 'abuja', env: { API_TOKEN: '$MISSING_TOKEN' } }] });
+  assert.throws(load, /MISSING_TOKEN is not set/);
+  write({ tenants: [] });
+  assert.throws(load, /non-empty "tenants"/);
+  write({ tenants: [{ id: 'Abuja Clinic' }] });
+  assert.throws(load, /"id" must be/);
+  write({ tenants: [{ id: 'abuja' }, { id: 'abuja' }] });
+  assert.throws(load, /duplicate id/);
+  write({ tenants: [{ id: 'abuja', env: { PORT: '4000' } }] });
+  assert.throws(load, /PORT is a server setting/);
+  write({ tenants: [{ id: 'abuja', env: { DOSE_LIMITS_PATH: 'config/abuja-doses.json' } }] });
+  assert.throws(load, /DOSE_LIMITS_PATH is a server setting/);
+});
+
+test('the shared knowledge base file is watched once however many clinics ask', (t) => {
+  t.mock.method(fs, 'watchFile', () => {});
+  knowledgeBase.watch();
+  knowledgeBase.watch();
+  assert.equal(fs.watchFile.mock.callCount(), 1);
+});
+
+test('each clinic gets its own store file unless it names one', () => {
+  assert.notEqual(tenants.envFor({ id: 'kano', env: {} }, { STORE_FILE: 'shared.json' }).STORE_FILE, 'shared.json');
+  assert.match(tenants.envFor({ id: 'kano', env: {} }).STORE_FILE, /safemed-kano\.json$/);
+  assert.equal(tenants.envFor({ id: 'kano', env: { STORE_FILE: 'kano.json' } }).STORE_FILE, 'kano.json');
+});
+
+test('local additions replace shared entries for the same pair', () => {
+  const file = path.join(dir, 'override.json');
+  fs.writeFileSync(file, JSON.stringify({ interactions: [{ drugs: ['Warfarin', 'Paracetamol'], severity: 'minor' }] }));
+  const additions = knowledgeBase.createAdditions(file);
+  const merged = additions.get().interactions.filter(e => e.drugs.includes('warfarin') && e.drugs.includes('paracetamol'));
+  assert.deepEqual(merged.map(e => e.severity), ['minor']);
+  assert.equal(additions.get().interactions.length, knowledgeBase.get().interactions.length);
+});